@@ -0,0 +1,71 @@
+/**
+ * Config loading shared by the CLI (./gpt-deadline.js) and the relay
+ * (./gpt-deadline-relay.js).
+ *
+ * Config (JSON): a single cycle, a list of cycles, { activeId, items } or a
+ * backup exported from the app. Each cycle needs startISO, endISO and
+ * timezone; other fields default. Notification channels come from the
+ * backup's prefs, or a top-level "channels" list next to "items".
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join, resolve } from "node:path";
+import { DEFAULT_CYCLE, billingOf, cycleErrors, isPlainObject, problemText } from "../src/engine.js";
+
+// Usage/config problems exit 2 and 1 respectively, with a message on stderr
+export class CliError extends Error {
+  constructor(message, code = 1) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export function configPath(flag) {
+  if (flag) return resolve(flag);
+  if (process.env.GPT_DEADLINE_CONFIG) return resolve(process.env.GPT_DEADLINE_CONFIG);
+  const candidates = [resolve("gpt-deadline.json"), join(homedir(), ".config", "gpt-deadline", "config.json")];
+  const found = candidates.find((p) => existsSync(p));
+  if (!found) throw new CliError(`No config found. Looked for:\n  ${candidates.join("\n  ")}\nPass --config <file> or set GPT_DEADLINE_CONFIG.`);
+  return found;
+}
+
+const REQUIRED = ["startISO", "endISO", "timezone"];
+
+// Any supported config shape → { activeId, items, channels } with defaults filled in
+export function loadConfig(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new CliError(`Cannot read ${path}: ${err.message}`);
+  }
+  let list = raw;
+  let channels = raw?.channels;
+  if (isPlainObject(raw) && raw.app === "gpt-deadline") {
+    list = raw.data?.subscriptions;
+    channels = raw.data?.prefs?.channels;
+  }
+  if (Array.isArray(list)) list = { items: list };
+  else if (isPlainObject(list) && !Array.isArray(list.items)) list = { items: [list] };
+  if (!isPlainObject(list) || !list.items.length) throw new CliError(`${path}: no subscriptions found.`);
+
+  // Only optional fields get defaults, so a cycle missing its dates or zone
+  // is reported instead of running on the demo cycle's
+  const missing = list.items.flatMap((c, i) => (isPlainObject(c)
+    ? REQUIRED.filter((k) => c[k] === undefined).map((k) => `items[${i}].${k} is required.`)
+    : [`items[${i}] must be an object.`]));
+  if (missing.length) throw new CliError(`${path} is not a valid config:\n  ${missing.join("\n  ")}`);
+
+  const items = list.items.map((c, i) => ({
+    ...DEFAULT_CYCLE,
+    ...c,
+    id: c.id ?? (list.items.length > 1 ? String(i) : DEFAULT_CYCLE.id),
+    billing: billingOf(c),
+    reminders: { ...DEFAULT_CYCLE.reminders, ...c.reminders },
+  }));
+  const errors = items.flatMap((c, i) => cycleErrors(c, `items[${i}]`).map((p) => problemText(p)));
+  if (channels !== undefined && !Array.isArray(channels)) errors.push("channels must be a list.");
+  if (errors.length) throw new CliError(`${path} is not a valid config:\n  ${errors.join("\n  ")}`);
+  return { activeId: list.activeId, items, channels: channels ?? [] };
+}
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * gpt-deadline-relay – sends reminders to webhook, ntfy, Gotify and email
+ * channels (src/channels.js) on schedule, with no browser open.
+ *
+ *   gpt-deadline-relay -c backup.json               check every 30 s, forever
+ *   gpt-deadline-relay -c backup.json --once        one check (for cron)
+ *   gpt-deadline-relay -c backup.json --listen 8787 also accept test-sends and config syncs
+ *
+ * Each check reloads the config (same shapes as the CLI, see ./config.js) and
+ * sends every enabled reminder whose time fell since the previous check to the
+ * channels its milestone is routed to. Reminders more than 10 minutes late are
+ * logged as missed instead. What was sent is kept in a state file, so restarts
+ * never send twice.
+ *
+ * HTTP (--listen, bound to 127.0.0.1 unless --host says otherwise). Every
+ * request needs "Authorization: Bearer <token>", and browsers may only call it
+ * from the app's origins (--origin):
+ *   POST /send   { channelId, message } deliver one message now to a configured
+ *                                       channel (the app's "Send test")
+ *   PUT /config  <config JSON>          replace the config file; the app's "Sync
+ *                                       to relay" sends { activeId, items, channels }
+ *   GET /status                         last check and what is configured
+ */
+
+import { timingSafeEqual } from "node:crypto";
+import { existsSync, readFileSync, renameSync, rmSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+import { DateTime } from "luxon";
+import { MS_PER_MIN, activeMilestones, milestoneTimes, problemText, quietOf, reminderEnabled, resumedCycle, rollCycleToNow } from "../src/engine.js";
+import { BROWSER_CHANNEL, CHANNEL_KINDS, CHANNEL_PROBLEM_TEXT, channelErrors, emailText, recipients, routeOf, sendHttp } from "../src/channels.js";
+import { CliError, configPath, loadConfig } from "./config.js";
+import { sendMail } from "./smtp.js";
+
+const USAGE = `Usage: gpt-deadline-relay [options]
+
+Options:
+  -c, --config <file>    config file (default: $GPT_DEADLINE_CONFIG, ./gpt-deadline.json,
+                         ~/.config/gpt-deadline/config.json)
+      --state <file>     what was sent (default: <config>.relay-state.json)
+      --interval <sec>   seconds between checks (default: 30)
+      --once             check once and exit
+      --now <iso>        with --once: check as of this instant
+      --dry-run          print messages instead of sending them (state is left alone)
+      --listen <port>    serve POST /send, PUT /config and GET /status
+      --host <addr>      address to listen on (default: 127.0.0.1)
+      --token <secret>   bearer token the HTTP requests must send; required with --listen
+                         (default: $GPT_DEADLINE_RELAY_TOKEN)
+      --origin <urls>    comma-separated origins the app is served from (default:
+                         $GPT_DEADLINE_RELAY_ORIGIN, else the Vite dev and preview servers)
+  -h, --help`;
+
+const MISSED_GRACE_MS = 10 * MS_PER_MIN; // same cut-off as the app's reminder queue
+const SENT_LIMIT = 2000; // delivery keys kept in the state file
+const BODY_LIMIT = 1024 * 1024;
+const DEFAULT_ORIGINS = ["http://localhost:5173", "http://127.0.0.1:5173", "http://localhost:4173", "http://127.0.0.1:4173"];
+
+// fetch() puts the network reason ("ECONNREFUSED"…) in `cause`
+const reason = (err) => `${err.message}${err.cause?.message ? ` (${err.cause.message})` : ""}`;
+
+const log = (text) => console.log(`${DateTime.now().toFormat("yyyy-LL-dd HH:mm:ss")} ${text}`);
+
+function loadRelayState(path) {
+  if (!existsSync(path)) return { lastCheck: null, sent: [] };
+  try {
+    const state = JSON.parse(readFileSync(path, "utf8"));
+    return { lastCheck: state.lastCheck ?? null, sent: Array.isArray(state.sent) ? state.sent : [] };
+  } catch (err) {
+    throw new CliError(`Cannot read ${path}: ${err.message}`);
+  }
+}
+
+function saveRelayState(path, state) {
+  writeFileSync(`${path}.tmp`, JSON.stringify({ ...state, sent: state.sent.slice(-SENT_LIMIT) }, null, 2));
+  renameSync(`${path}.tmp`, path);
+}
+
+const reported = new Set(); // channel problems already logged, so each check doesn't repeat them
+
+// Usable channels by id; invalid or disabled ones are reported and left out
+function channelMap(channels) {
+  const map = new Map();
+  channels.forEach((c, i) => {
+    if (!c || c.enabled === false || c.kind === BROWSER_CHANNEL.kind) return;
+    const errors = channelErrors(c, `channels[${i}]`);
+    if (!errors.length) return map.set(c.id, c);
+    const problem = `skipping channel "${c.name ?? c.id}": ${errors.map((p) => problemText(p, CHANNEL_PROBLEM_TEXT)).join(" ")}`;
+    if (!reported.has(problem)) log(problem);
+    reported.add(problem);
+  });
+  return map;
+}
+
+async function deliver(channel, message, dryRun) {
+  if (dryRun) return log(`[dry run] ${channel.kind} "${channel.name ?? channel.id}": ${message.title} — ${message.body}`);
+  if (CHANNEL_KINDS[channel.kind]?.http) return sendHttp(channel, message);
+  if (channel.kind === "email") return sendMail(channel, { from: channel.from, to: recipients(channel), data: emailText(channel, message) });
+  throw new Error(`${channel.kind} channels cannot be sent from the relay.`);
+}
+
+// Reminders due in (from, to] for one subscription. The window as of `from` is
+// included so a renewal reminder at the end of the previous window isn't lost.
+function dueReminders(input, from, to) {
+  const cycle = resumedCycle(input, to) ?? input;
+  const seen = new Set();
+  const due = [];
+  [from, to].forEach((instant) => {
+    const { start, end } = rollCycleToNow(cycle, instant.setZone(cycle.timezone));
+    milestoneTimes(start, end, activeMilestones(cycle, end), quietOf(cycle)).forEach((m) => {
+      const key = `${cycle.id}:${m.id}:${m.remindAt.toMillis()}`;
+      if (seen.has(key) || !reminderEnabled(cycle, m.id) || m.remindAt <= from || m.remindAt > to) return;
+      seen.add(key);
+      due.push({ key, cycle, milestone: m });
+    });
+  });
+  return due;
+}
+
+// One pass over every subscription; returns how many deliveries were made
+async function check(options, now) {
+  const config = loadConfig(options.configFile);
+  const channels = channelMap(config.channels);
+  const state = loadRelayState(options.stateFile);
+  const last = state.lastCheck ? DateTime.fromISO(state.lastCheck) : null;
+  const from = last && last.isValid && last < now ? last : now.minus({ seconds: options.interval });
+  const sent = new Set(state.sent);
+  let count = 0;
+  let failed = false;
+
+  for (const item of config.items) {
+    for (const { key, cycle, milestone: m } of dueReminders(item, from, now)) {
+      const route = routeOf(cycle, m.id).filter((id) => channels.has(id));
+      if (!route.length) continue;
+      if (now.toMillis() - m.remindAt.toMillis() > MISSED_GRACE_MS) {
+        log(`missed ${cycle.plan}: ${m.title} (was due ${m.remindAt.toISO()})`);
+        continue;
+      }
+      const message = { title: `${cycle.plan}: ${m.title}`, body: m.message, plan: cycle.plan, milestoneId: m.id, at: m.at.toISO() };
+      for (const id of route) {
+        const deliveryKey = `${key}:${id}`;
+        if (sent.has(deliveryKey)) continue;
+        try {
+          await deliver(channels.get(id), message, options.dryRun);
+          if (options.dryRun) continue;
+          log(`sent "${message.title}" via ${channels.get(id).name ?? id}`);
+          sent.add(deliveryKey);
+          count++;
+        } catch (err) {
+          // Left unmarked: the next check retries while it is within the grace period
+          log(`failed "${message.title}" via ${channels.get(id).name ?? id}: ${reason(err)}`);
+          failed = true;
+        }
+      }
+    }
+  }
+  // A failed delivery keeps lastCheck where it was, so the next check looks again
+  if (!options.dryRun) saveRelayState(options.stateFile, { lastCheck: (failed ? from : now).toISO(), sent: [...sent] });
+  return count;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > BODY_LIMIT) {
+        // Read no further; the 413 reply closes the connection
+        req.pause();
+        return reject(Object.assign(new Error("Request body is too large."), { status: 413 }));
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "null"));
+      } catch {
+        reject(Object.assign(new Error("Request body is not JSON."), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Constant-time check of the "Authorization: Bearer …" header
+function authorized(header, token) {
+  const given = Buffer.from(String(header ?? ""));
+  const wanted = Buffer.from(`Bearer ${token}`);
+  return given.length === wanted.length && timingSafeEqual(given, wanted);
+}
+
+// The app calls these from the browser; only its own origins get CORS headers
+function serve(options) {
+  const routes = {
+    "GET /status": async () => {
+      const config = loadConfig(options.configFile);
+      const { lastCheck } = loadRelayState(options.stateFile);
+      return { lastCheck, subscriptions: config.items.length, channels: channelMap(config.channels).size };
+    },
+    // Only channels from the saved config, so a request can't pick the destination
+    "POST /send": async (body) => {
+      if (typeof body?.channelId !== "string") throw Object.assign(new Error("channelId is required."), { status: 400 });
+      if (typeof body.message?.title !== "string") throw Object.assign(new Error("message.title is required."), { status: 400 });
+      const channel = channelMap(loadConfig(options.configFile).channels).get(body.channelId);
+      if (!channel) throw Object.assign(new Error("The relay has no such channel, or it is off or invalid. Sync to the relay first."), { status: 404 });
+      const { title, body: text = "", plan = "", milestoneId = "test", at = DateTime.now().toISO() } = body.message;
+      try {
+        await deliver(channel, { title, body: String(text), plan: String(plan), milestoneId: String(milestoneId), at: String(at) }, options.dryRun);
+      } catch (err) {
+        throw Object.assign(err, { status: 502 });
+      }
+      log(`test sent via ${channel.name ?? channel.id}`);
+      return { ok: true };
+    },
+    "PUT /config": async (body) => {
+      const tmp = `${options.configFile}.tmp`;
+      writeFileSync(tmp, JSON.stringify(body, null, 2));
+      let config;
+      try {
+        config = loadConfig(tmp);
+      } catch (err) {
+        rmSync(tmp, { force: true });
+        throw Object.assign(new Error(err.message.replace(tmp, "config")), { status: 400 });
+      }
+      renameSync(tmp, options.configFile);
+      log(`config replaced (${config.items.length} subscriptions, ${config.channels.length} channels)`);
+      return { ok: true, subscriptions: config.items.length, channels: config.channels.length };
+    },
+  };
+
+  const server = createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    const allowed = origin !== undefined && options.origins.includes(origin);
+    const reply = (status, json) => {
+      res.writeHead(status, {
+        ...(allowed && {
+          "Access-Control-Allow-Origin": origin,
+          "Access-Control-Allow-Headers": "Authorization, Content-Type",
+          "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+          Vary: "Origin",
+        }),
+        ...(json && { "Content-Type": "application/json" }),
+        ...(status === 413 && { Connection: "close" }),
+      });
+      res.end(json ? JSON.stringify(json) : undefined);
+    };
+    // Pages from other origins are turned away before anything runs
+    if (origin !== undefined && !allowed) return reply(403, { error: `Origin ${origin} is not allowed; see --origin.` });
+    if (req.method === "OPTIONS") return reply(204);
+    const handler = routes[`${req.method} ${new URL(req.url, "http://relay").pathname}`];
+    if (!handler) return reply(404, { error: "Not found." });
+    if (!authorized(req.headers.authorization, options.token)) return reply(401, { error: "Missing or wrong bearer token." });
+    try {
+      reply(200, await handler(req.method === "GET" ? null : await readBody(req)));
+    } catch (err) {
+      reply(err.status ?? 500, { error: reason(err) });
+    }
+  });
+  server.listen(options.port, options.host, () => log(`listening on http://${options.host}:${options.port}`));
+  return server;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        config: { type: "string", short: "c" },
+        state: { type: "string" },
+        interval: { type: "string" },
+        once: { type: "boolean" },
+        now: { type: "string" },
+        "dry-run": { type: "boolean" },
+        listen: { type: "string" },
+        host: { type: "string" },
+        token: { type: "string" },
+        origin: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (err) {
+    throw new CliError(`${err.message}\n\n${USAGE}`, 2);
+  }
+  const { values } = parsed;
+  if (values.help) return console.log(USAGE);
+
+  const interval = Number(values.interval ?? 30);
+  if (!Number.isFinite(interval) || interval < 1) throw new CliError("--interval must be at least 1 second.", 2);
+  const port = values.listen === undefined ? null : Number(values.listen);
+  if (port !== null && !(Number.isInteger(port) && port > 0 && port < 65536)) throw new CliError("--listen must be a port number.", 2);
+  if (values.now && !values.once) throw new CliError("--now only works with --once.", 2);
+  const now = values.now ? DateTime.fromISO(values.now, { setZone: true }) : null;
+  if (now && !now.isValid) throw new CliError(`--now "${values.now}" is not an ISO date-time.`, 2);
+
+  const token = values.token ?? process.env.GPT_DEADLINE_RELAY_TOKEN;
+  if (port !== null && !token) throw new CliError("--listen needs a --token (or $GPT_DEADLINE_RELAY_TOKEN).", 2);
+  const origins = (values.origin ?? process.env.GPT_DEADLINE_RELAY_ORIGIN)?.split(",").map((o) => o.trim().replace(/\/+$/, "")).filter(Boolean) ?? DEFAULT_ORIGINS;
+
+  const configFile = configPath(values.config);
+  const options = {
+    configFile,
+    stateFile: values.state ?? `${configFile.replace(/\.json$/, "")}.relay-state.json`,
+    interval,
+    dryRun: !!values["dry-run"],
+    port,
+    host: values.host ?? "127.0.0.1",
+    token,
+    origins,
+  };
+  loadConfig(configFile); // fail fast on a broken config
+
+  if (values.once) {
+    const count = await check(options, now ?? DateTime.now());
+    return log(`check done, ${count} sent`);
+  }
+  if (port !== null) serve(options);
+  // A slow SMTP server must not let two checks overlap
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await check(options, DateTime.now());
+    } catch (err) {
+      log(`check failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  await tick();
+  setInterval(tick, interval * 1000);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (!(err instanceof CliError)) throw err;
+  process.stderr.write(`gpt-deadline-relay: ${err.message}\n`);
+  process.exitCode = err.code;
+});
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * gpt-deadline – terminal front end for src/engine.js
+ * Same numbers as the web app, for shell prompts and cron jobs.
+ *
+ *   gpt-deadline status             countdown + percentage left
+ *   gpt-deadline milestones         this window's milestones and reminders
+ *   gpt-deadline ics [--out file]   write the .ics calendar ("-" = stdout)
+ *   gpt-deadline next [--json]      the next milestone
+ *
+ * Config (JSON): a single cycle, a list of cycles, { activeId, items } or a
+ * backup exported from the app (see ./config.js). Looked up at --config,
+ * $GPT_DEADLINE_CONFIG, ./gpt-deadline.json, then ~/.config/gpt-deadline/config.json.
+ */
+
+import { writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { DateTime } from "luxon";
+import {
+  LIFECYCLE_STATES, activeMilestones, cycleProgress, durationBreakdown, fmtDate, generateICS, humanRel, lifecycleAt,
+  milestoneTimes, nextMilestone, pct, quietOf, reminderEnabled, resumedCycle, rollCycleToNow,
+} from "../src/engine.js";
+import { CliError, configPath, loadConfig } from "./config.js";
+
+const USAGE = `Usage: gpt-deadline <status|milestones|ics|next> [options]
+
+Options:
+  -c, --config <file>    config file (default: $GPT_DEADLINE_CONFIG, ./gpt-deadline.json,
+                         ~/.config/gpt-deadline/config.json)
+  -s, --sub <id|plan>    subscription to use (default: the active one)
+  -a, --all              status/next for every subscription
+      --json             machine-readable output
+      --now <iso>        evaluate at this instant instead of the current time
+      --hour-format <12h|24h>
+  -o, --out <file>       ics: output path ("-" for stdout)
+      --recurring        ics: repeat the renewal event (RRULE)
+  -h, --help`;
+
+function pick(config, sub, all) {
+  if (all) return config.items;
+  if (!sub) return [config.items.find((c) => c.id === config.activeId) ?? config.items[0]];
+  const needle = sub.toLowerCase();
+  const match = config.items.find((c) => c.id === sub) ?? config.items.find((c) => c.plan.toLowerCase() === needle);
+  if (!match) throw new CliError(`No subscription "${sub}". Known: ${config.items.map((c) => `${c.plan} (${c.id})`).join(", ")}`);
+  return [match];
+}
+
+// A paused subscription past its resume date is reported as resumed
+function status(input, now, hourFormat) {
+  const cycle = resumedCycle(input, now) ?? input;
+  const { start, end, index, rolled, ended } = rollCycleToNow(cycle, now);
+  const { remainingMs, progress } = cycleProgress(start, end, now);
+  const life = lifecycleAt(cycle, now);
+  return {
+    json: {
+      id: cycle.id,
+      plan: cycle.plan,
+      timezone: cycle.timezone,
+      state: life.state,
+      trialEnd: life.trialEnd?.toISO() ?? null,
+      accessEnd: life.accessEnd?.toISO() ?? null,
+      resumeAt: life.resumeAt?.toISO() ?? null,
+      start: start.toISO(),
+      end: end.toISO(),
+      renewal: index,
+      rolled,
+      ended,
+      remainingMs,
+      remaining: durationBreakdown(remainingMs),
+      progress,
+    },
+    text() {
+      const { days, hours, minutes } = durationBreakdown(remainingMs);
+      const stopped = life.resumeAt ? `resumes ${humanRel(life.resumeAt, now)}` : life.state === "paused" ? "paused until resumed" : "term ended";
+      const head = ended ? stopped : `${days}d ${hours}h ${minutes}m left (${pct(1 - progress)} left)`;
+      const state = life.state === "active" ? "" : ` [${LIFECYCLE_STATES[life.state]}]`;
+      return `${cycle.plan}${state}: ${head}\n  ${fmtDate(start, hourFormat)} → ${fmtDate(end, hourFormat)} (${cycle.timezone})`;
+    },
+  };
+}
+
+function milestones(input, now, hourFormat) {
+  const cycle = resumedCycle(input, now) ?? input;
+  const { start, end } = rollCycleToNow(cycle, now);
+  const list = milestoneTimes(start, end, activeMilestones(cycle, end), quietOf(cycle)).map((m) => ({
+    id: m.id,
+    title: m.title,
+    at: m.at.toISO(),
+    remindAt: m.remindAt.toISO(),
+    // Set when quiet hours moved the reminder: the time it would otherwise fire
+    ...(m.quietShift && { nominalRemindAt: m.nominalRemindAt.toISO(), quietShift: m.quietShift }),
+    reminder: reminderEnabled(cycle, m.id),
+    past: m.at <= now,
+  }));
+  return {
+    json: { id: cycle.id, plan: cycle.plan, milestones: list },
+    text: () => [
+      `${cycle.plan} (${cycle.timezone})`,
+      ...list.map((m) => {
+        const at = DateTime.fromISO(m.at, { zone: cycle.timezone });
+        const moved = m.reminder && m.quietShift ? ` (${m.quietShift} to ${fmtDate(DateTime.fromISO(m.remindAt, { zone: cycle.timezone }), hourFormat)} for quiet hours)` : "";
+        return `  ${m.past ? "✓" : "•"} ${m.title.padEnd(18)} ${fmtDate(at, hourFormat).padEnd(18)} ${humanRel(at, now).padEnd(16)} ${m.reminder ? "reminder on" : "reminder off"}${moved}`;
+      }),
+    ].join("\n"),
+  };
+}
+
+function next(cycle, now, hourFormat) {
+  const m = nextMilestone(cycle, now);
+  return {
+    json: {
+      id: cycle.id,
+      plan: cycle.plan,
+      milestone: m && { id: m.id, title: m.title, message: m.message, at: m.at.toISO(), remindAt: m.remindAt.toISO(), inMs: m.at.toMillis() - now.toMillis() },
+    },
+    text: () => (m ? `${cycle.plan}: ${m.title} ${humanRel(m.at, now)} (${fmtDate(m.at, hourFormat)})` : `${cycle.plan}: nothing scheduled (term ended)`),
+  };
+}
+
+function ics(input, now, { out, recurring }) {
+  const cycle = resumedCycle(input, now) ?? input;
+  const { start, end } = rollCycleToNow(cycle, now);
+  const text = generateICS(cycle, start, end, { recurring });
+  if (out === "-") return process.stdout.write(text);
+  const slug = cycle.plan.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  const file = resolve(out ?? `gpt-deadline-${slug}-${start.toFormat("yyyyLLdd")}-${end.toFormat("yyyyLLdd")}.ics`);
+  writeFileSync(file, text);
+  process.stderr.write(`Wrote ${file}\n`);
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: "string", short: "c" },
+        sub: { type: "string", short: "s" },
+        all: { type: "boolean", short: "a" },
+        json: { type: "boolean" },
+        now: { type: "string" },
+        "hour-format": { type: "string" },
+        out: { type: "string", short: "o" },
+        recurring: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (err) {
+    throw new CliError(`${err.message}\n\n${USAGE}`, 2);
+  }
+  const { values, positionals } = parsed;
+  const [command] = positionals;
+  if (values.help || !command) return console.log(USAGE);
+  const commands = { status, milestones, next, ics };
+  if (!commands[command]) throw new CliError(`Unknown command "${command}".\n\n${USAGE}`, 2);
+
+  const hourFormat = values["hour-format"] ?? "24h";
+  if (!["12h", "24h"].includes(hourFormat)) throw new CliError("--hour-format must be 12h or 24h.", 2);
+  const now = values.now ? DateTime.fromISO(values.now, { setZone: true }) : DateTime.now();
+  if (!now.isValid) throw new CliError(`--now "${values.now}" is not an ISO date-time.`, 2);
+
+  const config = loadConfig(configPath(values.config));
+  if (command === "ics") {
+    if (values.all) throw new CliError("ics writes one subscription at a time; use --sub.", 2);
+    return ics(pick(config, values.sub)[0], now, values);
+  }
+  const results = pick(config, values.sub, values.all).map((c) => commands[command](c, now.setZone(c.timezone), hourFormat));
+  if (values.json) console.log(JSON.stringify(values.all ? results.map((r) => r.json) : results[0].json, null, 2));
+  else console.log(results.map((r) => r.text()).join("\n"));
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  if (!(err instanceof CliError)) throw err;
+  process.stderr.write(`gpt-deadline: ${err.message}\n`);
+  process.exitCode = err.code;
+}
@@ -0,0 +1,139 @@
+/**
+ * Minimal SMTP submission client for the relay's email channel.
+ * EHLO, STARTTLS when offered (or implicit TLS with `secure`), AUTH PLAIN,
+ * one message to one or more recipients. No dependencies beyond node:net/tls.
+ * The password is only sent over TLS, unless the channel sets
+ * `allowInsecureAuth` (for a local test server).
+ */
+
+import { connect as tcpConnect } from "node:net";
+import { connect as tlsConnect } from "node:tls";
+import { hostname } from "node:os";
+
+const TIMEOUT_MS = 20 * 1000; // per socket, without any traffic
+const SEND_TIMEOUT_MS = 60 * 1000; // the whole conversation
+
+// Line reader over a socket: next() resolves with one complete reply { code, lines }.
+// Once the socket errors or closes, every pending and later next() rejects.
+function replies(socket) {
+  let buffer = "";
+  let lines = [];
+  let closed = null;
+  const ready = [];
+  const waiting = [];
+  const settle = (value) => (waiting.length ? waiting.shift()(value) : ready.push(value));
+  const fail = (err) => {
+    closed ??= err;
+    waiting.splice(0).forEach((take) => take(closed));
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl).replace(/\r$/, "");
+      buffer = buffer.slice(nl + 1);
+      lines.push(line.slice(4));
+      // "250-…" continues a multi-line reply, "250 …" ends it
+      if (line[3] !== "-") {
+        settle({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+  };
+  const onClose = () => fail(new Error("SMTP server closed the connection."));
+  socket.on("data", onData);
+  socket.on("error", fail);
+  socket.on("end", onClose);
+  socket.on("close", onClose);
+  return {
+    next: () => new Promise((resolve, reject) => {
+      const take = (v) => (v instanceof Error ? reject(v) : resolve(v));
+      if (ready.length) take(ready.shift());
+      else if (closed) take(closed);
+      else waiting.push(take);
+    }),
+    // For STARTTLS: the TLS socket takes over. Errors still land here, and
+    // nobody is waiting by then.
+    detach: () => {
+      socket.off("data", onData);
+      socket.off("end", onClose);
+      socket.off("close", onClose);
+    },
+  };
+}
+
+function open(channel, socket) {
+  return new Promise((resolve, reject) => {
+    const options = { host: channel.host, port: Number(channel.port), servername: channel.host };
+    const s = socket
+      ? tlsConnect({ socket, servername: channel.host }, () => resolve(s))
+      : channel.secure
+        ? tlsConnect(options, () => resolve(s))
+        : tcpConnect(options, () => resolve(s));
+    s.setTimeout(TIMEOUT_MS, () => s.destroy(new Error(`SMTP ${channel.host}:${channel.port} timed out.`)));
+    s.once("error", reject);
+  });
+}
+
+// Sends `data` (an RFC 5322 message) from `from` to each of `to`; rejects on any
+// non-2xx/3xx reply, a dropped connection, or after SEND_TIMEOUT_MS in total
+export function sendMail(channel, message) {
+  const sockets = [];
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`SMTP ${channel.host}:${channel.port} took longer than ${SEND_TIMEOUT_MS / 1000} s.`);
+      sockets.forEach((s) => s.destroy());
+      reject(err);
+    }, SEND_TIMEOUT_MS);
+  });
+  return Promise.race([converse(channel, message, sockets), timeout]).finally(() => clearTimeout(timer));
+}
+
+// `sockets` collects every socket opened, so a timeout can close them
+async function converse(channel, { from, to, data }, sockets) {
+  let socket = await open(channel);
+  sockets.push(socket);
+  let reader = replies(socket);
+
+  const expect = async (command, ok) => {
+    if (command !== null) socket.write(`${command}\r\n`);
+    const reply = await reader.next();
+    if (!ok.includes(reply.code)) {
+      const shown = command?.startsWith("AUTH") ? "AUTH PLAIN …" : command ?? "greeting";
+      throw new Error(`SMTP ${shown} → ${reply.code} ${reply.lines.join(" ")}`.trim());
+    }
+    return reply;
+  };
+
+  try {
+    await expect(null, [220]);
+    const helo = `EHLO ${hostname() || "localhost"}`;
+    let ehlo = await expect(helo, [250]);
+    let encrypted = !!channel.secure;
+    if (!encrypted && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await expect("STARTTLS", [220]);
+      reader.detach();
+      socket = await open(channel, socket);
+      sockets.push(socket);
+      reader = replies(socket);
+      ehlo = await expect(helo, [250]);
+      encrypted = true;
+    }
+    if (channel.user) {
+      if (!encrypted && !channel.allowInsecureAuth) {
+        throw new Error(`SMTP ${channel.host}:${channel.port} offers no STARTTLS; not sending the password unencrypted (turn on TLS, or allowInsecureAuth for a local test server).`);
+      }
+      const token = Buffer.from(`\0${channel.user}\0${channel.pass ?? ""}`).toString("base64");
+      await expect(`AUTH PLAIN ${token}`, [235]);
+    }
+    await expect(`MAIL FROM:<${from}>`, [250]);
+    for (const rcpt of to) await expect(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await expect("DATA", [354]);
+    // Dot-stuffing: a line starting with "." gets a second one
+    await expect(`${data.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..")}\r\n.`, [250]);
+    await expect("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
@@ -0,0 +1,102 @@
+// Renders the PWA icons (progress ring on a dark tile) into public/icons.
+// No image dependencies: shapes are sampled per pixel and written as PNG.
+// Run after changing the design: node scripts/make-icons.js
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { deflateSync } from "node:zlib";
+
+const OUT = new URL("../public/icons/", import.meta.url);
+const BG = [10, 10, 10]; // neutral-950
+const TRACK = [38, 38, 38]; // neutral-800
+const RING = [37, 99, 235]; // blue-600
+const PROGRESS = 0.72; // share of the ring drawn in blue
+const SAMPLES = 4; // supersampling per axis (anti-aliasing)
+
+// Colour of one point in the unit square, or null when transparent
+function shade(x, y, { maskable }) {
+  const corner = maskable ? 0 : 0.22;
+  const dx = Math.max(corner - x, x - (1 - corner), 0);
+  const dy = Math.max(corner - y, y - (1 - corner), 0);
+  if (dx * dx + dy * dy > corner * corner) return null;
+  // Maskable icons are cropped to a circle of 80%; keep the ring inside it
+  const radius = maskable ? 0.26 : 0.32;
+  const width = maskable ? 0.075 : 0.09;
+  const r = Math.hypot(x - 0.5, y - 0.5);
+  if (Math.abs(r - radius) > width / 2) return BG;
+  const turn = (Math.atan2(x - 0.5, 0.5 - y) / (2 * Math.PI) + 1) % 1; // 0 at 12 o'clock, clockwise
+  return turn <= PROGRESS ? RING : TRACK;
+}
+
+function render(size, opts) {
+  const px = Buffer.alloc(size * size * 4);
+  for (let py = 0; py < size; py++) {
+    for (let pxi = 0; pxi < size; pxi++) {
+      const acc = [0, 0, 0, 0];
+      for (let sy = 0; sy < SAMPLES; sy++) {
+        for (let sx = 0; sx < SAMPLES; sx++) {
+          const c = shade((pxi + (sx + 0.5) / SAMPLES) / size, (py + (sy + 0.5) / SAMPLES) / size, opts);
+          if (!c) continue;
+          acc[0] += c[0]; acc[1] += c[1]; acc[2] += c[2]; acc[3] += 1;
+        }
+      }
+      const o = (py * size + pxi) * 4;
+      if (acc[3]) {
+        px[o] = Math.round(acc[0] / acc[3]);
+        px[o + 1] = Math.round(acc[1] / acc[3]);
+        px[o + 2] = Math.round(acc[2] / acc[3]);
+      }
+      px[o + 3] = Math.round((acc[3] / (SAMPLES * SAMPLES)) * 255);
+    }
+  }
+  return png(size, px);
+}
+
+// ------------------------------ PNG ------------------------------ //
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function png(size, rgba) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  const raw = Buffer.alloc(size * (size * 4 + 1));
+  for (let y = 0; y < size; y++) rgba.copy(raw, y * (size * 4 + 1) + 1, y * size * 4, (y + 1) * size * 4);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+mkdirSync(OUT, { recursive: true });
+[
+  ["icon-192.png", 192, { maskable: false }],
+  ["icon-512.png", 512, { maskable: false }],
+  ["icon-maskable-512.png", 512, { maskable: true }],
+  ["apple-touch-icon.png", 180, { maskable: true }],
+].forEach(([name, size, opts]) => {
+  writeFileSync(new URL(name, OUT), render(size, opts));
+  console.log(`wrote public/icons/${name}`);
+});
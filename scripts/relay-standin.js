@@ -0,0 +1,52 @@
+// Stand-in endpoints for trying the relay locally: an HTTP sink that prints
+// every webhook/ntfy/Gotify request, and an SMTP sink that prints every email.
+// Nothing is forwarded anywhere. Ctrl+C to stop.
+// Run: node scripts/relay-standin.js [httpPort=8090] [smtpPort=2525]
+
+import { createServer as createHttpServer } from "node:http";
+import { createServer as createTcpServer } from "node:net";
+
+const HTTP_PORT = Number(process.argv[2] ?? 8090);
+const SMTP_PORT = Number(process.argv[3] ?? 2525);
+
+createHttpServer((req, res) => {
+  const chunks = [];
+  req.on("data", (c) => chunks.push(c));
+  req.on("end", () => {
+    const auth = req.headers.authorization ?? req.headers["x-gotify-key"];
+    console.log(`[http] ${req.method} ${req.url}${auth ? ` (auth: ${auth})` : ""}\n${Buffer.concat(chunks).toString("utf8")}\n`);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end('{"ok":true}');
+  });
+}).listen(HTTP_PORT, "127.0.0.1", () => console.log(`HTTP sink on http://127.0.0.1:${HTTP_PORT}/ (any path)`));
+
+// Just enough SMTP for ./bin/smtp.js: accepts any login and any recipient
+createTcpServer((socket) => {
+  let buffer = "";
+  let data = null;
+  const say = (line) => socket.write(`${line}\r\n`);
+  say("220 relay-standin ESMTP");
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let nl;
+    while ((nl = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 2);
+      if (data !== null) {
+        if (line !== ".") { data.push(line.replace(/^\.\./, ".")); continue; }
+        console.log(`[smtp] message:\n${data.join("\n")}\n`);
+        data = null;
+        say("250 OK: queued");
+        continue;
+      }
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === "EHLO") { say("250-relay-standin"); say("250 AUTH PLAIN"); }
+      else if (verb === "AUTH") say("235 Authenticated");
+      else if (verb === "MAIL" || verb === "RCPT") { console.log(`[smtp] ${line}`); say("250 OK"); }
+      else if (verb === "DATA") { data = []; say("354 End data with <CR><LF>.<CR><LF>"); }
+      else if (verb === "QUIT") { say("221 Bye"); socket.end(); }
+      else say("250 OK");
+    }
+  });
+  socket.on("error", () => {});
+}).listen(SMTP_PORT, "127.0.0.1", () => console.log(`SMTP sink on 127.0.0.1:${SMTP_PORT}`));
@@ -1,64 +1,103 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { DateTime, Duration, Settings } from "luxon";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { DateTime, Duration, Info } from "luxon";
 import { motion, AnimatePresence } from "framer-motion";
+import {
+  DEFAULT_ZONE, DEFAULT_CYCLE, MILESTONE_KINDS, OFFSET_UNITS, BILLING_INTERVALS, MS_PER_MIN, MS_PER_HOUR, MS_PER_DAY,
+  clamp, inZone, monthAddCalendar, billingOf, addBillingInterval,
+  durationBreakdown, uid, isValidZone, localZone, dstIssue, rollCycleToNow,
+  cycleProgress, renewalAt, renewalSchedule, pastWindows, syncArchive, pricingOf, chargeAt, PRORATION_POLICIES, planChangeQuote, comparePlanChange, sortedPriceChanges, chargesTotal, convert,
+  milestonesOf, reminderEnabled, milestoneTimes, generateICS, icsCandidates, isPlainObject, cycleErrors,
+  LIFECYCLE_MILESTONES, lifecycleOf, lifecycleAt, restartAt, resumedCycle, activeMilestones,
+  LIMIT_RESETS, limitErrors, limitStatus, QUIET_MODES, quietErrors, quietOf, JOURNAL_KINDS, valueByCycle, journalMarkdown, journalCSV, journalLink,
+  journalEntryErrors, archiveEntryErrors,
+} from "./engine.js";
+import { BROWSER_CHANNEL, CHANNEL_FLAGS, CHANNEL_KINDS, DEFAULT_ROUTE, channelErrors, newChannel, routeOf, sendHttp } from "./channels.js";
+import { STARTER_PROMPTS, promptVariables, fillPrompt, normalizeTag, promptErrors, searchPrompts, promptTags, libraryExport, libraryErrors, mergeLibrary } from "./prompts.js";
+import { createI18n, DEFAULT_LANGUAGE, LANGUAGES } from "./i18n.js";
 
 /**
  * GPT Deadline – Single-file React component (JSX, no TypeScript)
  * Tech: React, Tailwind (classes), Framer Motion, Luxon
+ * Date/cycle/calendar logic lives in ./engine.js (also used by the CLI)
  * Drop in as <GPTDeadlineApp />
- * - Hero progress ring with live countdown (Asia/Kathmandu calculations)
+ * - Multiple subscriptions, each with its own plan, timezone, dates & reminders
+ * - Lifecycle: free trial (cancel-by deadline), active, cancelled, paused, expired
+ * - Hero progress ring with live countdown (per-subscription billing zone,
+ *   optional display in the browser's zone, DST gaps/overlaps flagged)
  * - Linear cycle timeline + key dates
- * - Details drawer: precise timestamps, mini calendar heat-strip, milestones
- * - Reminders (Notification API + in-app toasts) with toggles & snooze
- * - Settings: edit cycle, 12/24h, theme, .ics export, QA "set Now" override
- * - Offline hint via an inline service worker
- * - Privacy: uses localStorage only; no network calls
+ * - Details drawer: precise timestamps, month calendar (drag/pick days to edit dates), milestones
+ * - Value journal: wins and sessions per cycle, hours saved vs price, Markdown/CSV export
+ * - History: every completed cycle archived with price, reminders fired & notes
+ * - Reminders (persistent queue → Notification API + in-app toasts) with toggles,
+ *   snooze, missed-reminder catch-up, a history log, and quiet hours / working days
+ * - Notification channels per milestone: webhook, ntfy, Gotify, email (./channels.js),
+ *   sent while the page is closed by the relay (bin/gpt-deadline-relay.js)
+ * - Usage caps: per-model message limits on rolling/fixed windows, "+1" logging
+ *   (keys 1–9) and a reminder when a full cap frees up
+ * - Plan optimization: proration calculator for mid-cycle plan changes (stay vs switch),
+ *   prompt library with {{variables}} (./prompts.js) and offline guides
+ * - Settings: edit cycle, 12/24h, theme, .ics export
+ * - QA time simulator (speed, scrubber, jumps) driving reminders & rollovers
+ * - English / Nepali UI (./i18n.js catalogs) with Bikram Sambat dates alongside
+ * - Installable PWA: build-time service worker precaches every asset (offline)
+ * - Embeddable countdown: <gpt-deadline-countdown> and the ?embed=1 view (./widget.js)
+ * - Privacy: uses localStorage only; no network calls unless channels or a relay are set up
  */
 
 // ---------------------- Defaults (from spec) --------------------- //
 
-const DEFAULT_ZONE = "Asia/Kathmandu"; // Persist & use for all calcs
-
-const DEFAULT_CYCLE = {
-  plan: "ChatGPT Plus",
-  timezone: DEFAULT_ZONE,
-  startISO: "2025-08-20T07:18:00+05:45",
-  endISO: "2025-09-20T07:18:00+05:45",
-  reminders: {
-    halfway: true,
-    threeDays: true,
-    lastDay: true,
-    renewal: true,
-  },
+// App-wide display preferences (shared by all subscriptions)
+const DEFAULT_PREFS = {
   theme: "system", // "system" | "light" | "dark"
   hourFormat: "12h", // "12h" | "24h"
+  currency: "USD", // totals across subscriptions are shown in this currency
+  rates: { USD: 1, NPR: 140, INR: 88, EUR: 0.86 }, // units per 1 USD, edited locally
+  icsRecurring: false, // .ics renewal event repeats (RRULE) instead of a one-off
+  displayZone: "billing", // "billing" | "local" – zone dates are shown in
+  language: DEFAULT_LANGUAGE, // LANGUAGES key in ./i18n.js
+  calendar: "gregorian", // "gregorian" | "bs" – second calendar shown next to dates
+  channels: [], // notification channels besides this browser (see ./channels.js)
+  relay: { url: "", token: "" }, // bin/gpt-deadline-relay.js; when set, it sends the channels' reminders
 };
 
-// ---------------------------- Utils ------------------------------ //
-
-const MS_PER_MIN = 60 * 1000;
-const MS_PER_HOUR = 60 * MS_PER_MIN;
-const MS_PER_DAY = 24 * MS_PER_HOUR;
-
-const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+const PLAN_PRESETS = ["ChatGPT Plus", "ChatGPT Team", "Claude Pro", "GitHub Copilot", "Midjourney"];
+
+const STORAGE_KEYS = {
+  legacyCycle: "gpt-deadline:cycle", // single-cycle format, migrated on load
+  subscriptions: "gpt-deadline:subscriptions",
+  prefs: "gpt-deadline:prefs",
+  reminderQueue: "gpt-deadline:reminders",
+  history: "gpt-deadline:history",
+  usage: "gpt-deadline:usage", // messages logged against usage caps
+  journal: "gpt-deadline:journal", // value journal: wins and sessions
+  prompts: "gpt-deadline:prompts", // prompt library
+  schema: "gpt-deadline:schema", // SCHEMA_VERSION the stored data is in
+};
 
-function inZone(iso, zone = DEFAULT_ZONE) {
-  return DateTime.fromISO(iso, { zone });
-}
+// ---------------------------- Utils ------------------------------ //
 
-function fmtDate(dt, hourFormat) {
-  const opts = {
-    month: "short",
-    day: "numeric",
-    hour: "numeric",
-    minute: "2-digit",
-    hour12: hourFormat === "12h",
-  };
-  return dt.setLocale("en").toLocaleString(opts);
-}
+const REMINDER_CHECK_MS = 15 * 1000; // due-check cadence for the reminder queue
+const REMINDER_MISSED_GRACE_MS = 10 * MS_PER_MIN; // later than this = missed, not fired
+const USAGE_LOG_LIMIT = 5000; // usage-cap messages kept
+const REMINDER_HISTORY_LIMIT = 100;
+
+// QA simulator speeds (simulated seconds per real second) and event log size
+const SIM_SPEEDS = [1, 60, 3600];
+const SIM_LOG_LIMIT = 200; // event labels are catalog entries `qa.events.<kind>`
+
+// Snooze choices offered on toasts, notifications and the reminder history
+// (labels are catalog entries `snooze.<key>`)
+const SNOOZE_OPTIONS = [
+  { key: "10m", minutes: 10 },
+  { key: "1h", minutes: 60 },
+  { key: "tomorrow" },
+];
 
-function pct(n) {
-  return `${(n * 100).toFixed(1)}%`;
+function snoozeUntil(optionKey, zone, nowMs = Date.now()) {
+  const now = DateTime.fromMillis(nowMs, { zone });
+  const opt = SNOOZE_OPTIONS.find((o) => o.key === optionKey) ?? SNOOZE_OPTIONS[0];
+  if (opt.minutes) return now.plus({ minutes: opt.minutes });
+  return now.plus({ days: 1 }).set({ hour: 9, minute: 0, second: 0, millisecond: 0 });
 }
 
 function asLocalInputValue(dt) {
@@ -66,163 +105,378 @@ function asLocalInputValue(dt) {
   return dt.toFormat("yyyy-LL-dd'T'HH:mm");
 }
 
-function fromLocalInputValue(v, zone = DEFAULT_ZONE) {
+function fromLocalInputValue(v, zone) {
   // Parse yyyy-LL-dd'T'HH:mm in given zone
   return DateTime.fromFormat(v, "yyyy-LL-dd'T'HH:mm", { zone });
 }
 
-function monthAddCalendar(dt, months = 1) {
-  // Calendar add: preserves local time and handles 28–31 day months
-  return dt.plus({ months });
+// --------------------------- Storage ----------------------------- //
+// Every key is versioned together under STORAGE_KEYS.schema. On load, the
+// MIGRATIONS steps bring older data up to SCHEMA_VERSION; the same steps run
+// on imported backups. Load/save problems are reported, never swallowed.
+
+const SCHEMA_VERSION = 2;
+const BACKUP_APP_ID = "gpt-deadline";
+
+// Data keys that are versioned, exported and restored (STORAGE_KEYS names)
+const DATA_KEYS = ["subscriptions", "prefs", "reminderQueue", "history", "usage", "journal", "prompts"];
+
+// Each step upgrades a { [STORAGE_KEYS name]: value } object to version `to`
+const MIGRATIONS = [
+  {
+    to: 1,
+    // Single `cycle` record (plan + dates + theme/hourFormat) → subscription list + prefs
+    up(data) {
+      const { legacyCycle, ...rest } = data;
+      if (!legacyCycle || rest.subscriptions) return rest;
+      const { theme, hourFormat, ...cycle } = legacyCycle;
+      const sub = { ...cycle, id: uid() };
+      return {
+        ...rest,
+        subscriptions: { activeId: sub.id, items: [sub] },
+        prefs: { ...rest.prefs, ...(theme && { theme }), ...(hourFormat && { hourFormat }) },
+      };
+    },
+  },
+  {
+    to: 2,
+    // Fill nested defaults added since (billing, pricing, reminder keys, prefs)
+    up(data) {
+      const subs = data.subscriptions;
+      return {
+        ...data,
+        ...(subs && { subscriptions: { ...subs, items: (subs.items ?? []).map((i) => mergeDefaults(DEFAULT_CYCLE, i)) } }),
+        ...(data.prefs && { prefs: mergeDefaults(DEFAULT_PREFS, data.prefs) }),
+      };
+    },
+  },
+];
+
+function migrateData(data, fromVersion) {
+  return MIGRATIONS.filter((m) => m.to > fromVersion).reduce((acc, m) => m.up(acc), data);
 }
 
-function durationBreakdown(ms) {
-  const days = Math.floor(ms / MS_PER_DAY);
-  const rem1 = ms - days * MS_PER_DAY;
-  const hours = Math.floor(rem1 / MS_PER_HOUR);
-  const rem2 = rem1 - hours * MS_PER_HOUR;
-  const minutes = Math.floor(rem2 / MS_PER_MIN);
-  const seconds = Math.floor((rem2 - minutes * MS_PER_MIN) / 1000);
-  return { days, hours, minutes, seconds };
+// Deep merge: nested objects merge key by key, arrays and scalars replace
+function mergeDefaults(fallback, value) {
+  if (!isPlainObject(fallback) || !isPlainObject(value)) return value === undefined ? fallback : value;
+  const out = { ...fallback };
+  Object.keys(value).forEach((k) => { out[k] = mergeDefaults(fallback[k], value[k]); });
+  return out;
 }
 
-function humanRel(dt, base) {
-  const diff = dt.diff(base, ["days", "hours", "minutes"]).toObject();
-  const parts = [];
-  if ((diff.days ?? 0) !== 0) parts.push(`${Math.trunc(Math.abs(diff.days ?? 0))}d`);
-  if ((diff.hours ?? 0) !== 0) parts.push(`${Math.trunc(Math.abs(diff.hours ?? 0))}h`);
-  if (parts.length < 2) parts.push(`${Math.trunc(Math.abs(diff.minutes ?? 0))}m`);
-  const tense = dt >= base ? "from now" : "ago";
-  return `${parts.join(" ")} ${tense}`;
+// Problems found while reading/writing storage, shown in the UI: { key, ...vars }
+// for the `storage.<key>` catalog entries
+const storageIssues = [];
+const STORAGE_ISSUE_EVENT = "gpt-deadline:storage-issue";
+
+function reportStorageIssue(issue) {
+  if (storageIssues.some((i) => JSON.stringify(i) === JSON.stringify(issue))) return;
+  storageIssues.push(issue);
+  if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent(STORAGE_ISSUE_EVENT));
 }
 
-function uid() {
-  return Math.random().toString(36).slice(2);
+function useStorageIssues() {
+  const [issues, setIssues] = useState(() => [...storageIssues]);
+  useEffect(() => {
+    const sync = () => setIssues([...storageIssues]);
+    window.addEventListener(STORAGE_ISSUE_EVENT, sync);
+    sync();
+    return () => window.removeEventListener(STORAGE_ISSUE_EVENT, sync);
+  }, []);
+  const dismiss = () => { storageIssues.length = 0; setIssues([]); };
+  return [issues, dismiss];
 }
 
-// Persist/restore JSON to localStorage
-function loadState(key, fallback) {
+function readRaw(key) {
   try {
     const raw = localStorage.getItem(key);
-    if (!raw) return fallback;
-    return { ...fallback, ...JSON.parse(raw) };
+    return raw ? JSON.parse(raw) : undefined;
   } catch {
-    return fallback;
+    // Keep the unreadable value aside instead of silently overwriting it
+    try { localStorage.setItem(`${key}:corrupt`, localStorage.getItem(key) ?? ""); } catch {}
+    reportStorageIssue({ key: "unreadable", name: key });
+    return undefined;
   }
 }
+
+// Run pending migrations over localStorage once per page load
+let storageMigrated = false;
+function migrateStorage() {
+  if (storageMigrated) return;
+  storageMigrated = true;
+  const version = Number(readRaw(STORAGE_KEYS.schema) ?? 0);
+  if (version >= SCHEMA_VERSION) return;
+  const data = {};
+  ["legacyCycle", ...DATA_KEYS].forEach((name) => {
+    const v = readRaw(STORAGE_KEYS[name]);
+    if (v !== undefined) data[name] = v;
+  });
+  const migrated = migrateData(data, version);
+  DATA_KEYS.forEach((name) => { if (migrated[name] !== undefined) saveState(STORAGE_KEYS[name], migrated[name]); });
+  saveState(STORAGE_KEYS.schema, SCHEMA_VERSION);
+}
+
+// Persist/restore JSON to localStorage
+function loadState(key, fallback) {
+  migrateStorage();
+  const value = readRaw(key);
+  return value === undefined ? fallback : mergeDefaults(fallback, value);
+}
 function saveState(key, val) {
-  try { localStorage.setItem(key, JSON.stringify(val)); } catch {}
+  try {
+    localStorage.setItem(key, JSON.stringify(val));
+    return true;
+  } catch (err) {
+    const full = err && (err.name === "QuotaExceededError" || err.code === 22);
+    reportStorageIssue(full ? { key: "full" } : err && err.message ? { key: "unsaved", name: key, error: err.message } : { key: "unavailable", name: key });
+    return false;
+  }
 }
 
-// Roll input cycle to the window that contains `now`.
-function rollCycleToNow(cycle, now) {
-  let start = inZone(cycle.startISO, cycle.timezone);
-  let end = inZone(cycle.endISO, cycle.timezone);
-  let rolled = false;
+function loadSubscriptions() {
+  const stored = loadState(STORAGE_KEYS.subscriptions, { activeId: DEFAULT_CYCLE.id, items: [] });
+  if (!stored.items.length) return { activeId: DEFAULT_CYCLE.id, items: [DEFAULT_CYCLE] };
+  return { ...stored, items: stored.items.map((i) => mergeDefaults(DEFAULT_CYCLE, i)) };
+}
 
-  if (now < start) {
-    // If user set a start in the future, keep as-is (pre-cycle state)
-    return { start, end, rolled };
-  }
+function loadPrefs() {
+  return loadState(STORAGE_KEYS.prefs, DEFAULT_PREFS);
+}
+
+// ------------------------- Backup / restore ----------------------- //
 
-  // Move forward by calendar months until now < end
-  while (now >= end) {
-    start = end;
-    end = monthAddCalendar(end, 1);
-    rolled = true;
+function buildBackup() {
+  const data = {};
+  DATA_KEYS.forEach((name) => {
+    const v = readRaw(STORAGE_KEYS[name]);
+    if (v !== undefined) data[name] = v;
+  });
+  return { app: BACKUP_APP_ID, schemaVersion: SCHEMA_VERSION, exportedAt: DateTime.now().toUTC().toISO(), data };
+}
+
+// Check a parsed backup file, down to every stored item, with the validators
+// the editors use; migrates older versions. Problems are worded with `t`
+// (`backup.*` for the file itself, `problems.*` for its contents).
+// → { data, errors }
+function validateBackup(file, t) {
+  if (!isPlainObject(file) || file.app !== BACKUP_APP_ID) {
+    return { data: null, errors: [t("backup.notBackup")] };
   }
-  return { start, end, rolled };
-}
-
-// Compute milestones
-function milestoneTimes(start, end) {
-  const totalMs = end.toMillis() - start.toMillis();
-  const halfway = start.plus({ milliseconds: totalMs / 2 });
-  const threeDays = end.minus({ days: 3 });
-  const lastDay = end.minus({ hours: 24 });
-  const renewal = end;
-  return { halfway, threeDays, lastDay, renewal };
-}
-
-// .ics export (simple, TZ-aware)
-function generateICS(start, end, zone) {
-  const { halfway, threeDays, lastDay, renewal } = milestoneTimes(start, end);
-  const nowUTC = DateTime.now().toUTC();
-  const dtstamp = nowUTC.toFormat("yyyyLLdd'T'HHmmss'Z'");
-  const wrap = (dt) => `DTSTART;TZID=${zone}:${dt.toFormat("yyyyLLdd'T'HHmm")}`;
-  const events = [
-    { sum: "ChatGPT Plus: Halfway point", dt: halfway },
-    { sum: "ChatGPT Plus: 3 days left", dt: threeDays },
-    { sum: "ChatGPT Plus: 24 hours left", dt: lastDay },
-    { sum: "ChatGPT Plus: Renewal", dt: renewal.minus({ minutes: 5 }) },
-  ];
-  const vevents = events.map((e) => [
-    "BEGIN:VEVENT",
-    `UID:${uid()}@gptdeadline`,
-    `DTSTAMP:${dtstamp}`,
-    wrap(e.dt),
-    `SUMMARY:${e.sum}`,
-    "END:VEVENT",
-  ].join("\n")).join("\n");
-
-  // Minimal VCALENDAR; VTIMEZONE omitted for brevity (many calendars resolve IANA TZIDs)
-  const ics = [
-    "BEGIN:VCALENDAR",
-    "VERSION:2.0",
-    "CALSCALE:GREGORIAN",
-    "PRODID:-//GPTDeadline//EN",
-    vevents,
-    "END:VCALENDAR",
-  ].join("\n");
-  return ics;
-}
-
-// Inline Service Worker to cache the current page for offline
-async function registerInlineSW() {
-  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
-  try {
-    const swCode = `
-      const CACHE = 'gpt-deadline-v1';
-      self.addEventListener('install', (e) => {
-        e.waitUntil((async () => {
-          const cache = await caches.open(CACHE);
-          await cache.addAll([self.registration.scope]);
-        })());
-      });
-      self.addEventListener('fetch', (e) => {
-        e.respondWith((async () => {
-          const cached = await caches.match(e.request);
-          if (cached) return cached;
-          try { return await fetch(e.request); } catch (err) {
-            return new Response('Offline', { status: 200, headers: { 'Content-Type': 'text/plain' } });
-          }
-        })());
+  const errors = [];
+  const problem = (key, path, vars = {}) => ({ key, path, ...vars });
+  const worded = () => errors.map((p) => (p.key === "newer" ? t("backup.newer", p) : t(`problems.${p.key}`, p)));
+  const version = Number(file.schemaVersion);
+  if (!Number.isInteger(version) || version < 0) errors.push(problem("wholeAtLeast", "schemaVersion", { min: 0 }));
+  else if (version > SCHEMA_VERSION) errors.push({ key: "newer", version, max: SCHEMA_VERSION });
+  if (!isPlainObject(file.data)) errors.push(problem("object", "data"));
+  if (errors.length) return { data: null, errors: worded() };
+
+  const data = migrateData(file.data, version);
+  const subs = data.subscriptions;
+  if (!isPlainObject(subs) || !Array.isArray(subs.items) || !subs.items.length) {
+    errors.push(problem("nonEmptyList", "data.subscriptions.items"));
+  } else {
+    const ids = new Set();
+    subs.items.forEach((item, i) => {
+      const at = `data.subscriptions.items[${i}]`;
+      if (!isPlainObject(item)) return errors.push(problem("object", at));
+      if (typeof item.id !== "string" || !item.id) errors.push(problem("nonEmpty", `${at}.id`));
+      else if (ids.has(item.id)) errors.push(problem("duplicate", `${at}.id`, { value: item.id }));
+      ids.add(item.id);
+      errors.push(...cycleErrors(item, at));
+    });
+  }
+  if (data.prefs !== undefined && !isPlainObject(data.prefs)) errors.push(problem("object", "data.prefs"));
+  else {
+    if (data.prefs?.channels !== undefined) {
+      if (!Array.isArray(data.prefs.channels)) errors.push(problem("list", "data.prefs.channels"));
+      else data.prefs.channels.forEach((c, i) => {
+        const at = `data.prefs.channels[${i}]`;
+        // Unfinished settings are allowed (the editor saves them too); the shape is not
+        if (!isPlainObject(c) || !CHANNEL_KINDS[c.kind] || c.kind === "browser") return errors.push(problem("unsupported", `${at}.kind`, { value: String(c?.kind) }));
+        if (typeof c.id !== "string" || !c.id) errors.push(problem("nonEmpty", `${at}.id`));
+        if (typeof c.name !== "string") errors.push(problem("string", `${at}.name`));
       });
-    `;
-    const blob = new Blob([swCode], { type: "text/javascript" });
-    const url = URL.createObjectURL(blob);
-    await navigator.serviceWorker.register(url);
-  } catch {}
+    }
+    const relay = data.prefs?.relay;
+    if (relay !== undefined && !(isPlainObject(relay) && typeof relay.url === "string" && typeof relay.token === "string")) errors.push(problem("relay", "data.prefs.relay"));
+  }
+
+  const idErrors = (item, at, keys) => keys.flatMap((k) => (typeof item[k] === "string" && item[k] ? [] : [problem("nonEmpty", `${at}.${k}`)]));
+  const msErrors = (item, at) => (Number.isFinite(item.at) ? [] : [problem("ms", `${at}.at`)]);
+  const itemErrors = {
+    reminderQueue: (e, at) => [
+      ...idErrors(e, at, ["id", "subId", "milestoneId"]),
+      ...(typeof e.title === "string" ? [] : [problem("string", `${at}.title`)]),
+      ...(e.body === undefined || typeof e.body === "string" ? [] : [problem("string", `${at}.body`)]),
+      ...msErrors(e, at),
+      ...(["pending", "fired", "missed"].includes(e.status) ? [] : [problem("unsupported", `${at}.status`, { value: String(e.status) })]),
+    ],
+    history: (e, at) => archiveEntryErrors(e, at),
+    usage: (e, at) => [...idErrors(e, at, ["subId", "limitId"]), ...msErrors(e, at)],
+    journal: (e, at) => [...idErrors(e, at, ["id", "subId"]), ...journalEntryErrors(e, at)],
+    prompts: (p, at) => [
+      ...idErrors(p, at, ["id"]),
+      ...promptErrors(p).map((e) => problem("prompt", at, { error: t(`prompts.errors.${e.key}`, e) })),
+      ...(p.uses === undefined || Number.isInteger(p.uses) ? [] : [problem("whole", `${at}.uses`)]),
+    ],
+  };
+  Object.entries(itemErrors).forEach(([name, check]) => {
+    if (data[name] === undefined) return;
+    if (!(isPlainObject(data[name]) && Array.isArray(data[name].items))) return errors.push(problem("list", `data.${name}.items`));
+    data[name].items.forEach((item, i) => {
+      const at = `data.${name}.items[${i}]`;
+      errors.push(...(isPlainObject(item) ? check(item, at) : [problem("object", at)]));
+    });
+  });
+  return errors.length ? { data: null, errors: worded() } : { data, errors: [] };
+}
+
+// Replace local data with a validated backup, every key or none: when storage
+// refuses one, the earlier data is put back. → null when restored, else
+// { error, rollbackError } (rollbackError: why putting it back failed too, or null)
+function restoreBackup(data) {
+  const keys = [...DATA_KEYS.map((name) => STORAGE_KEYS[name]), STORAGE_KEYS.schema];
+  const values = [...DATA_KEYS.map((name) => data[name]), SCHEMA_VERSION].map((v) => (v === undefined ? null : JSON.stringify(v)));
+  const before = keys.map((key) => localStorage.getItem(key));
+  const write = (list) => {
+    keys.forEach((key) => localStorage.removeItem(key));
+    keys.forEach((key, i) => { if (list[i] !== null) localStorage.setItem(key, list[i]); });
+  };
+  try {
+    write(values);
+    return null;
+  } catch (error) {
+    try {
+      write(before);
+      return { error, rollbackError: null };
+    } catch (rollbackError) {
+      return { error, rollbackError };
+    }
+  }
+}
+
+// -------------------------- Share links ---------------------------- //
+// A cycle travels in the URL hash (#share=<base64url JSON>), so nothing is
+// sent to a server. Only schedule fields are shared — not price or history.
+
+const SHARE_PARAM = "share";
+const SHARE_VERSION = 1;
+const SHARED_FIELDS = ["plan", "timezone", "startISO", "endISO", "billing", "reminders", "milestones"];
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+function shareLink(cycle, baseURL) {
+  const payload = { v: SHARE_VERSION };
+  SHARED_FIELDS.forEach((k) => { if (cycle[k] !== undefined) payload[k] = cycle[k]; });
+  const url = new URL(baseURL);
+  url.search = "";
+  url.hash = `${SHARE_PARAM}=${toBase64Url(JSON.stringify(payload))}`;
+  return url.toString();
+}
+
+// Hash → { cycle, errors }, or null when the hash carries no share; `t` words
+// the problems
+function parseShareHash(hash, t) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const raw = params.get(SHARE_PARAM);
+  if (raw === null) return null;
+  let payload;
+  try { payload = JSON.parse(fromBase64Url(raw)); } catch { return { cycle: null, errors: [t("share.damaged")] }; }
+  if (!isPlainObject(payload)) return { cycle: null, errors: [t("share.empty")] };
+  if (payload.v > SHARE_VERSION) return { cycle: null, errors: [t("share.newer")] };
+  const cycle = {};
+  SHARED_FIELDS.forEach((k) => { if (payload[k] !== undefined) cycle[k] = payload[k]; });
+  const errors = cycleErrors(cycle, "link").map((p) => t(`problems.${p.key}`, p));
+  return errors.length ? { cycle: null, errors } : { cycle, errors };
+}
+
+// Save text as a file via a temporary object URL
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+// New subscription starting now, one calendar month long
+function newSubscription(plan, zone = DEFAULT_ZONE) {
+  const start = DateTime.now().setZone(zone).startOf("minute");
+  return {
+    ...DEFAULT_CYCLE,
+    id: uid(),
+    plan,
+    timezone: zone,
+    startISO: start.toISO(),
+    endISO: monthAddCalendar(start, 1).toISO(),
+  };
+}
+
+// The subscription with its automatic lifecycle changes applied: a due resume
+// restarts billing, and a state nobody recorded yet (trial converted, access
+// ran out) is logged. Returns `sub` itself when nothing changed.
+function recordLifecycle(sub, now) {
+  const live = resumedCycle(sub, now) ?? sub;
+  const life = lifecycleOf(live);
+  const { state, since } = lifecycleAt(live, now);
+  const last = life.log[life.log.length - 1]?.state ?? "active";
+  if (state === last) return live;
+  // "expired" is derived, never stored
+  const stored = state === "expired" ? life.state : state;
+  return { ...live, lifecycle: { ...life, state: stored, log: [...life.log, { at: (since ?? now).toISO(), state, auto: true }] } };
+}
+
+// Badge colours per lifecycle state
+const LIFECYCLE_CHIP = {
+  trial: "bg-violet-100 text-violet-800 dark:bg-violet-900/30 dark:text-violet-200",
+  active: "bg-emerald-100 text-emerald-800 dark:bg-emerald-900/30 dark:text-emerald-200",
+  cancelled: "bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-200",
+  paused: "bg-sky-100 text-sky-800 dark:bg-sky-900/30 dark:text-sky-200",
+  expired: "bg-gray-200 text-gray-700 dark:bg-white/10 dark:text-gray-300",
+};
+
+// Catalog key for what happens at a window's end, given the subscription's state
+function windowEndKey({ end, ended, life }) {
+  if (ended) return "keyDates.ended";
+  if (life.state === "trial" && life.trialEnd && end.toMillis() === life.trialEnd.toMillis()) return "keyDates.converts";
+  if (life.accessEnd && end >= life.accessEnd) return life.state === "paused" ? "keyDates.pauses" : "keyDates.accessEnds";
+  return "keyDates.renews";
 }
 
+// IANA zones for the picker (older engines get a short list; any valid zone is accepted)
+const ALL_ZONES = (() => {
+  const list = typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : ["Asia/Kathmandu", "Asia/Kolkata", "Europe/London", "Europe/Berlin", "America/New_York", "America/Chicago", "America/Los_Angeles", "Australia/Sydney"];
+  return list.includes("UTC") ? list : [...list, "UTC"];
+})();
+
 // ------------------------ Component UI --------------------------- //
 
-const TIPS = [
-  "Try Deep Research for a complex topic you’ve been postponing.",
-  "Audit your best prompts; turn them into reusable templates.",
-  "Use voice + screen share to troubleshoot a workflow quickly.",
-  "Batch tasks: draft 5 emails, then refine in one go.",
-  "Set up automations for weekly summaries and reminders.",
-  "Keep a ‘Wins’ doc—log outputs you shipped thanks to Plus.",
-];
+// Translations + formatters for the chosen language/calendar (see ./i18n.js)
+const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
 
-function useRotatingTip(intervalMs = 8000) {
+function useI18n() {
+  return useContext(I18nContext);
+}
+
+// Tips come from the catalog ("tips"), so the list follows the language
+function useRotatingTip(tips, intervalMs = 8000) {
   const [i, setI] = useState(0);
   useEffect(() => {
-    const id = setInterval(() => setI((p) => (p + 1) % TIPS.length), intervalMs);
+    const id = setInterval(() => setI((p) => p + 1), intervalMs);
     return () => clearInterval(id);
   }, [intervalMs]);
-  return TIPS[i];
+  return tips[i % tips.length];
 }
 
 function useTheme(theme) {
@@ -234,79 +488,330 @@ function useTheme(theme) {
   }, [theme]);
 }
 
-function useNowTick(qaMode, qaNowISO) {
-  const [now, setNow] = useState(() => (qaMode && qaNowISO ? inZone(qaNowISO) : DateTime.now().setZone(DEFAULT_ZONE)));
+// Live clock in `zone` (the display zone); all cycle math compares instants
+function useNowTick(qaMode, zone) {
+  // Simulated time = base + real time since `realMs` × speed (frozen when paused)
+  const [sim, setSim] = useState(() => ({ baseMs: Date.now(), realMs: Date.now(), speed: 1, paused: false }));
+  const simRef = useRef(sim);
+  simRef.current = sim;
+  const read = () => {
+    const s = simRef.current;
+    if (!qaMode) return Date.now();
+    return s.paused ? s.baseMs : s.baseMs + (Date.now() - s.realMs) * s.speed;
+  };
+  const readRef = useRef(read);
+  readRef.current = read;
+  const [nowMs, setNowMs] = useState(read);
+
+  // Entering QA mode starts the simulation at the real "now", 1×, running
   useEffect(() => {
-    const id = setInterval(() => setNow((prev) => (qaMode ? prev.plus({ seconds: 1 }) : DateTime.now().setZone(DEFAULT_ZONE))), 1000);
+    if (qaMode) setSim(simRef.current = { baseMs: Date.now(), realMs: Date.now(), speed: 1, paused: false });
+    setNowMs(readRef.current());
+    const id = setInterval(() => setNowMs(readRef.current()), 1000);
     return () => clearInterval(id);
   }, [qaMode]);
-  useEffect(() => { if (qaMode && qaNowISO) setNow(inZone(qaNowISO)); }, [qaMode, qaNowISO]);
-  return now;
+
+  // Re-anchor at the current simulated instant, then apply the change
+  const update = (patch) => {
+    const next = { ...simRef.current, baseMs: readRef.current(), realMs: Date.now(), ...patch };
+    setSim(simRef.current = next);
+    setNowMs(readRef.current());
+  };
+  const clock = {
+    ...sim,
+    setSpeed: (speed) => update({ speed }),
+    setPaused: (paused) => update({ paused }),
+    jumpTo: (ms) => update({ baseMs: ms }),
+  };
+  return { now: DateTime.fromMillis(nowMs, { zone }), nowMs, clock };
 }
 
-function useReminders(enabled, start, end) {
-  const timers = useRef({});
-  const [toasts, setToasts] = useState([]);
+// Service worker (src/sw.js, emitted by the build) + install prompt.
+// A new build installs in the background; `updateReady` asks the user before
+// it takes over, then the page reloads onto the new assets.
+function usePwa() {
+  const [waiting, setWaiting] = useState(null);
+  const [installPrompt, setInstallPrompt] = useState(null);
+  const acceptedRef = useRef(false); // reload only for an update the user accepted
 
   useEffect(() => {
-    // Clear previous timeouts
-    Object.values(timers.current).forEach((id) => id && clearTimeout(id));
-    timers.current = {};
-
-    const schedule = async (key, at, title, body) => {
-      const nowRef = DateTime.now().setZone(DEFAULT_ZONE);
-      const delay = at.toMillis() - nowRef.toMillis();
-      if (delay <= 0 || !enabled[key]) return;
-      const notify = () => {
-        if ("Notification" in window) {
-          if (Notification.permission === "granted") {
-            try { new Notification(title, { body }); } catch {}
-          }
-        }
-        const tid = uid();
-        setToasts((list) => [{ id: tid, title, body }, ...list].slice(0, 4));
-        window.setTimeout(() => { setToasts((list) => list.filter((t) => t.id !== tid)); }, 7000);
-      };
-      if ("Notification" in window && Notification.permission === "default") {
-        try { await Notification.requestPermission(); } catch {}
-      }
-      timers.current[key] = window.setTimeout(notify, delay);
-    };
-
-    const { halfway, threeDays, lastDay, renewal } = milestoneTimes(start, end);
-    schedule("halfway", halfway, "Halfway point", "You’re halfway through this cycle. Plan a high-value session.");
-    schedule("threeDays", threeDays, "3 days left", "Three days left—queue the tasks you want done.");
-    schedule("lastDay", lastDay, "24 hours left", "Last day of this cycle. Ship something today.");
-    schedule("renewal", renewal.minus({ minutes: 5 }), "Renewal soon", "Your plan renews in 5 minutes.");
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+    const onControllerChange = () => { if (acceptedRef.current) window.location.reload(); };
+    navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).then((reg) => {
+      // Only a worker replacing an existing one is an "update"; the first install just caches
+      const offer = (worker) => { if (worker && navigator.serviceWorker.controller) setWaiting(worker); };
+      offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker.addEventListener("statechange", () => { if (worker.state === "installed") offer(worker); });
+      });
+    }).catch(() => {});
+    return () => navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+  }, []);
 
+  useEffect(() => {
+    const onPrompt = (e) => { e.preventDefault(); setInstallPrompt(e); };
+    const onInstalled = () => setInstallPrompt(null);
+    window.addEventListener("beforeinstallprompt", onPrompt);
+    window.addEventListener("appinstalled", onInstalled);
     return () => {
-      Object.values(timers.current).forEach((id) => id && clearTimeout(id));
-      timers.current = {};
+      window.removeEventListener("beforeinstallprompt", onPrompt);
+      window.removeEventListener("appinstalled", onInstalled);
     };
-  }, [enabled.halfway, enabled.threeDays, enabled.lastDay, enabled.renewal, start.toMillis(), end.toMillis()]);
+  }, []);
+
+  const applyUpdate = () => {
+    acceptedRef.current = true;
+    waiting.postMessage({ type: "skip-waiting" });
+  };
+  const install = async () => {
+    installPrompt.prompt();
+    await installPrompt.userChoice.catch(() => {});
+    setInstallPrompt(null);
+  };
+  return {
+    updateReady: !!waiting,
+    applyUpdate,
+    dismissUpdate: () => setWaiting(null),
+    canInstall: !!installPrompt,
+    install,
+  };
+}
+
+// Messages logged against usage caps ({ id, subId, limitId, at }). In QA mode
+// the log is an in-memory copy, so simulated usage is never saved.
+function useUsageLog(simulated) {
+  const [log, setLog] = useState(() => loadState(STORAGE_KEYS.usage, { items: [] }).items);
+  const firstRun = useRef(true);
+  useEffect(() => {
+    if (firstRun.current) { firstRun.current = false; return; }
+    setLog(loadState(STORAGE_KEYS.usage, { items: [] }).items);
+  }, [simulated]);
+  useEffect(() => { if (!simulated) saveState(STORAGE_KEYS.usage, { items: log }); }, [log]);
+  return [log, setLog];
+}
+
+// Keep entries of caps that still exist and young enough to count (two windows
+// back covers every reset style), newest USAGE_LOG_LIMIT at most
+function pruneUsage(log, subs, nowMs) {
+  const now = DateTime.fromMillis(nowMs);
+  const limits = new Map(subs.flatMap((s) => (s.limits ?? []).map((l) => [`${s.id}:${l.id}`, l])));
+  return log
+    .filter((u) => {
+      const l = limits.get(`${u.subId}:${u.limitId}`);
+      return l && !limitErrors(l, "").length && u.at > now.minus({ [l.window.unit]: 2 * l.window.amount }).toMillis();
+    })
+    .slice(-USAGE_LOG_LIMIT);
+}
+
+// Show a notification, via the service worker registration where there is one
+// (required on mobile, lets the OS replace duplicates by `tag`, and allows
+// snooze action buttons that the worker hands back as "snooze:<key>").
+async function showReminderNotification(title, body, tag, t) {
+  if (!("Notification" in window) || Notification.permission !== "granted") return;
+  try {
+    const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (reg) {
+      const actions = SNOOZE_OPTIONS.slice(0, 2).map((o) => ({ action: `snooze:${o.key}`, title: t(`snooze.${o.key}`) }));
+      await reg.showNotification(title, { body, tag, data: { reminderId: tag }, actions });
+    } else {
+      new Notification(title, { body, tag });
+    }
+  } catch {}
+}
 
-  const snooze = (minutes = 60) => {
-    const title = "Snoozed reminder";
-    const body = `I'll remind you again in ${minutes} minutes.`;
+// Keep every pending entry plus the newest HISTORY_LIMIT delivered/missed ones
+function trimReminderQueue(items) {
+  const pending = items.filter((e) => e.status === "pending");
+  const done = items.filter((e) => e.status !== "pending").sort((a, b) => b.at - a.at).slice(0, REMINDER_HISTORY_LIMIT);
+  return [...pending, ...done];
+}
+
+// Persistent reminder queue. Entries ({ id, subId, milestoneId, title, body, at,
+// status: "pending" | "fired" | "missed" }) live in localStorage, so a reload keeps
+// them; a periodic due-check replaces long setTimeouts (throttled in background
+// tabs), and anything overdue by more than the grace period is reported as missed.
+// Snoozing adds a pending copy of the reminder (`snoozedFrom` = original id) that
+// keeps its title and body and is left alone by the milestone sync.
+// `cycles`: [{ id, plan, timezone, reminders, notify, milestones, start, end }] – one entry per subscription
+// With `simulated` (QA mode) the queue runs against `nowMs` in memory only, so
+// simulated firings never touch the saved queue; `onEvent` gets each firing.
+// `i18n` words the snooze toast and notification actions.
+// Each firing goes to its milestone's route: the browser notification only when
+// routed there, other `channels` from here unless a `relay` sends them.
+// `extra`: ready-made entries ({ id, subId, milestoneId, title, body, at }) that
+// aren't milestones, e.g. usage caps freeing up; synced the same way.
+function useReminders(cycles, { nowMs, simulated = false, speed = 1, onEvent, i18n, channels = [], relay, extra = [] } = {}) {
+  const [queue, setQueue] = useState(() => loadState(STORAGE_KEYS.reminderQueue, { items: [] }).items);
+  const queueRef = useRef(queue);
+  queueRef.current = queue;
+  const cyclesRef = useRef(cycles);
+  cyclesRef.current = cycles;
+  const [toasts, setToasts] = useState([]);
+
+  const clockRef = useRef({ nowMs, simulated, speed, onEvent, i18n, channels, relay });
+  clockRef.current = { nowMs, simulated, speed, onEvent, i18n, channels, relay };
+  const currentMs = () => (clockRef.current.simulated ? clockRef.current.nowMs : Date.now());
+
+  // Swap between the saved queue and a fresh simulated one
+  const firstRun = useRef(true);
+  useEffect(() => {
+    if (firstRun.current) { firstRun.current = false; return; }
+    setQueue(simulated ? [] : loadState(STORAGE_KEYS.reminderQueue, { items: [] }).items);
+    setToasts([]);
+  }, [simulated]);
+  useEffect(() => { if (!simulated) saveState(STORAGE_KEYS.reminderQueue, { items: queue }); }, [queue]);
+
+  // `reminderId` makes the toast offer snooze actions
+  const pushToast = (title, body, ttl = 7000, reminderId = null) => {
     const tid = uid();
-    const tidTO = window.setTimeout(() => {
-      if ("Notification" in window && Notification.permission === "granted") {
-        try { new Notification("Reminder", { body: "This is your snoozed reminder." }); } catch {}
+    setToasts((list) => [{ id: tid, title, body, reminderId }, ...list].slice(0, 4));
+    window.setTimeout(() => { setToasts((list) => list.filter((t) => t.id !== tid)); }, ttl);
+  };
+
+  // Re-sync only when a plan name, window, milestone or toggle actually changes
+  const signature = cycles
+    .map((c) => [c.id, c.plan, c.start.toMillis(), c.end.toMillis(), JSON.stringify(c.milestones), JSON.stringify(c.reminders), JSON.stringify(c.quiet)].join(":"))
+    .concat(extra.map((e) => e.id))
+    .join("|");
+
+  // Sync the queue with the current milestones: add new upcoming reminders, drop
+  // pending ones that were disabled or moved. Past entries stay for the due-check.
+  useEffect(() => {
+    const nowMs = currentMs();
+    const wanted = new Map();
+    cycles.forEach((c) => {
+      milestoneTimes(c.start, c.end, c.milestones, c.quiet).forEach((m) => {
+        if (!reminderEnabled(c, m.id)) return;
+        const at = m.remindAt.toMillis();
+        const id = `${c.id}:${m.id}:${at}`;
+        wanted.set(id, { id, subId: c.id, milestoneId: m.id, title: `${c.plan}: ${m.title}`, body: m.message, at, milestoneAt: m.at.toMillis(), status: "pending" });
+      });
+    });
+    extra.forEach((e) => wanted.set(e.id, { ...e, status: "pending" }));
+    setQueue((q) => {
+      const known = new Set(q.map((e) => e.id));
+      const subIds = new Set(cycles.map((c) => c.id));
+      const kept = q.filter((e) => e.status !== "pending" || wanted.has(e.id) || e.at <= nowMs || (e.snoozedFrom && subIds.has(e.subId)));
+      const added = [...wanted.values()].filter((e) => !known.has(e.id) && e.at > nowMs);
+      return added.length || kept.length !== q.length ? [...kept, ...added] : q;
+    });
+    if (wanted.size && "Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission().catch(() => {});
+    }
+  }, [signature, simulated]);
+
+  // Due-check: fire what is due, mark what is long overdue as missed.
+  // Simulated grace scales with speed so a 3600× tick doesn't count as "missed".
+  const check = () => {
+    const { simulated: sim, speed: rate, onEvent: report } = clockRef.current;
+    const nowMs = currentMs();
+    const due = queueRef.current.filter((e) => e.status === "pending" && e.at <= nowMs);
+    if (!due.length) return;
+    const grace = sim ? REMINDER_MISSED_GRACE_MS * Math.max(1, rate) : REMINDER_MISSED_GRACE_MS;
+    const late = new Set(due.filter((e) => nowMs - e.at > grace).map((e) => e.id));
+    due.forEach((e) => {
+      if (!late.has(e.id)) {
+        const sub = cyclesRef.current.find((c) => c.id === e.subId);
+        const route = sub ? routeOf(sub, e.milestoneId) : DEFAULT_ROUTE;
+        if (route.includes(BROWSER_CHANNEL.id)) showReminderNotification(e.title, e.body, e.id, clockRef.current.i18n.t);
+        pushToast(e.title, e.body, 20000, e.id);
+        if (!sim) sendToRoute(route, e, sub);
       }
-      setToasts((list) => [{ id: uid(), title: "Reminder", body: "Snooze time is up." }, ...list].slice(0, 4));
-    }, minutes * MS_PER_MIN);
-    setToasts((list) => [{ id: tid, title, body }, ...list].slice(0, 4));
-    window.setTimeout(() => { setToasts((list) => list.filter((t) => t.id !== tid)); }, 3000);
-    return tidTO;
+      if (report) report({ kind: late.has(e.id) ? "missed" : "fired", at: nowMs, dueAt: e.at, text: e.title });
+    });
+    const dueIds = new Set(due.map((e) => e.id));
+    const settle = (e) => {
+      if (!dueIds.has(e.id) || e.status !== "pending") return e;
+      return late.has(e.id) ? { ...e, status: "missed", seen: false } : { ...e, status: "fired", firedAt: nowMs };
+    };
+    // Mark the ref too, so a second check before the next render can't re-fire
+    queueRef.current = queueRef.current.map(settle);
+    setQueue((q) => trimReminderQueue(q.map(settle)));
+  };
+  // Channels the relay doesn't already cover; failures are reported as toasts
+  const sendToRoute = (route, e, sub) => {
+    const { channels: list, relay: via, i18n: { t } } = clockRef.current;
+    if (via?.url) return;
+    const message = { title: e.title, body: e.body, plan: sub?.plan ?? "", milestoneId: e.milestoneId, at: DateTime.fromMillis(e.milestoneAt ?? e.at).toISO() };
+    list
+      .filter((c) => route.includes(c.id) && c.enabled !== false && CHANNEL_KINDS[c.kind]?.http && !channelErrors(c, c.id).length)
+      .forEach((c) => sendHttp(c, message).catch((err) => pushToast(t("reminders.channelFailed", { name: c.name || c.kind }), err.message, 10000)));
+  };
+
+  const checkRef = useRef(check);
+  checkRef.current = check;
+  // Simulated clock: check on every tick and jump
+  useEffect(() => { if (simulated) checkRef.current(); }, [simulated, nowMs]);
+  useEffect(() => {
+    const check = () => checkRef.current();
+    check();
+    const id = setInterval(check, REMINDER_CHECK_MS);
+    const onVisible = () => { if (document.visibilityState === "visible") check(); };
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, []);
+
+  const missed = queue.filter((e) => e.status === "missed" && !e.seen).sort((a, b) => a.at - b.at);
+  const history = queue.filter((e) => e.status !== "pending").sort((a, b) => b.at - a.at);
+  const acknowledgeMissed = () => setQueue((q) => q.map((e) => (e.status === "missed" ? { ...e, seen: true } : e)));
+
+  // Snooze one reminder: re-queue it (same title/body) at the chosen time
+  const snooze = (reminderId, optionKey) => {
+    const entry = queueRef.current.find((e) => e.id === reminderId);
+    if (!entry) return;
+    const zone = cyclesRef.current.find((c) => c.id === entry.subId)?.timezone ?? DEFAULT_ZONE;
+    const at = snoozeUntil(optionKey, zone, currentMs()).toMillis();
+    const root = entry.snoozedFrom ?? entry.id;
+    const copy = { ...entry, id: `${root}:snooze:${at}`, snoozedFrom: root, at, status: "pending", firedAt: undefined, seen: undefined };
+    setQueue((q) => [
+      ...q.filter((e) => !(e.status === "pending" && e.snoozedFrom === root)).map((e) => (e.id === reminderId ? { ...e, snoozedUntil: at } : e)),
+      copy,
+    ]);
+    setToasts((list) => list.filter((t) => t.reminderId !== reminderId));
+    const { t, rel } = clockRef.current.i18n;
+    pushToast(t("snooze.toastTitle"), t("snooze.toastBody", { title: entry.title, rel: rel(DateTime.fromMillis(at), DateTime.fromMillis(currentMs())) }), 3000);
+    if (clockRef.current.onEvent) clockRef.current.onEvent({ kind: "snoozed", at: currentMs(), dueAt: at, text: entry.title });
   };
 
+  const cancelSnooze = (id) => setQueue((q) => q.filter((e) => e.id !== id));
+
+  // Snooze buttons pressed on a notification (see the service worker)
+  const snoozeRef = useRef(snooze);
+  snoozeRef.current = snooze;
+  useEffect(() => {
+    const handle = (action, reminderId) => {
+      if (action && action.startsWith("snooze:")) snoozeRef.current(reminderId, action.slice("snooze:".length));
+    };
+    const params = new URLSearchParams(window.location.search);
+    const pending = params.get("reminder-action");
+    if (pending) {
+      const [action, reminderId] = pending.split("|");
+      handle(action, reminderId);
+      params.delete("reminder-action");
+      const qs = params.toString();
+      window.history.replaceState(null, "", `${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`);
+    }
+    if (!("serviceWorker" in navigator)) return;
+    const onMessage = (e) => { if (e.data && e.data.type === "reminder-action") handle(e.data.action, e.data.reminderId); };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, []);
+
+  const snoozes = queue.filter((e) => e.status === "pending" && e.snoozedFrom).sort((a, b) => a.at - b.at);
+
   const dismissToast = (id) => setToasts((list) => list.filter((t) => t.id !== id));
 
-  return { toasts, snooze, dismissToast };
+  return { toasts, snooze, cancelSnooze, snoozes, dismissToast, missed, history, acknowledgeMissed };
 }
 
 // Progress ring component
 function ProgressRing({ progress, label, size = 220 }) {
+  const { t, pct } = useI18n();
   const stroke = 14;
   const r = (size - stroke) / 2;
   const c = 2 * Math.PI * r;
@@ -314,7 +819,7 @@ function ProgressRing({ progress, label, size = 220 }) {
   const dash = c * clamped;
   const offset = c - dash;
   return (
-    <div className="relative inline-block" aria-label="Subscription progress" role="img" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(clamped * 100)}>
+    <div className="relative inline-block" aria-label={t("countdown.ringAria")} role="img" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(clamped * 100)}>
       <svg width={size} height={size} className="block">
         <circle cx={size / 2} cy={size / 2} r={r} strokeWidth={stroke} className="text-gray-200 dark:text-gray-800" stroke="currentColor" fill="none" />
         <circle
@@ -333,434 +838,2686 @@ function ProgressRing({ progress, label, size = 220 }) {
       </svg>
       <div className="absolute inset-0 flex flex-col items-center justify-center">
         <div className="text-4xl font-semibold" aria-live="polite">{label}</div>
-        <div className="text-sm text-gray-500">{pct(1 - clamped)} left</div>
+        <div className="text-sm text-gray-500">{t("common.left", { pct: pct(1 - clamped) })}</div>
       </div>
     </div>
   );
 }
 
-// Linear timeline
-function Timeline({ start, now, end }) {
+// Linear timeline; `marks` are milestones drawn as ticks inside the window
+// `onScrub(ms)` (QA mode) adds a slider that moves the simulated clock
+function Timeline({ start, now, end, marks = [], onScrub }) {
+  const { t } = useI18n();
   const total = end.toMillis() - start.toMillis();
   const elapsed = clamp(now.toMillis() - start.toMillis(), 0, total);
   const pctNow = (elapsed / total) * 100;
+  const inside = marks.filter((m) => m.at > start && m.at < end);
   return (
     <div className="w-full">
       <div className="h-2 w-full rounded-full bg-gray-200 dark:bg-gray-800 relative overflow-hidden">
         <div className="absolute inset-y-0 left-0 bg-blue-500" style={{ width: `${pctNow}%` }} />
         {/* markers */}
-        <div className="absolute -top-1 left-0 h-4 w-0.5 bg-gray-400" aria-label="start marker" />
-        <div className="absolute -top-1 right-0 h-4 w-0.5 bg-gray-400" aria-label="end marker" />
+        <div className="absolute -top-1 left-0 h-4 w-0.5 bg-gray-400" aria-label={t("timeline.startMarker")} />
+        <div className="absolute -top-1 right-0 h-4 w-0.5 bg-gray-400" aria-label={t("timeline.endMarker")} />
+        {inside.map((m) => (
+          <div key={m.id} className="absolute inset-y-0 w-0.5 bg-amber-500" style={{ left: `${((m.at.toMillis() - start.toMillis()) / total) * 100}%` }} title={m.title} aria-label={t("timeline.mark", { title: m.title })} />
+        ))}
         <div className="absolute -top-1" style={{ left: `calc(${pctNow}% - 1px)` }}>
-          <div className="h-4 w-0.5 bg-blue-600" aria-label="now marker" />
+          <div className="h-4 w-0.5 bg-blue-600" aria-label={t("timeline.nowMarker")} />
         </div>
       </div>
+      {onScrub && (
+        <input
+          type="range"
+          className="mt-2 w-full accent-blue-600"
+          aria-label={t("timeline.scrub")}
+          min={start.toMillis()}
+          max={end.toMillis()}
+          step={MS_PER_MIN}
+          value={clamp(now.toMillis(), start.toMillis(), end.toMillis())}
+          onChange={(e) => onScrub(Number(e.target.value))}
+        />
+      )}
       <div className="mt-2 flex justify-between text-xs text-gray-600 dark:text-gray-300">
-        <span>Start</span>
-        <span>Today</span>
-        <span>End</span>
+        <span>{t("timeline.start")}</span>
+        <span>{t(onScrub ? "timeline.simulatedNow" : "timeline.today")}</span>
+        <span>{t("timeline.end")}</span>
       </div>
     </div>
   );
 }
 
-// Calendar heat-strip for each day’s % elapsed
-function CalendarStrip({ start, now, end }) {
-  const days = [];
-  let cursor = start.startOf("day");
-  const endDay = end.startOf("day");
-  while (cursor <= endDay) {
-    const dayStart = DateTime.max(cursor, start);
-    const dayEnd = DateTime.min(cursor.plus({ days: 1 }), end);
-    const denom = Math.max(1, dayEnd.toMillis() - dayStart.toMillis());
-    const upto = DateTime.min(dayEnd, now);
-    const fill = clamp((upto.toMillis() - dayStart.toMillis()) / denom, 0, 1);
-    days.push({ date: cursor, fill });
-    cursor = cursor.plus({ days: 1 });
-  }
+// Month grid in the billing zone: current and next cycle, milestones, past
+// renewals, and each current day's % elapsed. Arrow keys move between days,
+// Page Up/Down between months. Dragging the start/end marker or picking a day
+// drafts new dates; the draft previews how milestones move, and saving goes
+// through onEditDates like the Settings form.
+function MonthCalendar({ start, end, now, nextEnd, pastRenewals, milestones, nextMilestones, milestonesFor, hourFormat, displayZone, onEditDates }) {
+  const i18n = useI18n();
+  const { t, date, day, calDay, duration } = i18n;
+  const zone = start.zone;
+  const [focus, setFocus] = useState(() => DateTime.min(DateTime.max(now.setZone(zone), start), end).startOf("day"));
+  const [draft, setDraft] = useState(null); // { start, end }
+  const [moves, setMoves] = useState("end"); // marker a picked day moves
+  const [drag, setDrag] = useState(null); // "start" | "end" while dragging
+  const gridRef = useRef(null);
+  const refocus = useRef(false); // a key moved the focused day
+  const dragged = useRef(false);
+  const weekStart = Info.getStartOfWeek({ locale: i18n.locale });
+  const weekdays = Info.weekdays("short", { locale: i18n.locale });
+  const month = focus.startOf("month");
+  const first = month.minus({ days: (month.weekday - weekStart + 7) % 7 });
+  const weeks = Array.from({ length: Math.ceil((month.diff(first, "days").days + month.daysInMonth) / 7) }, (_, w) => Array.from({ length: 7 }, (_, d) => first.plus({ days: w * 7 + d })));
+
+  const shown = draft ?? { start, end };
+  const invalid = draft && draft.end <= draft.start;
+  const shownMilestones = draft && !invalid ? milestonesFor(draft.start, draft.end) : milestones;
+  const key = (dt) => dt.toISODate();
+  const marks = {};
+  const mark = (dt, entry) => { marks[key(dt.setZone(zone))] = [...(marks[key(dt.setZone(zone))] ?? []), entry]; };
+  shownMilestones.forEach((m) => mark(m.at, { kind: "milestone", label: m.title }));
+  if (!draft && nextEnd) nextMilestones.forEach((m) => mark(m.at, { kind: "next", label: m.title }));
+  pastRenewals.forEach((dt) => mark(dt, { kind: "past", label: t("calendar.pastRenewal") }));
+
+  // Keyboard focus follows the focused day, also into another month
+  useEffect(() => {
+    if (refocus.current) gridRef.current?.querySelector(`[data-date="${key(focus)}"]`)?.focus();
+    refocus.current = false;
+  }, [focus.toMillis()]);
+  useEffect(() => {
+    if (!drag) return;
+    // The click that follows a drag is ignored, wherever it lands
+    const stop = () => {
+      setDrag(null);
+      setTimeout(() => { dragged.current = false; });
+    };
+    window.addEventListener("pointerup", stop);
+    return () => window.removeEventListener("pointerup", stop);
+  }, [drag]);
+
+  // Moves one marker to `dt`'s date, keeping its time of day
+  const moveTo = (which, dt) => {
+    const base = draft ?? { start, end };
+    const at = dt.set({ hour: base[which].hour, minute: base[which].minute, second: 0, millisecond: 0 });
+    const next = { ...base, [which]: at };
+    setDraft(next.start.toMillis() === start.toMillis() && next.end.toMillis() === end.toMillis() ? null : next);
+  };
+  const pick = (dt) => {
+    if (dragged.current) { dragged.current = false; return; }
+    setFocus(dt);
+    moveTo(moves, dt);
+  };
+  const onPointerMove = (e) => {
+    if (!drag) return;
+    const cell = document.elementFromPoint(e.clientX, e.clientY)?.closest("[data-date]");
+    if (!cell) return;
+    dragged.current = true;
+    const dt = DateTime.fromISO(cell.dataset.date, { zone });
+    if (key(dt) !== key(shown[drag])) moveTo(drag, dt);
+  };
+  const onKeyDown = (e) => {
+    const step = { ArrowLeft: { days: -1 }, ArrowRight: { days: 1 }, ArrowUp: { weeks: -1 }, ArrowDown: { weeks: 1 }, PageUp: e.shiftKey ? { years: -1 } : { months: -1 }, PageDown: e.shiftKey ? { years: 1 } : { months: 1 } }[e.key];
+    if (step) setFocus(focus.plus(step));
+    else if (e.key === "Home") setFocus(focus.minus({ days: (focus.weekday - weekStart + 7) % 7 }));
+    else if (e.key === "End") setFocus(focus.plus({ days: 6 - ((focus.weekday - weekStart + 7) % 7) }));
+    else return;
+    refocus.current = true;
+    e.preventDefault();
+  };
+  const save = () => {
+    onEditDates(asLocalInputValue(draft.start), asLocalInputValue(draft.end));
+    setDraft(null);
+  };
+
+  const focusMarks = marks[key(focus)] ?? [];
+  const button = "px-2 py-1 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5 dark:ring-white/10";
   return (
-    <div className="flex gap-1 flex-wrap" aria-label="Calendar progress strip">
-      {days.map((d) => (
-        <div key={d.date.toISODate()} className="w-6 h-8 rounded bg-gray-200 dark:bg-gray-800 overflow-hidden" title={`${d.date.toFormat("LLL d")}: ${(d.fill*100).toFixed(0)}%`}>
-          <div className="h-full bg-blue-500" style={{ height: `${d.fill * 100}%` }} />
+    <div className="text-sm" onKeyDown={(e) => { if (e.key === "Escape" && draft) setDraft(null); }}>
+      <div className="flex items-center justify-between gap-2">
+        <button className={button} onClick={() => setFocus(focus.minus({ months: 1 }))} aria-label={t("calendar.prevMonth")}>‹</button>
+        <div className="font-medium" aria-live="polite">{month.setLocale(i18n.locale).toLocaleString({ month: "long", year: "numeric" })}</div>
+        <div className="flex gap-1">
+          <button className={`${button} text-xs`} onClick={() => setFocus(now.setZone(zone).startOf("day"))}>{t("calendar.today")}</button>
+          <button className={button} onClick={() => setFocus(focus.plus({ months: 1 }))} aria-label={t("calendar.nextMonth")}>›</button>
         </div>
-      ))}
-    </div>
-  );
-}
-
-// --------------------------- Main App ---------------------------- //
-
-export default function GPTDeadlineApp() {
-  // Load persisted cycle
-  const [cycle, setCycle] = useState(() => loadState("gpt-deadline:cycle", DEFAULT_CYCLE));
-  const [detailsOpen, setDetailsOpen] = useState(false);
-  const [tipsOpen, setTipsOpen] = useState(false);
-  const [settingsOpen, setSettingsOpen] = useState(false);
-  const [qaMode, setQaMode] = useState(false);
-  const [qaNowISO, setQaNowISO] = useState(undefined);
-  useTheme(cycle.theme);
-
-  // Ensure Luxon default zone aligns (defensive)
-  useEffect(() => { Settings.defaultZone = cycle.timezone; }, [cycle.timezone]);
-
-  // Service worker (inline) for offline support
-  useEffect(() => { registerInlineSW(); }, []);
-
-  // Live "now" clock (1s)
-  const now = useNowTick(qaMode, qaNowISO);
-
-  // Compute the active window for this cycle (roll over if passed end)
-  const { start, end, rolled } = useMemo(() => rollCycleToNow(cycle, now), [cycle, now.toMillis()]);
-
-  const totalMs = end.toMillis() - start.toMillis();
-  const elapsedMs = clamp(now.toMillis() - start.toMillis(), 0, totalMs);
-  const remainingMs = clamp(end.toMillis() - now.toMillis(), 0, totalMs);
-  const progress = elapsedMs / totalMs;
-  const { days, hours, minutes, seconds } = durationBreakdown(remainingMs);
-
-  // Rotating tip
-  const tip = useRotatingTip();
-
-  // Reminders
-  const { toasts, snooze, dismissToast } = useReminders(cycle.reminders, start, end);
+      </div>
 
-  // Persist cycle to localStorage
-  useEffect(() => { saveState("gpt-deadline:cycle", cycle); }, [cycle]);
+      <div ref={gridRef} className="mt-2 select-none touch-none" role="grid" aria-label={t("calendar.gridAria")} onKeyDown={onKeyDown} onPointerMove={onPointerMove}>
+        <div className="grid grid-cols-7 gap-1 text-[10px] text-center text-gray-500" role="row">
+          {weekdays.map((_, i) => weekdays[(weekStart - 1 + i) % 7]).map((w) => <div key={w} role="columnheader">{w}</div>)}
+        </div>
+        {weeks.map((week) => (
+          <div key={key(week[0])} className="mt-1 grid grid-cols-7 gap-1" role="row">
+            {week.map((d) => {
+              const dayEnd = d.plus({ days: 1 });
+              const inCurrent = d < shown.end && dayEnd > shown.start;
+              const inNext = !draft && nextEnd && d < nextEnd && dayEnd > end && !inCurrent;
+              const isStart = key(d) === key(shown.start);
+              const isEnd = key(d) === key(shown.end);
+              const fill = inCurrent && !draft ? clamp((DateTime.min(dayEnd, end, now).toMillis() - DateTime.max(d, start).toMillis()) / Math.max(1, DateTime.min(dayEnd, end).toMillis() - DateTime.max(d, start).toMillis()), 0, 1) : 0;
+              const here = marks[key(d)] ?? [];
+              const alt = i18n.calDate(d);
+              const labels = [
+                isStart && t("calendar.start"), isEnd && t("calendar.end"),
+                inCurrent && t("calendar.current"), inNext && t("calendar.next"),
+                ...here.map((m) => m.label),
+              ].filter(Boolean);
+              return (
+                <button
+                  key={key(d)}
+                  role="gridcell"
+                  data-date={key(d)}
+                  tabIndex={key(d) === key(focus) ? 0 : -1}
+                  aria-selected={key(d) === key(focus)}
+                  aria-label={`${d.setLocale(i18n.locale).toLocaleString(DateTime.DATE_FULL)}${alt ? ` (${alt})` : ""}${labels.length ? `: ${labels.join(", ")}` : ""}`}
+                  className={`relative h-12 rounded-lg text-left px-1 pt-0.5 overflow-hidden ${d.month !== month.month ? "opacity-50" : ""} ${inCurrent ? (draft ? "bg-amber-100 dark:bg-amber-900/30" : "bg-blue-100 dark:bg-blue-900/30") : inNext ? "bg-blue-50 dark:bg-blue-900/10 border border-dashed border-blue-300 dark:border-blue-800" : "bg-white dark:bg-white/5"} ${key(d) === key(now.setZone(zone)) ? "ring-2 ring-blue-500" : ""} focus:outline-none focus-visible:ring-2 focus-visible:ring-black dark:focus-visible:ring-white`}
+                  onClick={() => pick(d)}
+                  onFocus={() => key(d) !== key(focus) && setFocus(d)}
+                >
+                  <span className="text-xs tabular-nums">{calDay(d)}</span>
+                  {(isStart || isEnd) && (
+                    <span className="absolute top-0.5 right-0.5 flex gap-0.5">
+                      {isStart && <span className="cursor-grab px-1 rounded bg-green-600 text-white text-[9px] leading-4" aria-hidden="true" title={t("calendar.dragStart")} onPointerDown={(e) => { e.preventDefault(); setDrag("start"); }}>▶</span>}
+                      {isEnd && <span className="cursor-grab px-1 rounded bg-red-600 text-white text-[9px] leading-4" aria-hidden="true" title={t("calendar.dragEnd")} onPointerDown={(e) => { e.preventDefault(); setDrag("end"); }}>■</span>}
+                    </span>
+                  )}
+                  <span className="absolute left-1 bottom-1.5 flex gap-0.5" aria-hidden="true">
+                    {here.slice(0, 4).map((m, i) => <span key={i} className={`w-1.5 h-1.5 rounded-full ${m.kind === "milestone" ? "bg-amber-500" : m.kind === "next" ? "bg-blue-300" : "bg-gray-400"}`} />)}
+                  </span>
+                  {fill > 0 && <span className="absolute left-0 bottom-0 h-0.5 bg-blue-500" style={{ width: `${fill * 100}%` }} aria-hidden="true" />}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
 
-  // Formatters
-  const keyDates = useMemo(() => ({
-    startLabel: fmtDate(start, cycle.hourFormat),
-    endLabel: fmtDate(end, cycle.hourFormat),
-  }), [start.toMillis(), end.toMillis(), cycle.hourFormat]);
-
-  const milestones = useMemo(() => {
-    const m = milestoneTimes(start, end);
-    return [
-      { key: "halfway", label: "Halfway point", at: m.halfway },
-      { key: "threeDays", label: "3 days left", at: m.threeDays },
-      { key: "lastDay", label: "24 hours left", at: m.lastDay },
-      { key: "renewal", label: "Renewal", at: m.renewal },
-    ];
-  }, [start.toMillis(), end.toMillis()]);
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-600 dark:text-gray-300">
+        <span>{t("calendar.picks")}</span>
+        {["start", "end"].map((which) => (
+          <button key={which} className={`px-2 py-0.5 rounded-full ${moves === which ? "bg-blue-600 text-white" : "bg-gray-100 dark:bg-white/10"}`} aria-pressed={moves === which} onClick={() => setMoves(which)}>{t(`calendar.${which}`)}</button>
+        ))}
+        <span className="ml-auto flex flex-wrap gap-2">
+          <span><span className="inline-block w-2 h-2 rounded-full bg-amber-500" /> {t("calendar.milestone")}</span>
+          <span><span className="inline-block w-2 h-2 rounded-full bg-blue-300" /> {t("calendar.nextMilestone")}</span>
+          <span><span className="inline-block w-2 h-2 rounded-full bg-gray-400" /> {t("calendar.pastRenewal")}</span>
+        </span>
+      </div>
+      <div className="mt-1 text-xs text-gray-500">{t("calendar.hint")}</div>
 
-  const renewedState = now >= end;
+      <div className="mt-2 text-xs" aria-live="polite">
+        <span className="font-medium">{day(focus)}</span>{" "}
+        {focusMarks.length ? focusMarks.map((m) => m.label).join(" • ") : t("calendar.nothing")}
+      </div>
 
-  // ---------------------- Handlers / Mutations --------------------- //
-  const updateReminder = (k, v) => setCycle((c) => ({ ...c, reminders: { ...c.reminders, [k]: v } }));
-  const toggleTheme = (t) => setCycle((c) => ({ ...c, theme: t }));
-  const toggleHourFmt = (f) => setCycle((c) => ({ ...c, hourFormat: f }));
+      {draft && (
+        <div className="mt-3 rounded-lg p-3 bg-amber-50 dark:bg-amber-900/20 ring-1 ring-amber-200 dark:ring-amber-800" role="region" aria-label={t("calendar.previewAria")}>
+          <div className="font-medium">
+            {t("calendar.preview", { start: date(draft.start, hourFormat, displayZone), end: date(draft.end, hourFormat, displayZone) })}
+            {!invalid && <span className="text-gray-600 dark:text-gray-300"> ({duration(draft.end.diff(draft.start).shiftTo("days", "hours"), { listStyle: "narrow", unitDisplay: "short" })})</span>}
+          </div>
+          {invalid ? (
+            <div className="mt-1 text-red-700 dark:text-red-300" role="alert">{t("dates.invalid")}</div>
+          ) : (
+            <ul className="mt-1 space-y-0.5 text-xs">
+              {milestonesFor(draft.start, draft.end).map((m) => {
+                const before = milestones.find((o) => o.id === m.id);
+                const same = before && before.at.toMillis() === m.at.toMillis();
+                return (
+                  <li key={m.id}>
+                    {m.title}: {same
+                      ? t("calendar.unchanged", { at: date(m.at, hourFormat, displayZone) })
+                      : before ? t("calendar.moved", { from: date(before.at, hourFormat, displayZone), to: date(m.at, hourFormat, displayZone) }) : date(m.at, hourFormat, displayZone)}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <div className="mt-2 flex gap-2">
+            <button className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40" disabled={invalid} onClick={save}>{t("calendar.save")}</button>
+            <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={() => setDraft(null)}>{t("common.cancel")}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
 
-  const onEditDates = (newStartLocal, newEndLocal) => {
-    const s = fromLocalInputValue(newStartLocal, cycle.timezone);
-    const e = fromLocalInputValue(newEndLocal, cycle.timezone);
-    if (!s.isValid || !e.isValid || e <= s) return alert("Please provide valid start/end with end after start.");
-    const sISO = s.toISO();
-    const eISO = e.toISO();
-    if (!sISO || !eISO) return;
-    setCycle((c) => ({ ...c, startISO: sISO, endISO: eISO }));
-  };
+// Searchable IANA zone picker; only valid zones are reported through onChange
+function ZonePicker({ value, onChange, id, className = "" }) {
+  const { t } = useI18n();
+  const [query, setQuery] = useState(value);
+  useEffect(() => { setQuery(value); }, [value]);
+  const ok = isValidZone(query);
+  const needle = query.toLowerCase().replace(/ /g, "_");
+  const matches = ALL_ZONES.filter((z) => z.toLowerCase().includes(needle)).slice(0, 50);
+  return (
+    <>
+      <input
+        className={`${className} ${ok ? "" : "ring-1 ring-red-500"}`}
+        list={`${id}-zones`}
+        value={query}
+        placeholder={t("zone.placeholder")}
+        aria-invalid={!ok}
+        aria-label={t("zone.aria")}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          if (isValidZone(e.target.value)) onChange(e.target.value);
+        }}
+        onBlur={() => { if (!ok) setQuery(value); }}
+      />
+      <datalist id={`${id}-zones`}>
+        {matches.map((z) => <option key={z} value={z}>{`UTC${DateTime.now().setZone(z).toFormat("ZZ")}`}</option>)}
+      </datalist>
+    </>
+  );
+}
 
-  const onExportICS = () => {
-    const ics = generateICS(start, end, cycle.timezone);
-    const blob = new Blob([ics], { type: "text/calendar;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = `gpt-deadline-${start.toFormat('yyyyLLdd')}-${end.toFormat('yyyyLLdd')}.ics`;
-    document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+const JOURNAL_CYCLES = 6; // cycles compared in the journal summary and Markdown export
+
+// Value journal of the open subscription: log wins/sessions, see what this and
+// earlier cycles were worth against their price, export for a retro
+function ValueJournal({ cycle, entries, now, hourFormat, displayZone, onAdd, onDelete, onExport }) {
+  const { t, date, day, num, money } = useI18n();
+  const input = "w-full px-2 py-1.5 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  const blank = () => ({ kind: "win", title: "", when: asLocalInputValue(now.setZone(cycle.timezone)), minutes: "", tags: "", link: "", notes: "" });
+  const [draft, setDraft] = useState(blank);
+  const { currency } = pricingOf(cycle);
+  const cycles = valueByCycle(cycle, entries, now, JOURNAL_CYCLES);
+  const current = cycles[0];
+  const hours = (h) => num(Math.round(h * 10) / 10);
+  const edit = (k) => (e) => setDraft((d) => ({ ...d, [k]: e.target.value }));
+  const badLink = draft.link.trim() !== "" && !journalLink(draft.link);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const at = fromLocalInputValue(draft.when, cycle.timezone);
+    if (badLink || !at.isValid) return;
+    const entry = {
+      kind: draft.kind,
+      title: draft.title.trim(),
+      atISO: at.toISO(),
+      minutesSaved: Math.max(0, parseInt(draft.minutes, 10) || 0),
+      tags: [...new Set(draft.tags.split(/[,\s]+/).map((tag) => tag.replace(/^#/, "").toLowerCase()).filter(Boolean))],
+      link: journalLink(draft.link),
+      notes: draft.notes.trim(),
+    };
+    if (journalEntryErrors(entry, "entry").length) return;
+    onAdd(entry);
+    setDraft(blank());
   };
 
-  const onResetDefaults = () => setCycle(DEFAULT_CYCLE);
-
-  // ----------------------------- UI ------------------------------- //
-
   return (
-    <div className="min-h-screen bg-white text-gray-900 dark:bg-neutral-950 dark:text-neutral-100 transition-colors duration-200">
-      {/* Header */}
-      <header className="px-4 py-3 flex items-center justify-between border-b border-black/5 dark:border-white/10 sticky top-0 backdrop-blur supports-[backdrop-filter]:bg-white/60 dark:supports-[backdrop-filter]:bg-neutral-950/60">
-        <div className="flex items-center gap-2">
-          <span className="text-xl font-semibold">GPT deadline</span>
-          <span className="text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300">{cycle.plan}</span>
+    <div className="text-sm">
+      <div>
+        <strong>{t("journal.thisCycle")}</strong> {t("journal.wins", { count: current.wins })} • {t("journal.sessions", { count: current.sessions })} • {t("journal.hours", { hours: hours(current.hoursSaved) })}
+      </div>
+      <div className="text-gray-600 dark:text-gray-300">
+        {current.costPerHour === null
+          ? t("journal.noSavings", { price: money(current.price, currency) })
+          : t("journal.perHour", { price: money(current.price, currency), cost: money(current.costPerHour, currency) })}
+      </div>
+      {current.tags.length > 0 && (
+        <div className="mt-1 flex flex-wrap gap-1">
+          {current.tags.map(([tag, n]) => <span key={tag} className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200">#{tag} {num(n)}</span>)}
         </div>
-        <div className="flex items-center gap-2">
-          <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setSettingsOpen(true)} aria-label="Open settings">Settings</button>
+      )}
+
+      {cycles.length > 1 && (
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium py-1">{t("journal.cycle")}</th>
+                <th className="font-medium">{t("journal.winsCol")}</th>
+                <th className="font-medium">{t("journal.savedCol")}</th>
+                <th className="font-medium">{t("journal.priceCol")}</th>
+                <th className="font-medium">{t("journal.perHourCol")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cycles.map((w) => (
+                <tr key={w.start.toMillis()} className="border-t border-black/5 dark:border-white/10 tabular-nums">
+                  <td className="py-1">{day(w.start)} – {day(w.end)}{w.current && <span className="text-gray-500"> ({t("journal.current")})</span>}</td>
+                  <td>{num(w.wins)}</td>
+                  <td>{t("journal.hoursShort", { hours: hours(w.hoursSaved) })}</td>
+                  <td>{money(w.price, currency)}</td>
+                  <td>{w.costPerHour === null ? "—" : money(w.costPerHour, currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
-      </header>
-
-      {/* Main */}
-      <main className="mx-auto max-w-5xl p-4 grid gap-4 md:grid-cols-[1.2fr_1fr]">
-        {/* Left: Hero ring + timeline */}
-        <motion.section layout className="rounded-2xl p-4 md:p-6 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
-          <div className="flex flex-col items-center gap-4">
-            <ProgressRing progress={progress} label={`${days}d`} />
-            <div className="flex items-center gap-2 text-lg" aria-live="polite" aria-label="Countdown timer">
-              <span className="tabular-nums">{days}d</span>
-              <span>•</span>
-              <span className="tabular-nums">{hours}h</span>
-              <span>•</span>
-              <span className="tabular-nums">{minutes}m</span>
-              <span>•</span>
-              <span className="tabular-nums">{seconds}s</span>
-            </div>
-            <Timeline start={start} now={now} end={end} />
-            <div className="flex flex-wrap items-center justify-center gap-3 text-sm text-gray-600 dark:text-gray-300">
-              <span>Started <strong>{keyDates.startLabel}</strong></span>
-              <span>•</span>
-              <span>Renews <strong>{keyDates.endLabel}</strong></span>
-              {rolled && <span className="ml-2 text-xs px-2 py-0.5 rounded bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-200">Rolled to current cycle</span>}
-            </div>
-            <motion.div layout className="w-full mt-2">
-              <div className="rounded-xl p-3 md:p-4 bg-blue-50 text-blue-900 dark:bg-blue-900/20 dark:text-blue-100">
-                <div className="text-sm font-medium">Usage tip</div>
-                <div className="text-sm opacity-90 mt-1">{tip}</div>
-              </div>
-            </motion.div>
-            <div className="mt-2 flex gap-2">
-              <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setDetailsOpen((v) => !v)} aria-expanded={detailsOpen} aria-controls="details">
-                {detailsOpen ? "Hide details" : "Details"}
-              </button>
-              <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setTipsOpen((v) => !v)} aria-expanded={tipsOpen} aria-controls="tips">
-                {tipsOpen ? "Hide plan optimization" : "Plan optimization"}
-              </button>
-            </div>
-          </div>
+      )}
 
-          {/* Details */}
-          <AnimatePresence initial={false}>
-            {detailsOpen && (
-              <motion.div id="details" initial={{ height: 0, opacity: 0 }} animate={{ height: "auto", opacity: 1 }} exit={{ height: 0, opacity: 0 }} className="overflow-hidden mt-4">
-                <div className="grid md:grid-cols-2 gap-4">
-                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
-                    <div className="text-sm font-semibold mb-2">Cycle breakdown</div>
-                    <ul className="space-y-1 text-sm">
-                      <li><strong>Total length:</strong> {Duration.fromMillis(totalMs).shiftTo("days", "hours").toHuman({ listStyle: "narrow", unitDisplay: "short" })}</li>
-                      <li><strong>Elapsed:</strong> {pct(progress)} used</li>
-                      <li><strong>Remaining:</strong> {pct(1 - progress)} left</li>
-                      <li><strong>Start (local):</strong> {fmtDate(start, cycle.hourFormat)} ({cycle.timezone})</li>
-                      <li><strong>End (local):</strong> {fmtDate(end, cycle.hourFormat)} ({cycle.timezone})</li>
-                    </ul>
+      <form className="mt-3 grid gap-2 md:grid-cols-2" onSubmit={submit}>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("journal.kind")}</span>
+          <select className={input} value={draft.kind} onChange={edit("kind")}>
+            {Object.keys(JOURNAL_KINDS).map((k) => <option key={k} value={k}>{t(`journal.kinds.${k}`)}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("journal.when", { zone: cycle.timezone })}</span>
+          <input className={input} type="datetime-local" value={draft.when} onChange={edit("when")} />
+        </label>
+        <label className="block md:col-span-2">
+          <span className="text-xs text-gray-500">{t("journal.title")}</span>
+          <input className={input} required placeholder={t("journal.titlePlaceholder")} value={draft.title} onChange={edit("title")} />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("journal.minutes")}</span>
+          <input className={input} type="number" min={0} step={5} value={draft.minutes} onChange={edit("minutes")} />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("journal.tags")}</span>
+          <input className={input} placeholder={t("journal.tagsPlaceholder")} value={draft.tags} onChange={edit("tags")} />
+        </label>
+        <label className="block md:col-span-2">
+          <span className="text-xs text-gray-500">{t("journal.link")}</span>
+          <input className={input} type="url" placeholder="https://" value={draft.link} aria-invalid={badLink} onChange={edit("link")} />
+          {badLink && <span className="text-xs text-red-700 dark:text-red-300">{t("journal.badLink")}</span>}
+        </label>
+        <label className="block md:col-span-2">
+          <span className="text-xs text-gray-500">{t("journal.notes")}</span>
+          <textarea className={`${input} h-16`} value={draft.notes} onChange={edit("notes")} />
+        </label>
+        <button type="submit" className="justify-self-start px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 disabled:opacity-40" disabled={!draft.title.trim() || badLink}>{t("journal.add")}</button>
+      </form>
+
+      {current.entries.length ? (
+        <ul className="mt-3 space-y-2 max-h-64 overflow-y-auto" aria-label={t("journal.listAria")}>
+          {[...current.entries].reverse().map((e) => (
+            <li key={e.id} className="rounded-lg px-3 py-2 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10">
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="font-medium">
+                    <span className="text-xs text-gray-500">{t(`journal.kinds.${e.kind}`)}</span>{" "}
+                    {journalLink(e.link) ? <a className="underline" href={journalLink(e.link)} target="_blank" rel="noreferrer">{e.title}</a> : e.title}
                   </div>
-                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
-                    <div className="text-sm font-semibold mb-2">Milestones</div>
-                    <ul className="space-y-2 text-sm">
-                      {milestones.map((m) => (
-                        <li key={m.key} className="flex items-center justify-between">
-                          <span>{m.label}</span>
-                          <span className="text-gray-600 dark:text-gray-300">{fmtDate(m.at, cycle.hourFormat)} • <em className="not-italic">{humanRel(m.at, now)}</em></span>
-                        </li>
-                      ))}
-                    </ul>
+                  <div className="text-xs text-gray-600 dark:text-gray-300">
+                    {date(DateTime.fromISO(e.atISO), hourFormat, displayZone)}
+                    {e.minutesSaved > 0 && ` • ${t("journal.minutesSaved", { count: e.minutesSaved })}`}
+                    {e.tags.length > 0 && ` • ${e.tags.map((tag) => `#${tag}`).join(" ")}`}
                   </div>
+                  {e.notes && <div className="text-xs mt-1 whitespace-pre-line">{e.notes}</div>}
                 </div>
-                <div className="mt-4">
-                  <div className="text-sm font-semibold mb-2">Calendar strip</div>
-                  <CalendarStrip start={start} now={now} end={end} />
-                </div>
-              </motion.div>
-            )}
-          </AnimatePresence>
+                <button className="text-xs underline shrink-0" onClick={() => onDelete(e.id)} aria-label={t("journal.deleteAria", { title: e.title })}>{t("journal.delete")}</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="mt-3 text-gray-600 dark:text-gray-300">{t("journal.empty")}</div>
+      )}
 
-          {/* Plan Optimization */}
-          <AnimatePresence initial={false}>
-            {tipsOpen && (
-              <motion.div id="tips" initial={{ height: 0, opacity: 0 }} animate={{ height: "auto", opacity: 1 }} exit={{ height: 0, opacity: 0 }} className="overflow-hidden mt-4">
-                <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 grid md:grid-cols-2 gap-4">
-                  <div>
-                    <div className="text-sm font-semibold mb-2">Quick actions</div>
-                    <div className="flex flex-wrap gap-2 text-sm">
-                      <button className="px-3 py-1.5 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5">Review Plus benefits</button>
-                      <button className="px-3 py-1.5 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5">Deep Research best practices</button>
-                      <button className="px-3 py-1.5 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5">Prompt library</button>
-                    </div>
-                  </div>
-                  <div>
-                    <div className="text-sm font-semibold mb-2">Tips (short, curated)</div>
-                    <ul className="list-disc list-inside text-sm space-y-1 text-gray-700 dark:text-gray-300">
-                      <li>Block 25–45 minutes for a focused session twice a week.</li>
-                      <li>Save proven prompts with examples; reuse & iterate.</li>
-                      <li>Use images + screen share for faster troubleshooting.</li>
-                      <li>Set calendar nudges for high-impact tasks tied to renewal.</li>
-                    </ul>
-                  </div>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 disabled:opacity-40" disabled={!entries.length} onClick={() => onExport("md")}>{t("journal.exportMd")}</button>
+        <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 disabled:opacity-40" disabled={!entries.length} onClick={() => onExport("csv")}>{t("journal.exportCsv")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Usage caps of the open subscription: what's left, when it frees, "+1"
+// `limits`: [{ ...limit, status: limitStatus(…) }]
+function UsageCaps({ limits, now, hourFormat, displayZone, onLog, onUndo, onSetup }) {
+  const { t, date, rel } = useI18n();
+  if (!limits.length) {
+    return (
+      <div className="text-sm text-gray-600 dark:text-gray-300">
+        {t("limits.empty")} <button className="underline" onClick={onSetup}>{t("limits.setup")}</button>
+      </div>
+    );
+  }
+  return (
+    <ul className="space-y-2" aria-label={t("limits.listAria")}>
+      {limits.map((l, i) => {
+        const { used, remaining, full, nextFree, freesAt } = l.status;
+        const when = (dt) => `${rel(dt, now)} (${date(dt, hourFormat, displayZone)})`;
+        const line = full
+          ? t("limits.full", { when: when(freesAt) })
+          : !nextFree ? t("limits.fresh")
+            : l.reset === "rolling" ? t("limits.agesOut", { when: when(nextFree) }) : t("limits.resets", { when: when(nextFree) });
+        return (
+          <li key={l.id} className="rounded-lg px-3 py-2 bg-gray-50 dark:bg-white/5">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm min-w-0">
+                <div className="font-medium truncate">{l.name}</div>
+                <div className={full ? "text-red-700 dark:text-red-300" : "text-gray-600 dark:text-gray-300"}>
+                  {t("limits.left", { remaining, cap: l.cap })} • {line}
                 </div>
-              </motion.div>
-            )}
-          </AnimatePresence>
-        </motion.section>
-
-        {/* Right: Reminders + Settings quick */}
-        <section className="flex flex-col gap-4">
-          {/* Reminders */}
-          <div className="rounded-2xl p-4 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
-            <div className="flex items-center justify-between">
-              <div>
-                <div className="font-semibold">Reminders & nudges</div>
-                <div className="text-sm text-gray-600 dark:text-gray-300">Local notifications; toggles persist. Snooze inside app.</div>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <button className="px-2 py-1 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5 text-xs disabled:opacity-40" disabled={!used} onClick={() => onUndo(l.id)}>{t("limits.undo")}</button>
+                <button
+                  className="px-2 py-1 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-xs font-semibold"
+                  onClick={() => onLog(l.id)}
+                  aria-label={t("limits.logAria", { name: l.name, key: i + 1 })}
+                  aria-keyshortcuts={i < 9 ? String(i + 1) : undefined}
+                >+1</button>
               </div>
             </div>
-            <div className="mt-3 space-y-2">
-              {milestones.map((m) => {
-                const on = cycle.reminders[m.key];
-                return (
-                  <label key={m.key} className="flex items-center justify-between gap-2 rounded-lg px-3 py-2 bg-gray-50 dark:bg-white/5">
-                    <div className="text-sm">
-                      <div className="font-medium">{m.label}</div>
-                      <div className="text-gray-600 dark:text-gray-300">{fmtDate(m.at, cycle.hourFormat)} • {humanRel(m.at, now)}</div>
-                    </div>
-                    <input type="checkbox" checked={on} onChange={(e) => updateReminder(m.key, e.target.checked)} aria-label={`Toggle ${m.label} reminder`} />
-                  </label>
-                );
-              })}
-            </div>
-            <div className="mt-3 flex gap-2">
-              <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => snooze(60)}>Snooze 1h</button>
-              <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => snooze(10)}>Snooze 10m</button>
-              <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={onExportICS}>Export .ics</button>
+            <div className="mt-2 h-1 w-full rounded-full bg-gray-200 dark:bg-gray-800 overflow-hidden">
+              <div className={`h-full ${full ? "bg-red-500" : "bg-blue-500"}`} style={{ width: `${clamp(used / l.cap, 0, 1) * 100}%` }} />
             </div>
-            <div className="mt-3 text-xs text-gray-500">Email push requires integration; by default everything stays local.</div>
-          </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
 
-          {/* Quick Settings */}
-          <div className="rounded-2xl p-4 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
-            <div className="font-semibold">Quick settings</div>
-            <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
-              <div className="col-span-2">
-                <div className="text-xs text-gray-500 mb-1">Timezone</div>
-                <div className="px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5">{cycle.timezone}</div>
-              </div>
-              <div>
-                <div className="text-xs text-gray-500 mb-1">Theme</div>
-                <select className="w-full px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={cycle.theme} onChange={(e) => toggleTheme(e.target.value)}>
-                  <option value="system">System</option>
-                  <option value="light">Light</option>
-                  <option value="dark">Dark</option>
-                </select>
+// Subscription list: next renewal first, open one into the hero view
+// `displayZone`: null = each subscription's own billing zone
+function SubscriptionList({ windows, activeId, now, hourFormat, displayZone, onOpen, onAdd, onRemove }) {
+  const { t, date, rel } = useI18n();
+  const [plan, setPlan] = useState("");
+  const [zone, setZone] = useState(DEFAULT_ZONE);
+  // Ones that no longer renew (ended, expired, paused) go last
+  const sorted = [...windows].sort((a, b) => a.ended - b.ended || a.end.toMillis() - b.end.toMillis());
+  const nextId = sorted.length && !sorted[0].ended ? sorted[0].sub.id : null;
+  const zoneOk = isValidZone(zone);
+  return (
+    <div>
+      <ul className="space-y-2" aria-label={t("subs.listAria")}>
+        {sorted.map(({ sub, start, end, ended, life }) => {
+          const total = end.toMillis() - start.toMillis();
+          const fill = clamp((now.toMillis() - start.toMillis()) / total, 0, 1);
+          const active = sub.id === activeId;
+          return (
+            <li key={sub.id} className={`rounded-lg px-3 py-2 ${active ? "bg-blue-50 dark:bg-blue-900/20" : "bg-gray-50 dark:bg-white/5"}`}>
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm min-w-0">
+                  <div className="font-medium flex items-center gap-2">
+                    <span className="truncate">{sub.plan}</span>
+                    {sub.id === nextId && <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-800 dark:bg-emerald-900/30 dark:text-emerald-200">{t("subs.renewsNext")}</span>}
+                    {life.state !== "active" && <span className={`text-xs px-2 py-0.5 rounded-full ${LIFECYCLE_CHIP[life.state]}`}>{t(`lifecycle.state.${life.state}`)}</span>}
+                  </div>
+                  <div className="text-gray-600 dark:text-gray-300">{t(windowEndKey({ end, ended, life }))} {date(end, hourFormat, displayZone)} • {rel(end, now)}</div>
+                </div>
+                <div className="flex gap-1 shrink-0">
+                  <button className="px-2 py-1 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5 text-xs" onClick={() => onOpen(sub.id)} aria-pressed={active}>{t(active ? "subs.viewing" : "subs.open")}</button>
+                  <button className="px-2 py-1 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5 text-xs disabled:opacity-40" onClick={() => onRemove(sub.id)} disabled={windows.length < 2} aria-label={t("subs.removeAria", { plan: sub.plan })}>{t("subs.remove")}</button>
+                </div>
               </div>
-              <div>
-                <div className="text-xs text-gray-500 mb-1">Time format</div>
-                <select className="w-full px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={cycle.hourFormat} onChange={(e) => toggleHourFmt(e.target.value)}>
-                  <option value="12h">12-hour</option>
-                  <option value="24h">24-hour</option>
-                </select>
+              <div className="mt-2 h-1 w-full rounded-full bg-gray-200 dark:bg-gray-800 overflow-hidden">
+                <div className="h-full bg-blue-500" style={{ width: `${fill * 100}%` }} />
               </div>
-            </div>
-            <div className="mt-3 flex gap-2">
-              <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setSettingsOpen(true)}>Open full settings</button>
-              <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setCycle(DEFAULT_CYCLE)}>Reset to defaults</button>
-            </div>
-          </div>
+            </li>
+          );
+        })}
+      </ul>
+      <form className="mt-3 grid grid-cols-2 gap-2 text-sm" onSubmit={(e) => {
+        e.preventDefault();
+        if (!zoneOk) return;
+        onAdd(plan.trim(), zone);
+        setPlan("");
+      }}>
+        <input className="px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" list="plan-presets" placeholder={t("subs.planPlaceholder")} value={plan} onChange={(e) => setPlan(e.target.value)} aria-label={t("subs.newAria")} />
+        <ZonePicker id="new-sub" className="px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={zone} onChange={setZone} />
+        <datalist id="plan-presets">
+          {PLAN_PRESETS.map((p) => <option key={p} value={p} />)}
+        </datalist>
+        <button type="submit" className="col-span-2 px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 disabled:opacity-40" disabled={!zoneOk}>{t("subs.add")}</button>
+      </form>
+    </div>
+  );
+}
 
-          {/* QA / Sample Test State */}
-          <div className="rounded-2xl p-4 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
-            <div className="font-semibold">QA Mode</div>
-            <div className="mt-2 text-sm">Override "Now" for testing (ticks forward every second).</div>
-            <div className="mt-2 flex items-center gap-2 text-sm">
-              <input type="checkbox" checked={qaMode} onChange={(e) => setQaMode(e.target.checked)} id="qa-mode" />
-              <label htmlFor="qa-mode">Enable QA time override</label>
-            </div>
-            {qaMode && (
-              <div className="mt-2 grid gap-2">
-                <label className="text-sm">
-                  <span className="text-xs text-gray-500 block mb-1">Now (local)</span>
-                  <input className="px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5 w-full" type="datetime-local" value={qaNowISO ? asLocalInputValue(inZone(qaNowISO)) : asLocalInputValue(now)} onChange={(e) => setQaNowISO(fromLocalInputValue(e.target.value, cycle.timezone).toISO())} />
-                </label>
-                <div className="text-xs text-gray-500">Sample: set 2025-08-21 10:00 → elapsed ≈ ~3.7% (1 day in ~31).</div>
+// Status actions for one subscription, offered by state: start a trial,
+// cancel or pause at period end, undo/resume, reactivate once expired
+function LifecycleControls({ life, zone, periodEnd, onStartTrial, onCancel, onPause, onResume, onReactivate }) {
+  const { t } = useI18n();
+  const [trialDays, setTrialDays] = useState(7);
+  const [cancelHours, setCancelHours] = useState(24);
+  const [resumeOn, setResumeOn] = useState("");
+  const resumeAt = resumeOn ? fromLocalInputValue(resumeOn, zone) : null;
+  // A pause starts when the current period ends, so it can only resume later
+  const resumeOk = !resumeAt || (resumeAt.isValid && resumeAt > periodEnd);
+  const button = "px-3 py-1.5 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5 dark:ring-white/10 text-sm disabled:opacity-40";
+  const field = "w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  return (
+    <div className="space-y-3 text-sm">
+      <div>
+        <span className="text-gray-600 dark:text-gray-300">{t("lifecycle.current")}</span>{" "}
+        <span className={`text-xs px-2 py-0.5 rounded-full ${LIFECYCLE_CHIP[life.state]}`}>{t(`lifecycle.state.${life.state}`)}</span>
+      </div>
+      {(life.state === "active" || life.state === "trial") && (
+        <div className="flex flex-wrap gap-2">
+          <button className={button} onClick={onCancel}>{t(life.state === "trial" ? "lifecycle.cancelTrial" : "lifecycle.cancel")}</button>
+        </div>
+      )}
+      {(life.state === "cancelled" || life.state === "paused") && (
+        <div className="flex flex-wrap gap-2">
+          <button className={button} onClick={onResume}>{t(life.state === "cancelled" ? "lifecycle.undoCancel" : "lifecycle.resumeNow")}</button>
+        </div>
+      )}
+      {life.state === "expired" && (
+        <div className="flex flex-wrap gap-2">
+          <button className={button} onClick={onReactivate}>{t("lifecycle.reactivate")}</button>
+        </div>
+      )}
+      {life.state === "active" && (
+        <div className="grid gap-2 sm:grid-cols-2">
+          <div className="space-y-2">
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("lifecycle.resumeOn")}</span>
+              <input className={field} type="datetime-local" value={resumeOn} onChange={(e) => setResumeOn(e.target.value)} />
+            </label>
+            <button className={button} disabled={!resumeOk} onClick={() => onPause(resumeAt?.toISO() ?? null)}>{t("lifecycle.pause")}</button>
+          </div>
+          <div className="space-y-2">
+            <div className="grid grid-cols-2 gap-2">
+              <label className="block">
+                <span className="text-xs text-gray-500">{t("lifecycle.trialDays")}</span>
+                <input className={field} type="number" min={1} value={trialDays} onChange={(e) => setTrialDays(clamp(parseInt(e.target.value, 10) || 1, 1, 365))} />
+              </label>
+              <label className="block">
+                <span className="text-xs text-gray-500">{t("lifecycle.cancelBefore")}</span>
+                <input className={field} type="number" min={0} value={cancelHours} onChange={(e) => setCancelHours(clamp(parseInt(e.target.value, 10) || 0, 0, 24 * 365))} />
+              </label>
+            </div>
+            <button className={button} onClick={() => onStartTrial(trialDays, Math.min(cancelHours, trialDays * 24))}>{t("lifecycle.startTrial")}</button>
+          </div>
+        </div>
+      )}
+      <div className="text-xs text-gray-500">{t("lifecycle.hint")}</div>
+    </div>
+  );
+}
+
+// Mid-cycle plan change: credit, charge and renewal under a proration policy,
+// staying vs switching over the next N cycles, and applying the change
+function PlanChangeCalculator({ cycle, now, hourFormat, displayZone, onApply }) {
+  const { t, money, date, pct } = useI18n();
+  const pricing = pricingOf(cycle);
+  const [plan, setPlan] = useState(cycle.plan);
+  const [amount, setAmount] = useState(() => Number(sortedPriceChanges(pricing.changes).pop()?.amount) || 0);
+  const [policy, setPolicy] = useState("immediate");
+  const [cycles, setCycles] = useState(3);
+  const quote = planChangeQuote(cycle, now, { amount, policy });
+  const compare = comparePlanChange(cycle, now, quote, cycles);
+  const fmt = (n) => money(n, pricing.currency);
+  const field = "w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  return (
+    <div className="text-sm space-y-3">
+      <div className="text-gray-600 dark:text-gray-300">{t("planChange.hint", { pct: pct(quote.remaining) })}</div>
+      <div className="grid gap-2 sm:grid-cols-2">
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("planChange.newPlan")}</span>
+          <input className={field} list="plan-presets" value={plan} onChange={(e) => setPlan(e.target.value)} />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("planChange.newPrice", { currency: pricing.currency })}</span>
+          <input className={field} type="number" min={0} step="0.01" value={amount} onChange={(e) => setAmount(Math.max(0, parseFloat(e.target.value) || 0))} />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("planChange.policy")}</span>
+          <select className={field} value={policy} onChange={(e) => setPolicy(e.target.value)}>
+            {Object.keys(PRORATION_POLICIES).map((k) => <option key={k} value={k}>{t(`planChange.policies.${k}`)}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("planChange.cycles")}</span>
+          <input className={field} type="number" min={1} max={24} value={cycles} onChange={(e) => setCycles(clamp(parseInt(e.target.value, 10) || 1, 1, 24))} />
+        </label>
+      </div>
+      <ul className="space-y-1">
+        <li><strong>{t("planChange.credit")}</strong> {fmt(quote.credit)}</li>
+        <li><strong>{t("planChange.charge")}</strong> {fmt(quote.charge)}</li>
+        <li><strong>{t(quote.dueNow < 0 ? "planChange.creditNext" : "planChange.dueNow")}</strong> {fmt(Math.abs(quote.dueNow))}</li>
+        <li><strong>{t("planChange.effective")}</strong> {date(quote.effective, hourFormat, displayZone)}</li>
+        <li><strong>{t("planChange.renewal")}</strong> {quote.renewal ? date(quote.renewal, hourFormat, displayZone) : "—"}</li>
+      </ul>
+      <div className="rounded-lg p-3 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10">
+        <div className="text-xs text-gray-500">{t("planChange.until", { at: date(compare.until, hourFormat, displayZone) })}</div>
+        <div>{t("planChange.stay", { plan: cycle.plan })} <strong>{fmt(compare.stay)}</strong></div>
+        <div>{t("planChange.switch", { plan: plan || cycle.plan })} <strong>{fmt(compare.switch)}</strong></div>
+        <div className="mt-1 font-medium">
+          {Math.abs(compare.difference) < 0.005 ? t("planChange.same") : t(compare.difference < 0 ? "planChange.cheaper" : "planChange.dearer", { amount: fmt(Math.abs(compare.difference)) })}
+        </div>
+      </div>
+      <button className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700" onClick={() => onApply({ ...quote.cycle, plan: plan.trim() || cycle.plan })}>{t("planChange.apply")}</button>
+    </div>
+  );
+}
+
+// Price, currency, tax and price history for one subscription
+function PricingEditor({ pricing, onChange }) {
+  const { t } = useI18n();
+  const input = "w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  const changes = sortedPriceChanges(pricing.changes);
+  const setChanges = (next) => onChange({ ...pricing, changes: next });
+  return (
+    <div className="text-sm">
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("pricing.currency")}</span>
+          <input className={input} value={pricing.currency} maxLength={3} onChange={(e) => onChange({ ...pricing, currency: e.target.value.toUpperCase() })} />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("pricing.tax")}</span>
+          <input className={input} type="number" min={0} step="0.01" value={pricing.taxPct} onChange={(e) => onChange({ ...pricing, taxPct: Math.max(0, parseFloat(e.target.value) || 0) })} />
+        </label>
+      </div>
+      <div className="text-xs text-gray-500 mb-1">{t("pricing.perCycle")}</div>
+      <ul className="space-y-2">
+        {changes.map((c, i) => (
+          <li key={`${c.fromISO}-${i}`} className="grid grid-cols-[1fr_1fr_auto] gap-2 items-center">
+            {c.fromISO === null ? (
+              <span className="text-xs text-gray-500">{t("pricing.initial")}</span>
+            ) : (
+              <input className={input} type="date" value={c.fromISO} aria-label={t("pricing.from")} onChange={(e) => e.target.value && setChanges(changes.map((x) => (x === c ? { ...x, fromISO: e.target.value } : x)))} />
+            )}
+            <input className={input} type="number" min={0} step="0.01" value={c.amount} aria-label={t("pricing.amount")} onChange={(e) => setChanges(changes.map((x) => (x === c ? { ...x, amount: Math.max(0, parseFloat(e.target.value) || 0) } : x)))} />
+            <button className="text-xs underline disabled:opacity-40" disabled={c.fromISO === null} onClick={() => setChanges(changes.filter((x) => x !== c))}>{t("pricing.remove")}</button>
+          </li>
+        ))}
+      </ul>
+      <button className="mt-2 px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={() => {
+        const last = changes[changes.length - 1];
+        setChanges([...changes, { fromISO: DateTime.now().toISODate(), amount: last ? last.amount : 0 }]);
+      }}>{t("pricing.add")}</button>
+    </div>
+  );
+}
+
+// Local exchange rates (units per 1 USD) and the display currency for totals
+function RatesEditor({ currency, rates, onChange }) {
+  const { t } = useI18n();
+  const input = "w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  const [code, setCode] = useState("");
+  return (
+    <div className="text-sm">
+      <label className="block mb-2">
+        <span className="text-xs text-gray-500">{t("rates.showIn")}</span>
+        <select className={input} value={currency} onChange={(e) => onChange({ currency: e.target.value, rates })}>
+          {Object.keys(rates).map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </label>
+      <ul className="grid grid-cols-2 gap-2">
+        {Object.entries(rates).map(([c, r]) => (
+          <li key={c}>
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("rates.perUsd", { code: c })}</span>
+              <input className={input} type="number" min={0} step="any" value={r} disabled={c === "USD"} onChange={(e) => onChange({ currency, rates: { ...rates, [c]: parseFloat(e.target.value) || 0 } })} />
+            </label>
+          </li>
+        ))}
+      </ul>
+      <form className="mt-2 flex gap-2" onSubmit={(e) => {
+        e.preventDefault();
+        const c = code.trim().toUpperCase();
+        if (/^[A-Z]{3}$/.test(c) && !(c in rates)) onChange({ currency, rates: { ...rates, [c]: 1 } });
+        setCode("");
+      }}>
+        <input className={input} placeholder={t("rates.addPlaceholder")} maxLength={3} value={code} onChange={(e) => setCode(e.target.value)} />
+        <button type="submit" className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20">{t("rates.add")}</button>
+      </form>
+    </div>
+  );
+}
+
+// Add / edit / remove milestone definitions (built-ins can be edited, not removed)
+function MilestoneEditor({ milestones, zone, onChange }) {
+  const { t } = useI18n();
+  const input = "w-full px-2 py-1.5 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  const update = (id, patch) => onChange(milestones.map((m) => (m.id === id ? { ...m, ...patch } : m)));
+  const offsetFields = (value, onSet, label) => (
+    <div className="grid grid-cols-[1fr_1fr] gap-1">
+      <input className={input} type="number" min={0} value={value.amount} aria-label={t("milestoneEditor.amount", { label })} onChange={(e) => onSet({ ...value, amount: Math.max(0, parseFloat(e.target.value) || 0) })} />
+      <select className={input} value={value.unit} aria-label={t("milestoneEditor.unit", { label })} onChange={(e) => onSet({ ...value, unit: e.target.value })}>
+        {OFFSET_UNITS.map((u) => <option key={u} value={u}>{t(`offsetUnit.${u}`)}</option>)}
+      </select>
+    </div>
+  );
+  return (
+    <div className="text-sm space-y-3">
+      {milestones.map((m) => (
+        <div key={m.id} className="rounded-lg p-3 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10 grid gap-2 md:grid-cols-2">
+          <label className="block">
+            <span className="text-xs text-gray-500">{t("milestoneEditor.title")}</span>
+            <input className={input} value={m.title} onChange={(e) => update(m.id, { title: e.target.value })} />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-500">{t("milestoneEditor.when")}</span>
+            <select className={input} value={m.kind} onChange={(e) => {
+              const kind = e.target.value;
+              const defaults = {
+                percent: { percent: m.percent ?? 50 },
+                absolute: { atISO: m.atISO ?? DateTime.now().setZone(zone).startOf("hour").toISO() },
+              };
+              update(m.id, { kind, offset: m.offset ?? { amount: 1, unit: "days" }, ...defaults[kind] });
+            }}>
+              {Object.keys(MILESTONE_KINDS).map((k) => <option key={k} value={k}>{t(`milestoneEditor.kinds.${k}`)}</option>)}
+            </select>
+          </label>
+          <div>
+            <span className="text-xs text-gray-500">{m.kind === "percent" ? t("milestoneEditor.percent") : m.kind === "absolute" ? t("milestoneEditor.time", { zone }) : t("milestoneEditor.offset")}</span>
+            {m.kind === "percent" && (
+              <input className={input} type="number" min={0} max={100} value={m.percent} onChange={(e) => update(m.id, { percent: clamp(parseFloat(e.target.value) || 0, 0, 100) })} />
+            )}
+            {m.kind === "absolute" && (
+              <input className={input} type="datetime-local" value={asLocalInputValue(DateTime.fromISO(m.atISO, { zone }))} onChange={(e) => {
+                const dt = fromLocalInputValue(e.target.value, zone);
+                if (dt.isValid) update(m.id, { atISO: dt.toISO() });
+              }} />
+            )}
+            {(m.kind === "beforeEnd" || m.kind === "afterStart") && offsetFields(m.offset, (offset) => update(m.id, { offset }), t("milestoneEditor.offset"))}
+          </div>
+          <div>
+            <span className="text-xs text-gray-500">{t("milestoneEditor.remindBefore")}</span>
+            {offsetFields(m.remindBefore, (remindBefore) => update(m.id, { remindBefore }), t("milestoneEditor.remindBefore"))}
+          </div>
+          <label className="block md:col-span-2">
+            <span className="text-xs text-gray-500">{t("milestoneEditor.message")}</span>
+            <input className={input} value={m.message} onChange={(e) => update(m.id, { message: e.target.value })} />
+          </label>
+          {!m.builtin && (
+            <button className="justify-self-start text-xs underline" onClick={() => onChange(milestones.filter((x) => x.id !== m.id))}>{t("milestoneEditor.remove")}</button>
+          )}
+        </div>
+      ))}
+      <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={() => onChange([...milestones, {
+        id: uid(),
+        kind: "beforeEnd",
+        offset: { amount: 7, unit: "days" },
+        title: t("milestoneEditor.newTitle"),
+        message: t("milestoneEditor.newMessage"),
+        remindBefore: { amount: 0, unit: "minutes" },
+      }])}>{t("milestoneEditor.add")}</button>
+    </div>
+  );
+}
+
+// POST/PUT JSON to the reminder relay (bin/gpt-deadline-relay.js); throws its error text
+async function relayRequest(relay, method, path, body) {
+  const res = await fetch(`${relay.url.replace(/\/+$/, "")}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(relay.token && { Authorization: `Bearer ${relay.token}` }) },
+    body: JSON.stringify(body),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error ?? `${res.status} ${res.statusText}`);
+  return json;
+}
+
+// Deliver one reminder to a channel: through the relay when one is set (it
+// only sends to channels it was synced), else straight from the browser
+// (webhook/ntfy/Gotify only; email needs the relay). `t` words that refusal.
+async function sendToChannel(channel, message, relay, t) {
+  if (relay.url) return relayRequest(relay, "POST", "/send", { channelId: channel.id, message });
+  if (!CHANNEL_KINDS[channel.kind]?.http) throw new Error(t("channels.needsRelay"));
+  return sendHttp(channel, message);
+}
+
+// Notification channels (shared by all subscriptions), the open subscription's
+// milestone → channel routing, and the optional relay. Kind and field labels are
+// catalog entries `channels.kinds.<kind>` / `channels.fields.<field>`.
+function ChannelsEditor({ channels, relay, subscriptions, milestones, notify, plan, onChannels, onRelay, onRoute }) {
+  const { t } = useI18n();
+  const input = "w-full px-2 py-1.5 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  const [kind, setKind] = useState("webhook");
+  const [status, setStatus] = useState({}); // channel id | "relay" → { ok, text }
+  const all = [BROWSER_CHANNEL, ...channels];
+  const update = (id, patch) => onChannels(channels.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  const report = (id, ok, text) => setStatus((s) => ({ ...s, [id]: { ok, text } }));
+  const nameOf = (c) => (c.kind === "browser" ? t("channels.browser") : c.name || t(`channels.kinds.${c.kind}`));
+
+  const test = async (channel) => {
+    const message = { title: t("channels.testTitle", { plan }), body: t("channels.testBody"), plan, milestoneId: "test", at: DateTime.now().toISO() };
+    if (channel.kind === "browser") {
+      if ("Notification" in window && Notification.permission === "default") await Notification.requestPermission().catch(() => {});
+      if (!("Notification" in window) || Notification.permission !== "granted") return report(channel.id, false, t("channels.blocked"));
+      await showReminderNotification(message.title, message.body, "test", t);
+      return report(channel.id, true, t("channels.shown"));
+    }
+    report(channel.id, true, t("channels.sending"));
+    try {
+      await sendToChannel(channel, message, relay, t);
+      report(channel.id, true, t(relay.url ? "channels.sentRelay" : "channels.sent"));
+    } catch (err) {
+      report(channel.id, false, t("channels.failed", { error: err.message }));
+    }
+  };
+  const sync = async () => {
+    report("relay", true, t("channels.syncing"));
+    try {
+      // Only what the relay reads, not prefs, history or usage
+      const res = await relayRequest(relay, "PUT", "/config", { activeId: subscriptions.activeId, items: subscriptions.items, channels });
+      report("relay", true, t("channels.synced", {
+        subscriptions: t("channels.relaySubscriptions", { count: res.subscriptions }),
+        channels: t("channels.relayChannels", { count: res.channels }),
+      }));
+    } catch (err) {
+      report("relay", false, t("channels.syncFailed", { error: err.message }));
+    }
+  };
+  const toggleRoute = (milestoneId, channelId, on) => {
+    const route = routeOf({ notify }, milestoneId).filter((id) => id !== channelId);
+    onRoute(milestoneId, on ? [...route, channelId] : route);
+  };
+  const statusLine = (id) => status[id] && (
+    <div className={`text-xs ${status[id].ok ? "text-gray-500" : "text-red-700 dark:text-red-300"}`} role="status">{status[id].text}</div>
+  );
+
+  return (
+    <div className="text-sm space-y-3">
+      {all.map((c) => {
+        const errors = c.kind === "browser" ? [] : channelErrors(c, nameOf(c)).map((p) => t(`problems.${p.key}`, p));
+        return (
+          <div key={c.id} className="rounded-lg p-3 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10">
+            <div className="flex flex-wrap items-center gap-2">
+              {c.kind === "browser"
+                ? <span className="font-medium flex-1">{nameOf(c)}</span>
+                : <input className={`${input} flex-1 min-w-[8rem]`} value={c.name} aria-label={t("channels.nameAria")} onChange={(e) => update(c.id, { name: e.target.value })} />}
+              <span className="text-xs text-gray-500">{t(`channels.kinds.${c.kind}`)}</span>
+              {c.kind !== "browser" && (
+                <label className="flex items-center gap-1 text-xs">
+                  <input type="checkbox" checked={c.enabled !== false} onChange={(e) => update(c.id, { enabled: e.target.checked })} /> {t("channels.on")}
+                </label>
+              )}
+              <button className="px-2 py-1 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-xs disabled:opacity-40" disabled={errors.length > 0} onClick={() => test(c)}>{t("channels.sendTest")}</button>
+              {c.kind !== "browser" && <button className="text-xs underline" onClick={() => onChannels(channels.filter((x) => x.id !== c.id))}>{t("channels.remove")}</button>}
+            </div>
+            {CHANNEL_KINDS[c.kind].fields.length > 0 && (
+              <div className="mt-2 grid gap-2 md:grid-cols-2">
+                {CHANNEL_KINDS[c.kind].fields.map((f) => (CHANNEL_FLAGS.includes(f) ? (
+                  <label key={f} className="flex items-center gap-2 text-xs">
+                    <input type="checkbox" checked={!!c[f]} onChange={(e) => update(c.id, { [f]: e.target.checked })} /> {t(`channels.fields.${f}`)}
+                  </label>
+                ) : (
+                  <label key={f} className="block">
+                    <span className="text-xs text-gray-500">{t(`channels.fields.${f}`)}</span>
+                    <input
+                      className={input}
+                      type={f === "pass" || f === "token" ? "password" : f === "port" || f === "priority" ? "number" : "text"}
+                      value={c[f] ?? ""}
+                      onChange={(e) => update(c.id, { [f]: f === "port" || f === "priority" ? parseInt(e.target.value, 10) || "" : e.target.value })}
+                    />
+                  </label>
+                )))}
               </div>
             )}
+            {errors.length > 0 && <ul className="mt-1 list-disc pl-5 text-xs text-amber-700 dark:text-amber-300">{errors.map((e) => <li key={e}>{e}</li>)}</ul>}
+            {statusLine(c.id)}
           </div>
-        </section>
-      </main>
+        );
+      })}
+      <div className="flex gap-2">
+        <select className={input} value={kind} aria-label={t("channels.typeAria")} onChange={(e) => setKind(e.target.value)}>
+          {Object.keys(CHANNEL_KINDS).filter((k) => k !== "browser").map((k) => <option key={k} value={k}>{t(`channels.kinds.${k}`)}</option>)}
+        </select>
+        <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 shrink-0" onClick={() => onChannels([...channels, newChannel(kind, uid())])}>{t("channels.add")}</button>
+      </div>
 
-      {/* Footer toasts */}
-      <div className="fixed bottom-4 left-1/2 -translate-x-1/2 w-[92vw] max-w-sm space-y-2 pointer-events-none">
-        <AnimatePresence>
-          {toasts.map((t) => (
-            <motion.div key={t.id} initial={{ y: 20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 20, opacity: 0 }} className="pointer-events-auto rounded-xl bg-neutral-900 text-white shadow-lg p-3">
-              <div className="flex items-start justify-between gap-3">
-                <div>
-                  <div className="font-medium text-sm">{t.title}</div>
-                  <div className="text-xs opacity-90">{t.body}</div>
+      <div>
+        <div className="text-xs text-gray-500 mb-1">{t("channels.routing", { plan })}</div>
+        <div className="overflow-x-auto">
+          <table className="text-xs w-full">
+            <thead>
+              <tr>
+                <th className="text-left font-medium py-1 pr-2">{t("channels.milestone")}</th>
+                {all.map((c) => <th key={c.id} className="font-medium px-2">{nameOf(c)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {milestones.map((m) => (
+                <tr key={m.id} className="border-t border-black/5 dark:border-white/10">
+                  <td className="py-1 pr-2">{m.title}</td>
+                  {all.map((c) => (
+                    <td key={c.id} className="text-center px-2">
+                      <input type="checkbox" checked={routeOf({ notify }, m.id).includes(c.id)} aria-label={`${m.title} → ${nameOf(c)}`} onChange={(e) => toggleRoute(m.id, c.id, e.target.checked)} />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="rounded-lg p-3 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10">
+        <div className="font-medium">{t("channels.relay")}</div>
+        <div className="text-xs text-gray-500">
+          {t("channels.relayRun")} <code>npm run relay -- --listen 8787 --token …</code>
+          <br />{t("channels.relayDirect")}
+        </div>
+        <div className="mt-2 grid gap-2 md:grid-cols-2">
+          <label className="block">
+            <span className="text-xs text-gray-500">{t("channels.relayUrl")}</span>
+            <input className={input} placeholder="http://127.0.0.1:8787" value={relay.url} onChange={(e) => onRelay({ ...relay, url: e.target.value.trim() })} />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-500">{t("channels.relayToken")}</span>
+            <input className={input} type="password" value={relay.token} onChange={(e) => onRelay({ ...relay, token: e.target.value })} />
+          </label>
+        </div>
+        <button className="mt-2 px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 disabled:opacity-40" disabled={!relay.url} onClick={sync}>{t("channels.sync")}</button>
+        <div className="text-xs text-gray-500 mt-1">{t("channels.syncHint")}</div>
+        {statusLine("relay")}
+      </div>
+    </div>
+  );
+}
+
+// Quiet hours and working days of one subscription, and per reminder whether
+// a reminder in quiet time is deferred, pulled earlier or left alone (modes are
+// catalog entries `quiet.modes.<key>`)
+function QuietHoursEditor({ quiet, billingZone, milestones, hourFormat, onChange }) {
+  const { t, date, locale } = useI18n();
+  const input = "w-full px-2 py-1.5 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  const errors = quietErrors(quiet, t("settings.quiet")).map((p) => t(`problems.${p.key}`, p));
+  const update = (patch) => onChange({ ...quiet, ...patch });
+  const zone = quiet.zone || billingZone;
+  return (
+    <div className="text-sm space-y-3">
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={quiet.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+        <span>{t("quiet.enable")}</span>
+      </label>
+      <div className={`grid gap-2 md:grid-cols-3 ${quiet.enabled ? "" : "opacity-50"}`}>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("quiet.from")}</span>
+          <input className={input} type="time" value={quiet.from} disabled={!quiet.enabled} onChange={(e) => e.target.value && update({ from: e.target.value })} />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("quiet.to")}</span>
+          <input className={input} type="time" value={quiet.to} disabled={!quiet.enabled} onChange={(e) => e.target.value && update({ to: e.target.value })} />
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-500">{t("quiet.zone", { zone: billingZone })}</span>
+          <ZonePicker id="quiet-zone" className={input} value={zone} onChange={(z) => update({ zone: z === billingZone ? "" : z })} />
+        </label>
+        <fieldset className="md:col-span-3" disabled={!quiet.enabled}>
+          <legend className="text-xs text-gray-500">{t("quiet.days")}</legend>
+          <div className="mt-1 flex flex-wrap gap-3">
+            {Info.weekdays("short", { locale }).map((label, i) => (
+              <label key={label} className="flex items-center gap-1">
+                <input type="checkbox" checked={quiet.days.includes(i + 1)} onChange={(e) => update({ days: e.target.checked ? [...quiet.days, i + 1].sort() : quiet.days.filter((d) => d !== i + 1) })} />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      </div>
+      {quiet.enabled && (
+        <ul className="space-y-1">
+          {milestones.map((m) => (
+            <li key={m.id} className="flex flex-wrap items-center justify-between gap-2 rounded-lg px-3 py-2 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10">
+              <span className="min-w-0">
+                <span className="font-medium">{m.title}</span>
+                <span className="block text-xs text-gray-600 dark:text-gray-300">
+                  {m.quietShift
+                    ? t("quiet.shifted", { nominal: date(m.nominalRemindAt, hourFormat, zone), at: date(m.remindAt, hourFormat, zone), shift: t(`quiet.shift.${m.quietShift}`) })
+                    : t("quiet.unshifted", { at: date(m.remindAt, hourFormat, zone) })}
+                </span>
+              </span>
+              <select className="px-2 py-1 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10 text-xs" value={quiet.modes[m.id] ?? "defer"} aria-label={t("quiet.modeAria", { title: m.title })} onChange={(e) => update({ modes: { ...quiet.modes, [m.id]: e.target.value } })}>
+                {Object.keys(QUIET_MODES).map((k) => <option key={k} value={k}>{t(`quiet.modes.${k}`)}</option>)}
+              </select>
+            </li>
+          ))}
+        </ul>
+      )}
+      {errors.length > 0 && <ul className="list-disc pl-5 text-xs text-amber-700 dark:text-amber-300">{errors.map((e) => <li key={e}>{e}</li>)}</ul>}
+      <div className="text-xs text-gray-500">{t("quiet.note")}</div>
+    </div>
+  );
+}
+
+// Add / edit / remove usage caps of one subscription (reset styles are catalog
+// entries `limits.resetStyles.<key>`)
+function LimitsEditor({ limits, zone, onChange }) {
+  const { t } = useI18n();
+  const input = "w-full px-2 py-1.5 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  const update = (id, patch) => onChange(limits.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+  return (
+    <div className="text-sm space-y-3">
+      {limits.map((l) => {
+        const errors = limitErrors(l, l.name || t("limits.unnamed")).map((p) => t(`problems.${p.key}`, p));
+        return (
+          <div key={l.id} className="rounded-lg p-3 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10 grid gap-2 md:grid-cols-2">
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("limits.name")}</span>
+              <input className={input} value={l.name} onChange={(e) => update(l.id, { name: e.target.value })} />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("limits.cap")}</span>
+              <input className={input} type="number" min={1} value={l.cap} onChange={(e) => update(l.id, { cap: Math.max(1, parseInt(e.target.value, 10) || 1) })} />
+            </label>
+            <div>
+              <span className="text-xs text-gray-500">{t("limits.per")}</span>
+              <div className="grid grid-cols-[1fr_1fr] gap-1">
+                <input className={input} type="number" min={1} value={l.window.amount} aria-label={t("limits.windowAmount")} onChange={(e) => update(l.id, { window: { ...l.window, amount: Math.max(1, parseFloat(e.target.value) || 1) } })} />
+                <select className={input} value={l.window.unit} aria-label={t("limits.windowUnit")} onChange={(e) => update(l.id, { window: { ...l.window, unit: e.target.value } })}>
+                  {OFFSET_UNITS.map((u) => <option key={u} value={u}>{t(`offsetUnit.${u}`)}</option>)}
+                </select>
+              </div>
+            </div>
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("limits.resetStyle")}</span>
+              <select className={input} value={l.reset} onChange={(e) => update(l.id, {
+                reset: e.target.value,
+                // Fixed windows need a start; default to this week's Monday 00:00
+                ...(e.target.value === "fixed" && !l.anchorISO && { anchorISO: DateTime.now().setZone(zone).startOf("week").toISO() }),
+              })}>
+                {Object.keys(LIMIT_RESETS).map((k) => <option key={k} value={k}>{t(`limits.resetStyles.${k}`)}</option>)}
+              </select>
+            </label>
+            {l.reset === "fixed" && (
+              <label className="block">
+                <span className="text-xs text-gray-500">{t("limits.anchor", { zone })}</span>
+                <input className={input} type="datetime-local" value={asLocalInputValue(DateTime.fromISO(l.anchorISO, { zone }))} onChange={(e) => {
+                  const dt = fromLocalInputValue(e.target.value, zone);
+                  if (dt.isValid) update(l.id, { anchorISO: dt.toISO() });
+                }} />
+              </label>
+            )}
+            <label className="flex items-center gap-2 self-end">
+              <input type="checkbox" checked={l.remind !== false} onChange={(e) => update(l.id, { remind: e.target.checked })} />
+              <span>{t("limits.remind")}</span>
+            </label>
+            {errors.length > 0 && <ul className="md:col-span-2 list-disc pl-5 text-xs text-amber-700 dark:text-amber-300">{errors.map((e) => <li key={e}>{e}</li>)}</ul>}
+            <button className="justify-self-start text-xs underline" onClick={() => onChange(limits.filter((x) => x.id !== l.id))}>{t("limits.remove")}</button>
+          </div>
+        );
+      })}
+      <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={() => onChange([...limits, {
+        id: uid(),
+        name: "GPT-4o",
+        cap: 80,
+        window: { amount: 3, unit: "hours" },
+        reset: "rolling",
+        anchorISO: null,
+        remind: true,
+      }])}>{t("limits.add")}</button>
+    </div>
+  );
+}
+
+// Human-readable fields of a (partial) cycle, for import previews and diffs
+// (labels are catalog entries `import.fields.<field>`)
+function cycleSummary(cycle, hourFormat, i18n) {
+  const start = inZone(cycle.startISO, cycle.timezone);
+  const billing = billingOf(cycle);
+  return {
+    plan: cycle.plan,
+    timezone: cycle.timezone,
+    start: i18n.date(start, hourFormat),
+    end: i18n.date(inZone(cycle.endISO, cycle.timezone), hourFormat),
+    billing: i18n.billing(billing, billing.anchorDay || start.day),
+  };
+}
+
+// .ics import: parse → preview each event → choose skip / add / replace → apply
+function IcsImport({ items, activeId, fallbackZone, hourFormat, onApply }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [text, setText] = useState("");
+  const [candidates, setCandidates] = useState(null);
+  const [decisions, setDecisions] = useState({}); // candidate key → { action, targetId }
+  const [dragOver, setDragOver] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = (raw) => {
+    let list;
+    try {
+      list = icsCandidates(raw, fallbackZone);
+    } catch (err) {
+      setCandidates(null);
+      return setError(t("ics.unreadable", { error: err.message }));
+    }
+    setError(null);
+    setCandidates(list);
+    setDecisions(Object.fromEntries(list.map((c) => {
+      const match = c.cycle && items.find((s) => s.plan.toLowerCase() === c.cycle.plan.toLowerCase());
+      // Nothing ambiguous is applied unless the user opts in
+      const action = !c.cycle || c.ambiguous ? "skip" : match ? "replace" : "add";
+      return [c.key, { action, targetId: match ? match.id : activeId }];
+    })));
+  };
+  const readFile = async (file) => { if (file) load(await file.text()); };
+  const decide = (key, patch) => setDecisions((d) => ({ ...d, [key]: { ...d[key], ...patch } }));
+  const chosen = (candidates ?? []).filter((c) => c.cycle && decisions[c.key]?.action !== "skip");
+
+  return (
+    <div className="text-sm">
+      <label
+        className={`block rounded-lg border-2 border-dashed px-3 py-4 text-center cursor-pointer ${dragOver ? "border-blue-500 bg-blue-50 dark:bg-blue-900/20" : "border-black/10 dark:border-white/20"}`}
+        onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={(e) => { e.preventDefault(); setDragOver(false); readFile(e.dataTransfer.files[0]); }}
+      >
+        {t("ics.drop")}
+        <input type="file" accept=".ics,text/calendar" className="sr-only" onChange={(e) => { readFile(e.target.files[0]); e.target.value = ""; }} />
+      </label>
+      <textarea className="mt-2 w-full h-20 px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10 font-mono text-xs" placeholder={t("ics.paste")} value={text} onChange={(e) => setText(e.target.value)} />
+      <button className="mt-1 px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 disabled:opacity-40" disabled={!text.trim()} onClick={() => load(text)}>{t("ics.preview")}</button>
+      {error && <div className="mt-2 text-red-700 dark:text-red-300" role="alert">{error}</div>}
+
+      {candidates && (
+        <div className="mt-3 space-y-2">
+          {candidates.length === 0 && <div className="text-gray-600 dark:text-gray-300">{t("ics.none")}</div>}
+          {candidates.map((c) => {
+            const d = decisions[c.key] ?? { action: "skip" };
+            const incoming = c.cycle && cycleSummary({ ...DEFAULT_CYCLE, ...c.cycle }, hourFormat, i18n);
+            const target = d.action === "replace" && items.find((s) => s.id === d.targetId);
+            const current = target && cycleSummary(target, hourFormat, i18n);
+            return (
+              <div key={c.key} className="rounded-lg p-3 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-medium truncate">{c.summary}</div>
+                  {c.cycle && (
+                    <select className="px-2 py-1 rounded-lg bg-gray-50 dark:bg-white/5" value={d.action === "replace" ? `replace:${d.targetId}` : d.action} aria-label={t("ics.actionAria", { summary: c.summary })} onChange={(e) => {
+                      const [action, targetId] = e.target.value.split(":");
+                      decide(c.key, targetId ? { action, targetId } : { action });
+                    }}>
+                      <option value="skip">{t("import.skip")}</option>
+                      <option value="add">{t("import.add")}</option>
+                      {items.map((s) => <option key={s.id} value={`replace:${s.id}`}>{t("import.replace", { plan: s.plan })}</option>)}
+                    </select>
+                  )}
                 </div>
-                <button className="text-xs underline" onClick={() => dismissToast(t.id)}>Dismiss</button>
+                {c.warnings.map((w) => t(`problems.${w.key}`, w)).map((w) => <div key={w} className="text-xs text-amber-700 dark:text-amber-300">{w}</div>)}
+                {incoming && (
+                  <table className="mt-2 w-full text-xs">
+                    <tbody>
+                      {Object.entries(incoming).map(([field, value]) => {
+                        const changed = current && current[field] !== value;
+                        return (
+                          <tr key={field} className={changed ? "text-blue-700 dark:text-blue-300" : ""}>
+                            <td className="pr-2 text-gray-500">{t(`import.fields.${field}`)}</td>
+                            {current && <td className={`pr-2 ${changed ? "line-through opacity-70" : ""}`}>{current[field]}</td>}
+                            <td>{value}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
               </div>
-            </motion.div>
-          ))}
-        </AnimatePresence>
+            );
+          })}
+          <div className="flex gap-2">
+            <button className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40" disabled={!chosen.length} onClick={() => {
+              onApply(chosen.map((c) => ({ ...decisions[c.key], cycle: c.cycle })));
+              setCandidates(null);
+              setText("");
+            }}>{t("ics.apply", { count: chosen.length })}</button>
+            <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={() => setCandidates(null)}>{t("ics.discard")}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Export everything as JSON; restore validates, confirms, then reloads
+function BackupRestore() {
+  const { t, date } = useI18n();
+  const [errors, setErrors] = useState([]);
+  const [pending, setPending] = useState(null); // { name, data, exportedAt, fromVersion }
+
+  const exportBackup = () => {
+    const backup = buildBackup();
+    downloadFile(`gpt-deadline-backup-${DateTime.now().toFormat("yyyyLLdd-HHmm")}.json`, JSON.stringify(backup, null, 2), "application/json");
+  };
+  const readFile = async (file) => {
+    if (!file) return;
+    setPending(null);
+    let parsed;
+    try { parsed = JSON.parse(await file.text()); } catch (err) { return setErrors([t("backup.notJson", { name: file.name, error: err.message })]); }
+    const { data, errors: found } = validateBackup(parsed, t);
+    setErrors(found);
+    if (data) setPending({ name: file.name, data, exportedAt: parsed.exportedAt, fromVersion: Number(parsed.schemaVersion) });
+  };
+  const restore = () => {
+    const failed = restoreBackup(pending.data);
+    if (failed) {
+      return setErrors([
+        t("backup.refused", { error: failed.error.message }),
+        ...(failed.rollbackError ? [t("backup.rollbackFailed", { error: failed.rollbackError.message })] : []),
+      ]);
+    }
+    window.location.reload();
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap gap-2">
+        <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={exportBackup}>{t("backup.export")}</button>
+        <label className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 cursor-pointer">
+          {t("backup.restore")}
+          <input type="file" accept=".json,application/json" className="sr-only" onChange={(e) => { readFile(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+      </div>
+      {errors.length > 0 && (
+        <ul className="mt-2 list-disc pl-5 text-xs text-red-700 dark:text-red-300" role="alert">
+          {errors.map((e) => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+      {pending && (
+        <div className="mt-2 rounded-lg p-3 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10">
+          <div>
+            {pending.exportedAt
+              ? t("backup.confirmExported", { name: pending.name, at: date(DateTime.fromISO(pending.exportedAt), "24", localZone()) })
+              : t("backup.confirm", { name: pending.name })}
+          </div>
+          <div className="text-xs text-gray-500">
+            {t("backup.subscriptions", { count: pending.data.subscriptions.items.length })}
+            {pending.fromVersion < SCHEMA_VERSION && ` • ${t("backup.upgraded", { from: pending.fromVersion, to: SCHEMA_VERSION })}`}
+          </div>
+          <div className="mt-2 flex gap-2">
+            <button className="px-3 py-1.5 rounded-lg bg-red-600 text-white hover:bg-red-700" onClick={restore}>{t("backup.replace")}</button>
+            <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={() => setPending(null)}>{t("common.cancel")}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Read-only view of a shared link; importing is an explicit choice
+function SharePreview({ shared, items, hourFormat, onImport, onClose }) {
+  const i18n = useI18n();
+  const { t, date } = i18n;
+  const [target, setTarget] = useState("add");
+  const cycle = shared.cycle && { ...DEFAULT_CYCLE, ...shared.cycle, id: "shared", reminders: { ...DEFAULT_CYCLE.reminders, ...shared.cycle.reminders } };
+  const summary = cycle && cycleSummary(cycle, hourFormat, i18n);
+  const marks = cycle ? milestoneTimes(inZone(cycle.startISO, cycle.timezone), inZone(cycle.endISO, cycle.timezone), milestonesOf(cycle).map(i18n.milestone)) : [];
+  const replacing = target !== "add" && items.find((s) => s.id === target);
+
+  const doImport = () => {
+    if (replacing && !window.confirm(t("share.confirmReplace", { plan: replacing.plan }))) return;
+    onImport(replacing ? { action: "replace", targetId: replacing.id, cycle: shared.cycle } : { action: "add", cycle: shared.cycle });
+  };
+
+  return (
+    <motion.div className="fixed inset-0 z-50 grid place-items-center p-4" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }} className="relative z-10 w-full max-w-lg rounded-2xl p-4 md:p-6 bg-white text-gray-900 dark:bg-neutral-900 dark:text-neutral-100 shadow-xl ring-1 ring-black/10 dark:ring-white/10" role="dialog" aria-label={t("share.title")}>
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">{t("share.title")}</div>
+          <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        {shared.errors.length > 0 ? (
+          <ul className="mt-3 list-disc pl-5 text-sm text-red-700 dark:text-red-300" role="alert">
+            {shared.errors.map((e) => <li key={e}>{e}</li>)}
+          </ul>
+        ) : (
+          <>
+            <div className="mt-1 text-xs text-gray-500">{t("share.previewOnly")}</div>
+            <table className="mt-3 w-full text-sm">
+              <tbody>
+                {Object.entries(summary).map(([field, value]) => (
+                  <tr key={field}><td className="pr-3 py-0.5 text-gray-500">{t(`import.fields.${field}`)}</td><td>{value}</td></tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="mt-3 text-sm font-medium">{t("share.reminders")}</div>
+            <ul className="mt-1 space-y-1 text-sm">
+              {marks.map((m) => (
+                <li key={m.id} className="flex justify-between gap-2">
+                  <span className="truncate">{m.title} <span className="text-gray-500">• {date(m.at, hourFormat)}</span></span>
+                  <span className={reminderEnabled(cycle, m.id) ? "text-green-700 dark:text-green-300" : "text-gray-500"}>{t(reminderEnabled(cycle, m.id) ? "share.on" : "share.off")}</span>
+                </li>
+              ))}
+            </ul>
+            <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+              <select className="px-2 py-1.5 rounded-lg bg-gray-50 dark:bg-white/5" value={target} aria-label={t("share.targetAria")} onChange={(e) => setTarget(e.target.value)}>
+                <option value="add">{t("import.add")}</option>
+                {items.map((s) => <option key={s.id} value={s.id}>{t("import.replace", { plan: s.plan })}</option>)}
+              </select>
+              <button className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700" onClick={doImport}>{t("share.import")}</button>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Local prompt templates: search/tag filter, fill in {{variables}}, copy
+// (counted), edit, and JSON import/export for sharing a curated set
+function PromptLibrary({ prompts, onChange, onClose }) {
+  const { t, num } = useI18n();
+  const input = "w-full px-2 py-1.5 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+  const button = "px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20";
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const [values, setValues] = useState({});
+  const [draft, setDraft] = useState(null); // { id|null, title, body, tags (text), notes }
+  const [errors, setErrors] = useState([]);
+  const [notice, setNotice] = useState("");
+  const results = searchPrompts(prompts, { query, tag });
+  const tags = promptTags(prompts);
+  const open = prompts.find((p) => p.id === openId);
+  const vars = open ? promptVariables(open.body) : [];
+  const filled = open ? fillPrompt(open.body, values) : "";
+  const empty = vars.filter((name) => !values[name]).length;
+
+  const say = (text) => {
+    setNotice(text);
+    setTimeout(() => setNotice(""), 4000);
+  };
+  const problems = (found) => setErrors(found.map((e) => {
+    const text = t(`prompts.errors.${e.key}`, e);
+    if (!e.at) return text;
+    return e.title ? t("prompts.errors.atTitled", { n: e.at, title: e.title, error: text }) : t("prompts.errors.at", { n: e.at, error: text });
+  }));
+  const use = (id) => {
+    setOpenId(id);
+    setValues({});
+    setDraft(null);
+  };
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(filled);
+    } catch {
+      window.prompt(t("prompts.copyPrompt"), filled);
+    }
+    onChange(prompts.map((p) => (p.id === open.id ? { ...p, uses: (p.uses ?? 0) + 1, lastUsedISO: DateTime.now().toISO() } : p)));
+    say(t("prompts.copied"));
+  };
+  const edit = (p) => {
+    setDraft(p ? { id: p.id, title: p.title, body: p.body, tags: p.tags.join(", "), notes: p.notes } : { id: null, title: "", body: "", tags: "", notes: "" });
+    setErrors([]);
+    setOpenId(null);
+  };
+  const save = () => {
+    const clean = { title: draft.title.trim(), body: draft.body, tags: [...new Set(draft.tags.split(/[,\s]+/).map(normalizeTag).filter(Boolean))], notes: draft.notes.trim() };
+    const found = promptErrors(clean);
+    problems(found);
+    if (found.length) return;
+    if (draft.id) onChange(prompts.map((p) => (p.id === draft.id ? { ...p, ...clean } : p)));
+    else onChange([...prompts, { id: uid(), ...clean, uses: 0, lastUsedISO: null }]);
+    setDraft(null);
+  };
+  const remove = (p) => {
+    if (!window.confirm(t("prompts.confirmDelete", { title: p.title }))) return;
+    onChange(prompts.filter((q) => q.id !== p.id));
+    if (openId === p.id) setOpenId(null);
+  };
+  const exportLibrary = () => {
+    downloadFile(`gpt-deadline-prompts-${DateTime.now().toFormat("yyyyLLdd")}.json`, JSON.stringify(libraryExport(prompts, DateTime.now().toISO()), null, 2), "application/json");
+  };
+  const importLibrary = async (file) => {
+    if (!file) return;
+    let parsed;
+    try { parsed = JSON.parse(await file.text()); } catch (err) { return setErrors([t("prompts.notJson", { name: file.name, error: err.message })]); }
+    const found = libraryErrors(parsed);
+    problems(found);
+    if (found.length) return;
+    const { items, added, updated } = mergeLibrary(prompts, parsed, uid);
+    onChange(items);
+    say(t("prompts.imported", { added, updated }));
+  };
+
+  return (
+    <motion.div className="fixed inset-0 z-50 grid place-items-center p-4" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }} className="relative z-10 w-full max-w-3xl max-h-[90vh] overflow-y-auto rounded-2xl p-4 md:p-6 bg-white text-gray-900 dark:bg-neutral-900 dark:text-neutral-100 shadow-xl ring-1 ring-black/10 dark:ring-white/10" role="dialog" aria-label={t("prompts.title")}>
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">{t("prompts.title")}</div>
+          <button className={`${button} text-sm`} onClick={onClose}>{t("common.close")}</button>
+        </div>
+
+        <div className="mt-3 flex flex-wrap gap-2 text-sm">
+          <input className={`${input} flex-1 min-w-[12rem]`} type="search" placeholder={t("prompts.search")} aria-label={t("prompts.search")} value={query} onChange={(e) => setQuery(e.target.value)} />
+          <button className={button} onClick={() => edit(null)}>{t("prompts.new")}</button>
+          <label className={`${button} cursor-pointer`}>
+            {t("prompts.import")}
+            <input type="file" accept=".json,application/json" className="sr-only" onChange={(e) => { importLibrary(e.target.files[0]); e.target.value = ""; }} />
+          </label>
+          <button className={`${button} disabled:opacity-40`} disabled={!prompts.length} onClick={exportLibrary}>{t("prompts.export")}</button>
+        </div>
+        {tags.length > 0 && (
+          <div className="mt-2 flex flex-wrap gap-1 text-xs" role="group" aria-label={t("prompts.tagsAria")}>
+            {[[null, prompts.length], ...tags].map(([name, n]) => (
+              <button key={name ?? ""} className={`px-2 py-0.5 rounded-full ${tag === name ? "bg-blue-600 text-white" : "bg-gray-100 dark:bg-white/10"}`} aria-pressed={tag === name} onClick={() => setTag(name)}>
+                {name ? `#${name}` : t("prompts.allTags")} {num(n)}
+              </button>
+            ))}
+          </div>
+        )}
+        {notice && <div className="mt-2 text-sm text-green-700 dark:text-green-300" role="status">{notice}</div>}
+        {errors.length > 0 && (
+          <ul className="mt-2 list-disc pl-5 text-xs text-red-700 dark:text-red-300" role="alert">
+            {errors.map((e) => <li key={e}>{e}</li>)}
+          </ul>
+        )}
+
+        {draft && (
+          <div className="mt-3 rounded-xl p-3 bg-gray-50 dark:bg-white/5 grid gap-2 text-sm">
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("prompts.fieldTitle")}</span>
+              <input className={input} value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("prompts.fieldBody")}</span>
+              <textarea className={`${input} h-32 font-mono text-xs`} value={draft.body} onChange={(e) => setDraft({ ...draft, body: e.target.value })} />
+            </label>
+            <div className="text-xs text-gray-500">
+              {promptVariables(draft.body).length ? t("prompts.variables", { names: promptVariables(draft.body).join(", ") }) : t("prompts.variablesHint")}
+            </div>
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("prompts.fieldTags")}</span>
+              <input className={input} placeholder="writing, email" value={draft.tags} onChange={(e) => setDraft({ ...draft, tags: e.target.value })} />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-500">{t("prompts.fieldNotes")}</span>
+              <input className={input} value={draft.notes} onChange={(e) => setDraft({ ...draft, notes: e.target.value })} />
+            </label>
+            <div className="flex gap-2">
+              <button className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700" onClick={save}>{t("prompts.save")}</button>
+              <button className={button} onClick={() => { setDraft(null); setErrors([]); }}>{t("common.cancel")}</button>
+            </div>
+          </div>
+        )}
+
+        {open && (
+          <div className="mt-3 rounded-xl p-3 bg-gray-50 dark:bg-white/5 text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <div className="font-semibold">{open.title}</div>
+              <button className="text-xs underline" onClick={() => setOpenId(null)}>{t("prompts.closeForm")}</button>
+            </div>
+            {open.notes && <div className="text-xs text-gray-500">{open.notes}</div>}
+            <div className="mt-2 grid gap-2 md:grid-cols-2">
+              {vars.map((name) => (
+                <label key={name} className="block">
+                  <span className="text-xs text-gray-500">{name}</span>
+                  <textarea className={`${input} h-16`} value={values[name] ?? ""} onChange={(e) => setValues({ ...values, [name]: e.target.value })} />
+                </label>
+              ))}
+            </div>
+            <pre className="mt-2 p-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10 whitespace-pre-wrap text-xs max-h-48 overflow-y-auto" aria-label={t("prompts.preview")}>{filled}</pre>
+            <div className="mt-2 flex items-center gap-2">
+              <button className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700" onClick={copy}>{t("prompts.copy")}</button>
+              {empty > 0 && <span className="text-xs text-amber-700 dark:text-amber-300">{t("prompts.unfilled", { count: empty })}</span>}
+            </div>
+          </div>
+        )}
+
+        {results.length ? (
+          <ul className="mt-3 space-y-2" aria-label={t("prompts.listAria")}>
+            {results.map((p) => (
+              <li key={p.id} className={`rounded-lg px-3 py-2 ring-1 ${p.id === openId ? "ring-blue-500" : "ring-black/5 dark:ring-white/10"}`}>
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0 text-sm">
+                    <div className="font-medium">{p.title}</div>
+                    <div className="text-xs text-gray-600 dark:text-gray-300 truncate">{p.body.split("\n")[0]}</div>
+                    <div className="text-xs text-gray-500">
+                      {t("prompts.uses", { count: p.uses ?? 0 })}
+                      {p.tags.length > 0 && ` • ${p.tags.map((name) => `#${name}`).join(" ")}`}
+                    </div>
+                  </div>
+                  <div className="flex gap-2 shrink-0 text-xs">
+                    <button className={button} onClick={() => use(p.id)}>{t("prompts.use")}</button>
+                    <button className="underline" onClick={() => edit(p)}>{t("prompts.edit")}</button>
+                    <button className="underline" onClick={() => remove(p)} aria-label={t("prompts.deleteAria", { title: p.title })}>{t("prompts.delete")}</button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="mt-3 text-sm text-gray-600 dark:text-gray-300">{prompts.length ? t("prompts.noMatch") : t("prompts.empty")}</div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Bundled offline guide (text from the locale catalog: guides.<page>)
+function GuidePage({ page, onClose }) {
+  const { t, list } = useI18n();
+  return (
+    <motion.div className="fixed inset-0 z-50 grid place-items-center p-4" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }} className="relative z-10 w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-2xl p-4 md:p-6 bg-white text-gray-900 dark:bg-neutral-900 dark:text-neutral-100 shadow-xl ring-1 ring-black/10 dark:ring-white/10" role="dialog" aria-label={t(`guides.${page}.title`)}>
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">{t(`guides.${page}.title`)}</div>
+          <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={onClose}>{t("common.close")}</button>
+        </div>
+        <p className="mt-2 text-sm text-gray-700 dark:text-gray-300">{t(`guides.${page}.intro`)}</p>
+        {list(`guides.${page}.sections`).map((section) => (
+          <section key={section.heading} className="mt-4">
+            <h3 className="text-sm font-semibold">{section.heading}</h3>
+            <ul className="mt-1 list-disc list-inside text-sm space-y-1 text-gray-700 dark:text-gray-300">
+              {section.points.map((point) => <li key={point}>{point}</li>)}
+            </ul>
+          </section>
+        ))}
+        <p className="mt-4 text-xs text-gray-500">{t(`guides.${page}.footer`)}</p>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Archived cycles: trends (cycle length, spend per month) plus edit / delete
+function CycleHistory({ entries, hourFormat, currency, rates, onUpdate, onDelete }) {
+  const { t, date, day, num, money, locale } = useI18n();
+  const visible = entries.filter((e) => !e.deleted).sort((a, b) => b.startISO.localeCompare(a.startISO));
+  const [editing, setEditing] = useState(null); // { id, start, end, price, notes }
+  if (!visible.length) return <div className="text-sm text-gray-600 dark:text-gray-300">{t("archive.empty")}</div>;
+
+  const lengths = visible.map((e) => inZone(e.endISO, e.timezone).diff(inZone(e.startISO, e.timezone), "days").days);
+  const avgLength = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+  const maxLength = Math.max(...lengths);
+  const perMonth = {};
+  visible.forEach((e) => {
+    const month = inZone(e.startISO, e.timezone).toFormat("yyyy-LL");
+    perMonth[month] = (perMonth[month] ?? 0) + convert(e.price, e.currency, currency, rates);
+  });
+  const months = Object.keys(perMonth).sort().slice(-12);
+  const maxSpend = Math.max(...months.map((m) => perMonth[m]), 1);
+  const input = "w-full px-2 py-1.5 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10";
+
+  return (
+    <div className="text-sm">
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <div className="text-xs text-gray-500 mb-1">{t("archive.spend", { currency })}</div>
+          <ul className="space-y-1">
+            {months.map((m) => (
+              <li key={m} className="grid grid-cols-[4.5rem_1fr_auto] gap-2 items-center">
+                <span className="tabular-nums text-xs">{DateTime.fromFormat(m, "yyyy-LL").setLocale(locale).toLocaleString({ month: "short", year: "2-digit" })}</span>
+                <span className="h-2 rounded bg-gray-200 dark:bg-gray-800 overflow-hidden"><span className="block h-full bg-blue-500" style={{ width: `${(perMonth[m] / maxSpend) * 100}%` }} /></span>
+                <span className="tabular-nums text-xs">{money(perMonth[m], currency)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500 mb-1">{t("archive.length", { days: Math.round(avgLength * 10) / 10 })}</div>
+          <ul className="space-y-1">
+            {visible.slice(0, 12).map((e, i) => (
+              <li key={e.id} className="grid grid-cols-[4.5rem_1fr_auto] gap-2 items-center">
+                <span className="tabular-nums text-xs">{day(inZone(e.startISO, e.timezone))}</span>
+                <span className="h-2 rounded bg-gray-200 dark:bg-gray-800 overflow-hidden"><span className="block h-full bg-emerald-500" style={{ width: `${(lengths[i] / maxLength) * 100}%` }} /></span>
+                <span className="tabular-nums text-xs">{t("unit.days", { n: Math.round(lengths[i] * 10) / 10 })}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
       </div>
 
-      {/* Settings Modal */}
-      <AnimatePresence>
-        {settingsOpen && (
-          <motion.div className="fixed inset-0 z-50 grid place-items-center p-4" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-            <div className="absolute inset-0 bg-black/50" onClick={() => setSettingsOpen(false)} />
-            <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }} className="relative z-10 w-full max-w-2xl rounded-2xl p-4 md:p-6 bg-white text-gray-900 dark:bg-neutral-900 dark:text-neutral-100 shadow-xl ring-1 ring-black/10 dark:ring-white/10">
+      <ul className="mt-4 space-y-2 max-h-80 overflow-y-auto">
+        {visible.map((e) => (
+          <li key={e.id} className="rounded-lg p-3 bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10">
+            {editing && editing.id === e.id ? (
+              <div className="grid gap-2 md:grid-cols-2">
+                <label className="block"><span className="text-xs text-gray-500">{t("archive.start", { zone: e.timezone })}</span>
+                  <input className={input} type="datetime-local" value={editing.start} onChange={(ev) => setEditing({ ...editing, start: ev.target.value })} />
+                </label>
+                <label className="block"><span className="text-xs text-gray-500">{t("archive.end", { zone: e.timezone })}</span>
+                  <input className={input} type="datetime-local" value={editing.end} onChange={(ev) => setEditing({ ...editing, end: ev.target.value })} />
+                </label>
+                <label className="block"><span className="text-xs text-gray-500">{t("archive.price", { currency: e.currency })}</span>
+                  <input className={input} type="number" min={0} step="0.01" value={editing.price} onChange={(ev) => setEditing({ ...editing, price: ev.target.value })} />
+                </label>
+                <label className="block md:col-span-2"><span className="text-xs text-gray-500">{t("archive.notes")}</span>
+                  <textarea className={input} rows={2} value={editing.notes} onChange={(ev) => setEditing({ ...editing, notes: ev.target.value })} />
+                </label>
+                <div className="flex gap-2 md:col-span-2">
+                  <button className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700" onClick={() => {
+                    const s = fromLocalInputValue(editing.start, e.timezone);
+                    const en = fromLocalInputValue(editing.end, e.timezone);
+                    if (!s.isValid || !en.isValid || en <= s) return alert(t("dates.invalid"));
+                    onUpdate(e.id, { startISO: s.toISO(), endISO: en.toISO(), price: Math.max(0, parseFloat(editing.price) || 0), notes: editing.notes });
+                    setEditing(null);
+                  }}>{t("archive.save")}</button>
+                  <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={() => setEditing(null)}>{t("common.cancel")}</button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="font-medium truncate">{e.plan}</div>
+                  <div className="text-gray-600 dark:text-gray-300">
+                    {date(inZone(e.startISO, e.timezone), hourFormat)} → {date(inZone(e.endISO, e.timezone), hourFormat)} • {money(e.price, e.currency)} • {t("archive.fired", { count: e.remindersFired })}
+                  </div>
+                  {e.notes && <div className="mt-1 text-xs whitespace-pre-wrap">{e.notes}</div>}
+                </div>
+                <div className="flex gap-2 shrink-0 text-xs">
+                  <button className="underline" onClick={() => setEditing({
+                    id: e.id,
+                    start: asLocalInputValue(inZone(e.startISO, e.timezone)),
+                    end: asLocalInputValue(inZone(e.endISO, e.timezone)),
+                    price: e.price,
+                    notes: e.notes,
+                  })}>{t("archive.edit")}</button>
+                  <button className="underline" onClick={() => onDelete(e.id)}>{t("archive.delete")}</button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// --------------------------- Main App ---------------------------- //
+
+export default function GPTDeadlineApp() {
+  // Load persisted subscriptions and prefs (storage is migrated on first read)
+  const [subs, setSubs] = useState(loadSubscriptions);
+  const [prefs, setPrefs] = useState(loadPrefs);
+  const [storageProblems, dismissStorageProblems] = useStorageIssues();
+  const cycle = subs.items.find((s) => s.id === subs.activeId) ?? subs.items[0];
+  const setCycle = (update) => setSubs((st) => ({
+    ...st,
+    items: st.items.map((s) => (s.id === cycle.id ? (typeof update === "function" ? update(s) : update) : s)),
+  }));
+  const [detailsOpen, setDetailsOpen] = useState(false);
+  const [tipsOpen, setTipsOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [page, setPage] = useState(null); // "prompts" | "benefits" | "deepResearch"
+  const [qaMode, setQaMode] = useState(false);
+  const [simLog, setSimLog] = useState([]); // what fired when, in simulated time
+  const [shared, setShared] = useState(null); // parsed #share= link awaiting a decision
+  const [shareNotice, setShareNotice] = useState("");
+  useTheme(prefs.theme);
+
+  // Language and second calendar; components below read it through useI18n()
+  const i18n = useMemo(() => createI18n(prefs.language, prefs.calendar), [prefs.language, prefs.calendar]);
+  const { t } = i18n;
+  useEffect(() => { document.documentElement.lang = i18n.locale; }, [i18n.locale]);
+
+  // Dates show in the billing zone, or in the browser's zone when chosen
+  const displayZone = prefs.displayZone === "local" ? localZone() : cycle.timezone;
+
+  // Service worker (inline) for offline support
+  const { updateReady, applyUpdate, dismissUpdate, canInstall, install } = usePwa();
+
+  // Open links carrying #share=…, including ones pasted into an open tab
+  useEffect(() => {
+    const read = () => setShared(parseShareHash(window.location.hash, t));
+    read();
+    window.addEventListener("hashchange", read);
+    return () => window.removeEventListener("hashchange", read);
+  }, [t]);
+
+  // Live "now" clock (1s); simulated (speed, jumps) in QA mode
+  const { now, nowMs, clock } = useNowTick(qaMode, displayZone);
+  const logSim = (entry) => setSimLog((list) => [{ id: uid(), ...entry }, ...list].slice(0, SIM_LOG_LIMIT));
+
+  // Active window and lifecycle state of every subscription (roll over if
+  // passed end; a paused one past its resume date runs as resumed)
+  const windows = useMemo(() => subs.items.map((stored) => {
+    const sub = resumedCycle(stored, now) ?? stored;
+    return { sub, ...rollCycleToNow(sub, now), life: lifecycleAt(sub, now) };
+  }), [subs.items, now.toMillis()]);
+  const { sub: live, start, end, rolled, index, ended, life } = windows.find((w) => w.sub.id === cycle.id);
+  const billing = billingOf(cycle);
+  const anchorDay = billing.anchorDay || inZone(cycle.startISO, cycle.timezone).day;
+  // Wall-clock time renewals are meant to happen at, for DST gap/overlap flags
+  const renewalWall = inZone(cycle.endISO, cycle.timezone);
+  const endDst = dstIssue(end, renewalWall.hour, renewalWall.minute);
+
+  const { totalMs, remainingMs, progress } = cycleProgress(start, end, now);
+  const { days, hours, minutes, seconds } = durationBreakdown(remainingMs);
+
+  // Rotating tip
+  const tip = useRotatingTip(i18n.list("tips"));
+
+  // Usage caps: messages logged at `now`, statuses per subscription, and a
+  // reminder for each full cap at the moment it frees up
+  const [usage, setUsage] = useUsageLog(qaMode);
+  const usageOf = (subId, limitId) => usage.filter((u) => u.subId === subId && u.limitId === limitId).map((u) => u.at);
+  const capsOf = (sub) => (sub.limits ?? []).filter((l) => !limitErrors(l, "").length).map((l) => ({ ...l, status: limitStatus(l, usageOf(sub.id, l.id), now) }));
+  const limits = capsOf(live);
+  const capReminders = windows.flatMap(({ sub }) => capsOf(sub)
+    .filter((l) => l.remind !== false && l.status.freesAt)
+    .map((l) => ({
+      id: `${sub.id}:limit:${l.id}:${l.status.freesAt.toMillis()}`,
+      subId: sub.id,
+      milestoneId: `limit:${l.id}`,
+      title: `${sub.plan}: ${t("limits.freedTitle", { name: l.name })}`,
+      body: t("limits.freedBody", { name: l.name }),
+      at: l.status.freesAt.toMillis(),
+    })));
+
+  // Reminders for every subscription
+  const reminderCycles = windows.map(({ sub, start: s, end: e }) => ({ id: sub.id, plan: sub.plan, timezone: sub.timezone, reminders: sub.reminders, notify: sub.notify, quiet: quietOf(sub), milestones: activeMilestones(sub, e).map(i18n.milestone), start: s, end: e }));
+  const { toasts, snooze, cancelSnooze, snoozes, dismissToast, missed, history, acknowledgeMissed } = useReminders(reminderCycles, {
+    nowMs,
+    simulated: qaMode,
+    speed: clock.speed,
+    onEvent: qaMode ? logSim : undefined,
+    i18n,
+    channels: prefs.channels,
+    relay: prefs.relay,
+    extra: capReminders,
+  });
+  // Rollovers the simulator drives through go to its event log
+  const prevWindows = useRef(windows);
+  const rolloverSignature = windows.map((w) => `${w.sub.id}:${w.index}:${w.ended}:${w.life.state}`).join("|");
+  useEffect(() => {
+    if (qaMode) windows.forEach((w) => {
+      const before = prevWindows.current.find((p) => p.sub.id === w.sub.id);
+      if (!before) return;
+      const plan = w.sub.plan;
+      if (w.life.state !== before.life.state) logSim({ kind: "state", at: nowMs, text: t("qa.stateChange", { plan, from: t(`lifecycle.state.${before.life.state}`), to: t(`lifecycle.state.${w.life.state}`) }) });
+      if (w.ended && !before.ended) logSim({ kind: "ended", at: nowMs, text: t(w.life.state === "paused" ? "qa.pausedAfter" : "qa.endedAfter", { plan, at: i18n.date(w.end, prefs.hourFormat) }) });
+      else if (w.index !== before.index || w.sub.startISO !== before.sub.startISO) logSim({ kind: "rollover", at: nowMs, text: t("qa.renewed", { plan, start: i18n.date(w.start, prefs.hourFormat), end: i18n.date(w.end, prefs.hourFormat) }) });
+    });
+    prevWindows.current = windows;
+  }, [rolloverSignature]);
+  // Value journal (all subscriptions); entries belong to the window they fall in
+  const [journal, setJournal] = useState(() => loadState(STORAGE_KEYS.journal, { items: [] }).items);
+  useEffect(() => { saveState(STORAGE_KEYS.journal, { items: journal }); }, [journal]);
+  const journalEntries = journal.filter((e) => e.subId === cycle.id);
+  // Prompt library; a new install starts with STARTER_PROMPTS
+  const [prompts, setPrompts] = useState(() => loadState(STORAGE_KEYS.prompts, { items: STARTER_PROMPTS }).items);
+  useEffect(() => { saveState(STORAGE_KEYS.prompts, { items: prompts }); }, [prompts]);
+  // Archive of completed cycles, kept in step with rollovers
+  const [archive, setArchive] = useState(() => loadState(STORAGE_KEYS.history, { items: [] }).items);
+  useEffect(() => { saveState(STORAGE_KEYS.history, { items: archive }); }, [archive]);
+  // Automatic state changes are saved and logged (outside the simulator); a
+  // resumed subscription restarts its dates, so its archived cycles are frozen first
+  const freezeArchive = (subId) => setArchive((list) => list.map((e) => (e.subId === subId ? { ...e, auto: false } : e)));
+  const lifecycleSignature = windows.map((w) => `${w.sub.id}:${w.life.state}`).join("|");
+  useEffect(() => {
+    if (qaMode) return;
+    subs.items.filter((sub) => resumedCycle(sub, now)).forEach((sub) => freezeArchive(sub.id));
+    setSubs((st) => {
+      const items = st.items.map((sub) => recordLifecycle(sub, now));
+      return items.some((sub, i) => sub !== st.items[i]) ? { ...st, items } : st;
+    });
+  }, [lifecycleSignature, qaMode]);
+  const archiveSignature = windows.map((w) => `${w.sub.id}:${w.sub.startISO}:${w.sub.endISO}:${JSON.stringify(w.sub.billing)}:${w.index}`).join("|");
+  // Simulated windows are never archived
+  useEffect(() => { if (!qaMode) setArchive((list) => syncArchive(list, windows, history)); }, [archiveSignature, qaMode]);
+  // Edited entries stop being "auto" so later syncs leave them alone; deletions stay as tombstones
+  const updateArchived = (id, patch) => setArchive((list) => list.map((e) => (e.id === id ? { ...e, ...patch, auto: false } : e)));
+  const deleteArchived = (id) => setArchive((list) => list.map((e) => (e.id === id ? { ...e, deleted: true } : e)));
+
+  const fmtQueued = (ms) => i18n.date(DateTime.fromMillis(ms), prefs.hourFormat, displayZone);
+  // Date in the display zone, with the second calendar's date when one is chosen
+  const withCalendar = (dt) => {
+    const alt = i18n.calDate(dt.setZone(displayZone));
+    return alt ? `${i18n.date(dt, prefs.hourFormat, displayZone)} (${alt})` : i18n.date(dt, prefs.hourFormat, displayZone);
+  };
+
+  // Persist subscriptions & prefs to localStorage
+  useEffect(() => { saveState(STORAGE_KEYS.subscriptions, subs); }, [subs]);
+  useEffect(() => { saveState(STORAGE_KEYS.prefs, prefs); }, [prefs]);
+
+  // Formatters
+  const keyDates = useMemo(() => ({
+    startLabel: withCalendar(start),
+    endLabel: withCalendar(end),
+  }), [start.toMillis(), end.toMillis(), prefs.hourFormat, displayZone, i18n]);
+
+  const milestones = useMemo(() => milestoneTimes(start, end, activeMilestones(live, end).map(i18n.milestone), quietOf(live)), [start.toMillis(), end.toMillis(), live.milestones, live.lifecycle, live.quiet, live.timezone, i18n]);
+
+  // Simulator stop: the next milestone, or its reminder when that comes first
+  const nextStop = useMemo(() => {
+    const stops = milestones
+      .flatMap((m) => [
+        ...(reminderEnabled(cycle, m.id) && m.remindAt < m.at ? [{ at: m.remindAt, label: t("qa.reminder", { title: m.title }) }] : []),
+        { at: m.at, label: m.title },
+      ])
+      .filter((x) => x.at > now)
+      .sort((a, b) => a.at - b.at);
+    return stops[0] ?? (ended ? null : { at: end, label: t("qa.renewal") });
+  }, [milestones, cycle.reminders, now.toMillis(), ended, t]);
+
+  const upcomingRenewals = useMemo(() => renewalSchedule(live, index), [live, index]);
+  // For the month calendar: the next window, its milestones, and past renewals
+  const milestonesFor = (s, e) => milestoneTimes(s, e, activeMilestones(live, e).map(i18n.milestone), quietOf(live));
+  const nextEnd = ended ? null : renewalAt(live, index + 1);
+  const nextMilestones = nextEnd ? milestonesFor(end, nextEnd) : [];
+  const pastRenewals = useMemo(() => pastWindows(live, index).map((w) => w.end), [live, index]);
+
+  // Spend: this cycle's price spread over the time left, plus YTD / lifetime totals
+  const pricing = pricingOf(cycle);
+  const cyclePrice = chargeAt(live, start);
+  const perRemainingDay = cyclePrice / Math.max(remainingMs / MS_PER_DAY, 1 / 24);
+  const perRemainingHour = cyclePrice / Math.max(remainingMs / MS_PER_HOUR, 1);
+  const spend = useMemo(() => {
+    const toDisplay = (amount, from) => convert(amount, from, prefs.currency, prefs.rates);
+    const yearStart = now.setZone(cycle.timezone).startOf("year");
+    const totals = (sub) => ({ ytd: chargesTotal(sub, now, yearStart), lifetime: chargesTotal(sub, now) });
+    const own = totals(cycle);
+    const all = subs.items.reduce((acc, sub) => {
+      const t = totals(sub);
+      const cur = pricingOf(sub).currency;
+      return { ytd: acc.ytd + toDisplay(t.ytd, cur), lifetime: acc.lifetime + toDisplay(t.lifetime, cur) };
+    }, { ytd: 0, lifetime: 0 });
+    return { own, all };
+  }, [subs.items, cycle, Math.floor(now.toMillis() / MS_PER_MIN), prefs.currency, prefs.rates]);
+
+  const renewedState = now >= end;
+
+  // Hero lines for the lifecycle state: what happens next and by when
+  const lifecycleLines = (() => {
+    const when = (dt) => ({ at: withCalendar(dt), rel: i18n.rel(dt, now) });
+    switch (life.state) {
+      case "trial": return life.trialEnd ? [
+        t("lifecycle.hero.trial", when(life.trialEnd)),
+        ...(life.cancelBy < life.trialEnd && life.cancelBy > now ? [t("lifecycle.hero.trialCancelBy", when(life.cancelBy))] : []),
+      ] : [];
+      case "cancelled": return life.accessEnd ? [t("lifecycle.hero.cancelled", when(life.accessEnd))] : [];
+      case "paused": {
+        const from = withCalendar(life.accessEnd ?? end);
+        return [life.resumeAt ? t("lifecycle.hero.paused", { from, ...when(life.resumeAt) }) : t("lifecycle.hero.pausedOpen", { from })];
+      }
+      case "expired": return [t("lifecycle.hero.expired", { rel: i18n.rel(life.since ?? end, now) })];
+      default: return [t(billing.interval === "fixed" ? "lifecycle.hero.activeFixed" : "lifecycle.hero.active")];
+    }
+  })();
+
+  // ---------------------- Handlers / Mutations --------------------- //
+  const updateReminder = (k, v) => setCycle((c) => ({ ...c, reminders: { ...c.reminders, [k]: v } }));
+  const toggleTheme = (t) => setPrefs((p) => ({ ...p, theme: t }));
+  const toggleHourFmt = (f) => setPrefs((p) => ({ ...p, hourFormat: f }));
+  const setLanguage = (language) => setPrefs((p) => ({ ...p, language }));
+  const setCalendar = (calendar) => setPrefs((p) => ({ ...p, calendar }));
+  const renamePlan = (plan) => setCycle((c) => ({ ...c, plan }));
+  // Keeps the stored instants; later renewals follow the rule in the new zone
+  const updateZone = (timezone) => setCycle((c) => ({ ...c, timezone }));
+  const updateBilling = (k, v) => setCycle((c) => ({ ...c, billing: { ...billingOf(c), [k]: v } }));
+  const updatePricing = (next) => setCycle((c) => ({ ...c, pricing: next }));
+  // Drop toggles and routes of removed milestones so both maps stay in step
+  // (lifecycle events aren't in the editor and keep theirs)
+  const updateMilestones = (defs) => setCycle((c) => {
+    const kept = ([id]) => LIFECYCLE_MILESTONES[id] || defs.some((d) => d.id === id);
+    return {
+      ...c,
+      milestones: defs,
+      reminders: Object.fromEntries(Object.entries(c.reminders).filter(kept)),
+      notify: Object.fromEntries(Object.entries(c.notify ?? {}).filter(kept)),
+      quiet: { ...c.quiet, modes: Object.fromEntries(Object.entries(c.quiet?.modes ?? {}).filter(kept)) },
+    };
+  });
+  const updateQuiet = (quiet) => setCycle((c) => ({ ...c, quiet }));
+  const updateRates = ({ currency, rates }) => setPrefs((p) => ({ ...p, currency, rates }));
+  const updateChannels = (channels) => setPrefs((p) => ({ ...p, channels }));
+  const updateRelay = (relay) => setPrefs((p) => ({ ...p, relay }));
+  const updateRoute = (milestoneId, route) => setCycle((c) => ({ ...c, notify: { ...c.notify, [milestoneId]: route } }));
+  // Removing a cap drops its logged messages
+  const updateLimits = (next) => {
+    setCycle((c) => ({ ...c, limits: next }));
+    setUsage((log) => log.filter((u) => u.subId !== cycle.id || next.some((l) => l.id === u.limitId)));
+  };
+  const logUsage = (limitId) => setUsage((log) => pruneUsage([...log, { id: uid(), subId: cycle.id, limitId, at: nowMs }], subs.items, nowMs));
+  const undoUsage = (limitId) => setUsage((log) => {
+    const last = log.filter((u) => u.subId === cycle.id && u.limitId === limitId).sort((a, b) => a.at - b.at).pop();
+    return log.filter((u) => u !== last);
+  });
+  // Keys 1–9 log a message to the open subscription's caps, in list order
+  const shortcutRef = useRef(null);
+  shortcutRef.current = (n) => { if (!settingsOpen && !page && limits[n]) logUsage(limits[n].id); };
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.repeat || !/^[1-9]$/.test(e.key)) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      shortcutRef.current(Number(e.key) - 1);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+  // A plan change that starts a new cycle moves the dates; keep the archive as it is
+  const applyPlanChange = (next) => {
+    if (next.startISO !== cycle.startISO) freezeArchive(cycle.id);
+    setCycle(next);
+  };
+
+  // Lifecycle actions on the open subscription; each one is logged. Cancelling
+  // and pausing take effect when the current window ends.
+  const logged = (c, state, patch = {}) => {
+    const l = lifecycleOf(c);
+    return { ...c, lifecycle: { ...l, ...patch, state, log: [...l.log, { at: now.toISO(), state }] } };
+  };
+  const restartNow = (c, state = "active") => restartAt(c, now.setZone(c.timezone), { at: now.toISO(), state });
+  // Restarting replaces the dates, so the archived cycles are kept as they are
+  const startTrial = (days, cancelHours) => {
+    freezeArchive(cycle.id);
+    setCycle((c) => {
+      const next = restartNow(c, "trial");
+      const trialEnd = now.setZone(c.timezone).plus({ days });
+      const b = billingOf(c);
+      return {
+        ...next,
+        endISO: trialEnd.toISO(),
+        // Paid renewals fall on the trial end's day unless an anchor is set
+        billing: BILLING_INTERVALS[b.interval]?.months ? { ...b, anchorDay: b.anchorDay ?? trialEnd.day } : b,
+        lifecycle: { ...next.lifecycle, state: "trial", trialEndISO: trialEnd.toISO(), cancelBefore: { amount: cancelHours, unit: "hours" } },
+      };
+    });
+  };
+  const cancelAtPeriodEnd = () => setCycle((c) => logged(c, "cancelled", { accessEndISO: end.toISO(), resumeISO: null }));
+  const pauseAtPeriodEnd = (resumeISO) => setCycle((c) => logged(c, "paused", { accessEndISO: end.toISO(), resumeISO }));
+  // Before the paid period runs out the current window (or trial) simply
+  // carries on; afterwards billing restarts now
+  const resumeSubscription = () => {
+    if (!(life.accessEnd && now < life.accessEnd)) return reactivate();
+    setCycle((c) => logged(c, life.trialEnd && now < life.trialEnd ? "trial" : "active", { accessEndISO: null, resumeISO: null }));
+  };
+  const reactivate = () => {
+    freezeArchive(cycle.id);
+    setCycle((c) => restartNow(c));
+  };
+
+  const openSubscription = (id) => setSubs((st) => ({ ...st, activeId: id }));
+  const addSubscription = (plan, zone) => {
+    const sub = newSubscription(plan || t("subs.newName"), zone);
+    setSubs((st) => ({ activeId: sub.id, items: [...st.items, sub] }));
+  };
+  // Apply reviewed .ics import decisions: { action: "add" | "replace", targetId, cycle };
+  // a decision whose result wouldn't be a valid subscription is left out
+  const applyImport = (decisions) => setSubs((st) => {
+    let { activeId, items } = st;
+    decisions.forEach(({ action, targetId, cycle: patch }) => {
+      const target = action === "replace" ? items.find((s) => s.id === targetId) : DEFAULT_CYCLE;
+      if (!patch || !target || cycleErrors({ ...target, ...patch }, "import").length) return;
+      if (action === "replace") {
+        items = items.map((s) => (s.id === targetId ? { ...s, ...patch, reminders: { ...s.reminders, ...patch.reminders } } : s));
+        activeId = targetId;
+      } else if (action === "add") {
+        const sub = { ...DEFAULT_CYCLE, ...patch, id: uid(), reminders: { ...DEFAULT_CYCLE.reminders, ...patch.reminders } };
+        items = [...items, sub];
+        activeId = sub.id;
+      }
+    });
+    return { activeId, items };
+  });
+  const closeShared = () => {
+    setShared(null);
+    window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+  };
+  const importShared = (decision) => {
+    applyImport([decision]);
+    closeShared();
+  };
+  const onShareLink = async () => {
+    const link = shareLink(cycle, window.location.href);
+    try {
+      await navigator.clipboard.writeText(link);
+      setShareNotice(t("share.copied"));
+      setTimeout(() => setShareNotice(""), 4000);
+    } catch {
+      window.prompt(t("share.prompt"), link);
+    }
+  };
+  const removeSubscription = (id) => setSubs((st) => {
+    if (st.items.length < 2) return st;
+    const items = st.items.filter((s) => s.id !== id);
+    return { activeId: st.activeId === id ? items[0].id : st.activeId, items };
+  });
+
+  const onEditDates = (newStartLocal, newEndLocal) => {
+    const s = fromLocalInputValue(newStartLocal, cycle.timezone);
+    const e = fromLocalInputValue(newEndLocal, cycle.timezone);
+    if (!s.isValid || !e.isValid || e <= s) return alert(t("dates.invalid"));
+    const sISO = s.toISO();
+    const eISO = e.toISO();
+    if (!sISO || !eISO) return;
+    setCycle((c) => ({ ...c, startISO: sISO, endISO: eISO }));
+  };
+
+  const onExportICS = () => {
+    const ics = generateICS(cycle, start, end, { recurring: prefs.icsRecurring });
+    const slug = cycle.plan.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    downloadFile(`gpt-deadline-${slug}-${start.toFormat('yyyyLLdd')}-${end.toFormat('yyyyLLdd')}.ics`, ics, "text/calendar;charset=utf-8");
+  };
+
+  const addJournalEntry = (entry) => setJournal((list) => [...list, { id: uid(), subId: cycle.id, ...entry }]);
+  const deleteJournalEntry = (id) => setJournal((list) => list.filter((e) => e.id !== id));
+  // Markdown covers the last JOURNAL_CYCLES cycles; CSV every entry of the subscription
+  const onExportJournal = (format) => {
+    const slug = cycle.plan.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    const stamp = now.toFormat("yyyyLLdd");
+    if (format === "csv") downloadFile(`gpt-deadline-${slug}-journal-${stamp}.csv`, journalCSV(journalEntries, cycle.timezone), "text/csv;charset=utf-8");
+    else downloadFile(`gpt-deadline-${slug}-journal-${stamp}.md`, journalMarkdown(live, journalEntries, now, JOURNAL_CYCLES), "text/markdown;charset=utf-8");
+  };
+
+  // Reset the open subscription's cycle (keeps its id) and the display prefs
+  const onResetDefaults = () => {
+    setCycle((c) => ({ ...DEFAULT_CYCLE, id: c.id }));
+    setPrefs(DEFAULT_PREFS);
+  };
+
+  // ----------------------------- UI ------------------------------- //
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen bg-white text-gray-900 dark:bg-neutral-950 dark:text-neutral-100 transition-colors duration-200">
+        {/* Header */}
+        <header className="px-4 py-3 flex items-center justify-between border-b border-black/5 dark:border-white/10 sticky top-0 backdrop-blur supports-[backdrop-filter]:bg-white/60 dark:supports-[backdrop-filter]:bg-neutral-950/60">
+          <div className="flex items-center gap-2">
+            <span className="text-xl font-semibold">GPT deadline</span>
+            <span className="text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300">{cycle.plan}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            {canInstall && <button className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-sm" onClick={install}>{t("header.install")}</button>}
+            <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setSettingsOpen(true)} aria-label={t("header.settingsAria")}>{t("header.settings")}</button>
+          </div>
+        </header>
+
+        {/* New build downloaded by the service worker */}
+        {updateReady && (
+          <div className="px-4 py-2 flex flex-wrap items-center justify-center gap-3 text-sm bg-blue-50 text-blue-900 dark:bg-blue-900/30 dark:text-blue-100" role="status">
+            <span>{t("update.ready")}</span>
+            <button className="px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700" onClick={applyUpdate}>{t("update.reload")}</button>
+            <button className="text-xs underline" onClick={dismissUpdate}>{t("update.later")}</button>
+          </div>
+        )}
+
+        {/* Main */}
+        <main className="mx-auto max-w-5xl p-4 grid gap-4 md:grid-cols-[1.2fr_1fr]">
+          {/* Left: Hero ring + timeline */}
+          <motion.section layout className="rounded-2xl p-4 md:p-6 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
+            <div className="flex flex-col items-center gap-4">
+              <ProgressRing progress={progress} label={t("unit.days", { n: days })} />
+              <div className="flex items-center gap-2 text-lg" aria-live="polite" aria-label={t("countdown.aria")}>
+                <span className="tabular-nums">{t("unit.days", { n: days })}</span>
+                <span>•</span>
+                <span className="tabular-nums">{t("unit.hours", { n: hours })}</span>
+                <span>•</span>
+                <span className="tabular-nums">{t("unit.minutes", { n: minutes })}</span>
+                <span>•</span>
+                <span className="tabular-nums">{t("unit.seconds", { n: seconds })}</span>
+              </div>
+              <div className="text-sm text-center text-gray-600 dark:text-gray-300" role="status">
+                <span className={`text-xs px-2 py-0.5 rounded-full ${LIFECYCLE_CHIP[life.state]}`}>{t(`lifecycle.state.${life.state}`)}</span>
+                {lifecycleLines.map((line) => <div key={line} className="mt-1">{line}</div>)}
+              </div>
+              {cyclePrice > 0 && (
+                <div className="text-sm text-gray-600 dark:text-gray-300" title={t("countdown.perTitle")}>
+                  <strong className="tabular-nums">{i18n.money(perRemainingDay, pricing.currency)}</strong>{t("countdown.perDay")} • <strong className="tabular-nums">{i18n.money(perRemainingHour, pricing.currency)}</strong>{t("countdown.perHour")}
+                </div>
+              )}
+              <Timeline start={start} now={now} end={end} marks={milestones} onScrub={qaMode ? clock.jumpTo : undefined} />
+              <div className="flex flex-wrap items-center justify-center gap-3 text-sm text-gray-600 dark:text-gray-300">
+                <span>{t("keyDates.started")} <strong>{keyDates.startLabel}</strong></span>
+                <span>•</span>
+                <span>{t(windowEndKey({ end, ended, life }))} <strong>{keyDates.endLabel}</strong>{displayZone !== cycle.timezone && <span className="text-xs"> ({displayZone})</span>}</span>
+                {endDst && <span className="text-xs px-2 py-0.5 rounded bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-200">{i18n.dst(endDst, end)}</span>}
+                {rolled && <span className="ml-2 text-xs px-2 py-0.5 rounded bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-200">{t("keyDates.rolled")}</span>}
+              </div>
+              <motion.div layout className="w-full mt-2">
+                <div className="rounded-xl p-3 md:p-4 bg-blue-50 text-blue-900 dark:bg-blue-900/20 dark:text-blue-100">
+                  <div className="text-sm font-medium">{t("tip.title")}</div>
+                  <div className="text-sm opacity-90 mt-1">{tip}</div>
+                </div>
+              </motion.div>
+              <div className="mt-2 flex gap-2">
+                <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setDetailsOpen((v) => !v)} aria-expanded={detailsOpen} aria-controls="details">
+                  {t(detailsOpen ? "nav.hideDetails" : "nav.details")}
+                </button>
+                <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setTipsOpen((v) => !v)} aria-expanded={tipsOpen} aria-controls="tips">
+                  {t(tipsOpen ? "nav.hideOptimize" : "nav.optimize")}
+                </button>
+                <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setHistoryOpen((v) => !v)} aria-expanded={historyOpen} aria-controls="history">
+                  {t(historyOpen ? "nav.hideHistory" : "nav.history")}
+                </button>
+              </div>
+            </div>
+
+            {/* Details */}
+            <AnimatePresence initial={false}>
+              {detailsOpen && (
+                <motion.div id="details" initial={{ height: 0, opacity: 0 }} animate={{ height: "auto", opacity: 1 }} exit={{ height: 0, opacity: 0 }} className="overflow-hidden mt-4">
+                  <div className="grid md:grid-cols-2 gap-4">
+                    <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                      <div className="text-sm font-semibold mb-2">{t("details.breakdown")}</div>
+                      <ul className="space-y-1 text-sm">
+                        <li><strong>{t("details.totalLength")}</strong> {i18n.duration(Duration.fromMillis(totalMs).shiftTo("days", "hours"), { listStyle: "narrow", unitDisplay: "short" })}</li>
+                        <li><strong>{t("details.elapsed")}</strong> {t("details.used", { pct: i18n.pct(progress) })}</li>
+                        <li><strong>{t("details.remaining")}</strong> {t("common.left", { pct: i18n.pct(1 - progress) })}</li>
+                        <li><strong>{t("details.start")}</strong> {i18n.date(start, prefs.hourFormat)} ({cycle.timezone}){displayZone !== cycle.timezone && ` • ${i18n.date(start, prefs.hourFormat, displayZone)} (${displayZone})`}{i18n.calDate(start) && ` • ${i18n.calDate(start)}`}</li>
+                        <li><strong>{t("details.end")}</strong> {i18n.date(end, prefs.hourFormat)} ({cycle.timezone}){displayZone !== cycle.timezone && ` • ${i18n.date(end, prefs.hourFormat, displayZone)} (${displayZone})`}{i18n.calDate(end) && ` • ${i18n.calDate(end)}`}</li>
+                        <li><strong>{t("details.billing")}</strong> {i18n.billing(billing, anchorDay)}</li>
+                      </ul>
+                    </div>
+                    <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                      <div className="text-sm font-semibold mb-2">{t("details.milestones")}</div>
+                      <ul className="space-y-2 text-sm">
+                        {milestones.map((m) => (
+                          <li key={m.id} className="flex items-center justify-between gap-2">
+                            <span>{m.title}</span>
+                            <span className="text-gray-600 dark:text-gray-300">{i18n.date(m.at, prefs.hourFormat, displayZone)} • <em className="not-italic">{i18n.rel(m.at, now)}</em></span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                  <div className="mt-4 rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("details.spend")}</div>
+                    <ul className="space-y-1 text-sm">
+                      <li><strong>{t("spend.thisCycle")}</strong> {i18n.money(cyclePrice, pricing.currency)}{pricing.taxPct > 0 && ` ${t("spend.inclTax", { pct: pricing.taxPct })}`}</li>
+                      <li><strong>{t("spend.ytd")}</strong> {i18n.money(spend.own.ytd, pricing.currency)}{pricing.currency !== prefs.currency && ` ≈ ${i18n.money(convert(spend.own.ytd, pricing.currency, prefs.currency, prefs.rates), prefs.currency)}`}</li>
+                      <li><strong>{t("spend.lifetime")}</strong> {i18n.money(spend.own.lifetime, pricing.currency)}{pricing.currency !== prefs.currency && ` ≈ ${i18n.money(convert(spend.own.lifetime, pricing.currency, prefs.currency, prefs.rates), prefs.currency)}`}</li>
+                      {subs.items.length > 1 && (
+                        <li><strong>{t("spend.all")}</strong> {t("spend.allValue", { ytd: i18n.money(spend.all.ytd, prefs.currency), lifetime: i18n.money(spend.all.lifetime, prefs.currency) })}</li>
+                      )}
+                    </ul>
+                  </div>
+                  <div className="mt-4 rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("details.journal")}</div>
+                    <ValueJournal cycle={live} entries={journalEntries} now={now} hourFormat={prefs.hourFormat} displayZone={displayZone} onAdd={addJournalEntry} onDelete={deleteJournalEntry} onExport={onExportJournal} />
+                  </div>
+                  <div className="mt-4 rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("details.statusHistory")}</div>
+                    {lifecycleOf(live).log.length ? (
+                      <ol className="space-y-1 text-sm max-h-48 overflow-y-auto">
+                        {[...lifecycleOf(live).log].reverse().map((e) => (
+                          <li key={`${e.at}:${e.state}`} className="flex items-center justify-between gap-2">
+                            <span>{t(`lifecycle.state.${e.state}`)}{e.auto && <span className="text-xs text-gray-500"> ({t("lifecycle.auto")})</span>}</span>
+                            <span className="text-gray-600 dark:text-gray-300">{i18n.date(inZone(e.at, cycle.timezone), prefs.hourFormat, displayZone)}</span>
+                          </li>
+                        ))}
+                      </ol>
+                    ) : (
+                      <div className="text-sm text-gray-600 dark:text-gray-300">{t("lifecycle.historyEmpty")}</div>
+                    )}
+                  </div>
+                  <div className="mt-4 rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("details.reminderHistory")}</div>
+                    {history.length ? (
+                      <ul className="space-y-1 text-sm max-h-48 overflow-y-auto">
+                        {history.map((e) => (
+                          <li key={e.id} className="flex items-center justify-between gap-2">
+                            <span className="truncate">{e.title}</span>
+                            <span className="shrink-0 text-gray-600 dark:text-gray-300">
+                              {e.status === "fired" ? t("history.delivered", { at: fmtQueued(e.firedAt) }) : t("history.missedDue", { at: fmtQueued(e.at) })}
+                              {e.snoozedUntil ? ` • ${t("history.snoozedTo", { at: fmtQueued(e.snoozedUntil) })}` : (
+                                <select className="ml-2 text-xs bg-transparent underline" value="" aria-label={t("history.snoozeAria", { title: e.title })} onChange={(ev) => ev.target.value && snooze(e.id, ev.target.value)}>
+                                  <option value="">{t("history.snoozePlaceholder")}</option>
+                                  {SNOOZE_OPTIONS.map((o) => <option key={o.key} value={o.key}>{t(`snooze.${o.key}`)}</option>)}
+                                </select>
+                              )}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <div className="text-sm text-gray-600 dark:text-gray-300">{t("history.empty")}</div>
+                    )}
+                  </div>
+                  <div className="mt-4 rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("details.renewals")}</div>
+                    {upcomingRenewals.length ? (
+                      <ol className="space-y-1 text-sm">
+                        {upcomingRenewals.map((dt) => (
+                          <li key={dt.toMillis()} className="flex items-center justify-between">
+                            <span>
+                              {withCalendar(dt)}
+                              {dstIssue(dt, renewalWall.hour, renewalWall.minute) && <span className="ml-2 text-xs text-amber-700 dark:text-amber-300">{i18n.dst(dstIssue(dt, renewalWall.hour, renewalWall.minute), dt)}</span>}
+                            </span>
+                            <span className="text-gray-600 dark:text-gray-300">{i18n.rel(dt, now)}</span>
+                          </li>
+                        ))}
+                      </ol>
+                    ) : (
+                      <div className="text-sm text-gray-600 dark:text-gray-300">{t("renewals.fixed", { at: withCalendar(end) })}</div>
+                    )}
+                  </div>
+                  <div className="mt-4">
+                    <div className="text-sm font-semibold mb-2">{t("details.calendar")}</div>
+                    <MonthCalendar start={start} end={end} now={now} nextEnd={nextEnd} pastRenewals={pastRenewals} milestones={milestones} nextMilestones={nextMilestones} milestonesFor={milestonesFor} hourFormat={prefs.hourFormat} displayZone={displayZone} onEditDates={onEditDates} />
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            {/* Cycle history */}
+            <AnimatePresence initial={false}>
+              {historyOpen && (
+                <motion.div id="history" initial={{ height: 0, opacity: 0 }} animate={{ height: "auto", opacity: 1 }} exit={{ height: 0, opacity: 0 }} className="overflow-hidden mt-4">
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("details.cycleHistory")}</div>
+                    <CycleHistory entries={archive} hourFormat={prefs.hourFormat} currency={prefs.currency} rates={prefs.rates} onUpdate={updateArchived} onDelete={deleteArchived} />
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            {/* Plan Optimization */}
+            <AnimatePresence initial={false}>
+              {tipsOpen && (
+                <motion.div id="tips" initial={{ height: 0, opacity: 0 }} animate={{ height: "auto", opacity: 1 }} exit={{ height: 0, opacity: 0 }} className="overflow-hidden mt-4">
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 grid md:grid-cols-2 gap-4">
+                    <div>
+                      <div className="text-sm font-semibold mb-2">{t("optimize.quickActions")}</div>
+                      <div className="flex flex-wrap gap-2 text-sm">
+                        <button className="px-3 py-1.5 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5" onClick={() => setPage("benefits")}>{t("optimize.benefits")}</button>
+                        <button className="px-3 py-1.5 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5" onClick={() => setPage("deepResearch")}>{t("optimize.deepResearch")}</button>
+                        <button className="px-3 py-1.5 rounded-lg bg-white dark:bg-white/10 hover:bg-gray-100 dark:hover:bg-white/20 ring-1 ring-black/5" onClick={() => setPage("prompts")}>{t("optimize.promptLibrary")}</button>
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-sm font-semibold mb-2">{t("optimize.tipsTitle")}</div>
+                      <ul className="list-disc list-inside text-sm space-y-1 text-gray-700 dark:text-gray-300">
+                        {i18n.list("optimize.tips").map((line) => <li key={line}>{line}</li>)}
+                      </ul>
+                    </div>
+                  </div>
+                  <div className="mt-4 rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("planChange.title")}</div>
+                    <PlanChangeCalculator cycle={live} now={now} hourFormat={prefs.hourFormat} displayZone={displayZone} onApply={applyPlanChange} />
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </motion.section>
+
+          {/* Right: Subscriptions + Reminders + Settings quick */}
+          <section className="flex flex-col gap-4">
+            {/* Storage problems (corrupt data, quota) */}
+            {storageProblems.length > 0 && (
+              <div className="rounded-2xl p-4 bg-red-50 text-red-900 dark:bg-red-900/20 dark:text-red-100 ring-1 ring-red-200 dark:ring-red-800" role="alert">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-semibold">{t("storage.title")}</div>
+                  <button className="text-xs underline" onClick={dismissStorageProblems}>{t("common.dismiss")}</button>
+                </div>
+                <ul className="mt-2 space-y-1 text-sm">
+                  {storageProblems.map((p) => t(`storage.${p.key}`, p)).map((m) => <li key={m}>{m}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {/* Missed reminders (due while the app was closed) */}
+            {missed.length > 0 && (
+              <div className="rounded-2xl p-4 bg-amber-50 text-amber-900 dark:bg-amber-900/20 dark:text-amber-100 ring-1 ring-amber-200 dark:ring-amber-800" role="status">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-semibold">{t("missed.title", { count: missed.length })}</div>
+                  <button className="text-xs underline" onClick={acknowledgeMissed}>{t("common.dismiss")}</button>
+                </div>
+                <ul className="mt-2 space-y-1 text-sm">
+                  {missed.map((e) => (
+                    <li key={e.id}>
+                      <span className="font-medium">{e.title}</span> <span className="opacity-80">• {t("missed.due", { at: fmtQueued(e.at), rel: i18n.rel(DateTime.fromMillis(e.at), now) })}</span>
+                      {!e.snoozedUntil && <button className="ml-2 text-xs underline" onClick={() => snooze(e.id, "10m")}>{t("missed.remindLater")}</button>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Subscriptions */}
+            <div className="rounded-2xl p-4 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
+              <div className="font-semibold">{t("subs.title")}</div>
+              <div className="text-sm text-gray-600 dark:text-gray-300">{t("subs.hint")}</div>
+              <div className="mt-3">
+                <SubscriptionList windows={windows} activeId={cycle.id} now={now} hourFormat={prefs.hourFormat} displayZone={prefs.displayZone === "local" ? displayZone : null} onOpen={openSubscription} onAdd={addSubscription} onRemove={removeSubscription} />
+              </div>
+            </div>
+
+            {/* Usage caps */}
+            <div className="rounded-2xl p-4 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
+              <div className="font-semibold">{t("limits.title")}</div>
+              <div className="text-sm text-gray-600 dark:text-gray-300">{t("limits.hint")}</div>
+              <div className="mt-3">
+                <UsageCaps limits={limits} now={now} hourFormat={prefs.hourFormat} displayZone={displayZone} onLog={logUsage} onUndo={undoUsage} onSetup={() => setSettingsOpen(true)} />
+              </div>
+            </div>
+
+            {/* Reminders */}
+            <div className="rounded-2xl p-4 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
               <div className="flex items-center justify-between">
-                <div className="text-lg font-semibold">Settings</div>
-                <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setSettingsOpen(false)}>Close</button>
+                <div>
+                  <div className="font-semibold">{t("reminders.title")}</div>
+                  <div className="text-sm text-gray-600 dark:text-gray-300">{t("reminders.hint")}</div>
+                </div>
               </div>
-              <div className="mt-4 grid gap-4 md:grid-cols-2">
-                <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
-                  <div className="text-sm font-semibold mb-2">Cycle dates</div>
-                  <label className="block text-sm mb-2">
-                    <span className="text-xs text-gray-500">Start</span>
-                    <input className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" type="datetime-local" defaultValue={asLocalInputValue(start)} id="start-input" />
-                  </label>
-                  <label className="block text-sm mb-2">
-                    <span className="text-xs text-gray-500">End</span>
-                    <input className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" type="datetime-local" defaultValue={asLocalInputValue(end)} id="end-input" />
-                  </label>
-                  <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => {
-                    const sEl = document.getElementById("start-input");
-                    const eEl = document.getElementById("end-input");
-                    const s = sEl && sEl.value ? sEl.value : asLocalInputValue(start);
-                    const e = eEl && eEl.value ? eEl.value : asLocalInputValue(end);
-                    onEditDates(s, e);
-                  }}>Save dates</button>
-                  <div className="text-xs text-gray-500 mt-2">Treat month add as calendar add (e.g., Aug 20 → Sep 20 at same local time).</div>
+              <div className="mt-3 space-y-2">
+                {milestones.map((m) => {
+                  const on = reminderEnabled(cycle, m.id);
+                  return (
+                    <label key={m.id} className="flex items-center justify-between gap-2 rounded-lg px-3 py-2 bg-gray-50 dark:bg-white/5">
+                      <div className="text-sm">
+                        <div className="font-medium">{m.title}</div>
+                        <div className="text-gray-600 dark:text-gray-300">
+                          {i18n.date(m.remindAt, prefs.hourFormat, displayZone)} • {i18n.rel(m.remindAt, now)}
+                          {m.nominalRemindAt < m.at && <span className="text-xs"> {t("reminders.before", { duration: i18n.duration(Duration.fromObject({ [m.remindBefore.unit]: Number(m.remindBefore.amount) })) })}</span>}
+                          {on && m.quietShift && <span className="block text-xs text-amber-700 dark:text-amber-300">{t(`reminders.quiet.${m.quietShift}`, { nominal: i18n.date(m.nominalRemindAt, prefs.hourFormat, displayZone) })}</span>}
+                        </div>
+                      </div>
+                      <input type="checkbox" checked={on} onChange={(e) => updateReminder(m.id, e.target.checked)} aria-label={t("reminders.toggleAria", { title: m.title })} />
+                    </label>
+                  );
+                })}
+              </div>
+              {snoozes.length > 0 && (
+                <div className="mt-3">
+                  <div className="text-xs text-gray-500 mb-1">{t("reminders.activeSnoozes")}</div>
+                  <ul className="space-y-1 text-sm">
+                    {snoozes.map((e) => (
+                      <li key={e.id} className="flex items-center justify-between gap-2 rounded-lg px-3 py-2 bg-gray-50 dark:bg-white/5">
+                        <span className="min-w-0">
+                          <span className="font-medium block truncate">{e.title}</span>
+                          <span className="text-gray-600 dark:text-gray-300">{fmtQueued(e.at)} • {i18n.rel(DateTime.fromMillis(e.at), now)}</span>
+                        </span>
+                        <button className="text-xs underline shrink-0" onClick={() => cancelSnooze(e.id)}>{t("common.cancel")}</button>
+                      </li>
+                    ))}
+                  </ul>
                 </div>
-                <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
-                  <div className="text-sm font-semibold mb-2">Preferences</div>
-                  <label className="block text-sm mb-2">
-                    <span className="text-xs text-gray-500">Theme</span>
-                    <select className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" value={cycle.theme} onChange={(e) => toggleTheme(e.target.value)}>
-                      <option value="system">System</option>
-                      <option value="light">Light</option>
-                      <option value="dark">Dark</option>
-                    </select>
-                  </label>
-                  <label className="block text-sm mb-2">
-                    <span className="text-xs text-gray-500">Time format</span>
-                    <select className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" value={cycle.hourFormat} onChange={(e) => toggleHourFmt(e.target.value)}>
-                      <option value="12h">12-hour</option>
-                      <option value="24h">24-hour</option>
-                    </select>
-                  </label>
-                  <div className="text-xs text-gray-500">Privacy: stored locally; no external calls by default.</div>
+              )}
+              <div className="mt-3 flex gap-2">
+                <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={onExportICS}>{t("reminders.exportIcs")}</button>
+                <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={onShareLink}>{t("reminders.share")}</button>
+              </div>
+              {shareNotice && <div className="mt-2 text-xs text-green-700 dark:text-green-300" role="status">{shareNotice}</div>}
+              <div className="mt-3 text-xs text-gray-500">{t("reminders.emailNote")}</div>
+            </div>
+
+            {/* Quick Settings */}
+            <div className="rounded-2xl p-4 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
+              <div className="font-semibold">{t("quick.title")}</div>
+              <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+                <div className="col-span-2">
+                  <div className="text-xs text-gray-500 mb-1">{t("quick.zone", { plan: cycle.plan })}</div>
+                  <ZonePicker id="quick-zone" className="w-full px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={cycle.timezone} onChange={updateZone} />
+                </div>
+                <div className="col-span-2">
+                  <div className="text-xs text-gray-500 mb-1">{t("quick.showDatesIn")}</div>
+                  <select className="w-full px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={prefs.displayZone} onChange={(e) => setPrefs((p) => ({ ...p, displayZone: e.target.value }))}>
+                    <option value="billing">{t("quick.billingZone", { zone: cycle.timezone })}</option>
+                    <option value="local">{t("quick.localZone", { zone: localZone() })}</option>
+                  </select>
                 </div>
-                <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
-                  <div className="text-sm font-semibold mb-2">Utilities</div>
+                <div>
+                  <div className="text-xs text-gray-500 mb-1">{t("prefs.theme")}</div>
+                  <select className="w-full px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={prefs.theme} onChange={(e) => toggleTheme(e.target.value)}>
+                    <option value="system">{t("prefs.themeSystem")}</option>
+                    <option value="light">{t("prefs.themeLight")}</option>
+                    <option value="dark">{t("prefs.themeDark")}</option>
+                  </select>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-500 mb-1">{t("prefs.timeFormat")}</div>
+                  <select className="w-full px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={prefs.hourFormat} onChange={(e) => toggleHourFmt(e.target.value)}>
+                    <option value="12h">{t("prefs.12h")}</option>
+                    <option value="24h">{t("prefs.24h")}</option>
+                  </select>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-500 mb-1">{t("prefs.language")}</div>
+                  <select className="w-full px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={i18n.lang} onChange={(e) => setLanguage(e.target.value)}>
+                    {Object.entries(LANGUAGES).map(([k, l]) => <option key={k} value={k} lang={l.locale}>{l.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-500 mb-1">{t("prefs.calendar")}</div>
+                  <select className="w-full px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5" value={i18n.calendar} onChange={(e) => setCalendar(e.target.value)}>
+                    {i18n.calendars.map((c) => <option key={c.id} value={c.id}>{c.label}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="mt-3 flex gap-2">
+                <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setSettingsOpen(true)}>{t("quick.openSettings")}</button>
+                <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={onResetDefaults}>{t("quick.reset")}</button>
+              </div>
+            </div>
+
+            {/* QA / time-travel simulator */}
+            <div className="rounded-2xl p-4 bg-white/70 dark:bg-white/5 shadow-sm ring-1 ring-black/5 dark:ring-white/10">
+              <div className="font-semibold">{t("qa.title")}</div>
+              <div className="mt-2 text-sm">{t("qa.hint")}</div>
+              <div className="mt-2 flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={qaMode} onChange={(e) => { setQaMode(e.target.checked); setSimLog([]); }} id="qa-mode" />
+                <label htmlFor="qa-mode">{t("qa.enable")}</label>
+              </div>
+              {qaMode && (
+                <div className="mt-2 grid gap-2 text-sm">
+                  <div className="tabular-nums">
+                    <span className="text-xs text-gray-500">{t("qa.now")}</span> <strong>{i18n.date(now, prefs.hourFormat, cycle.timezone)}</strong>
+                    <span className="text-xs text-gray-500"> • {clock.paused ? t("qa.paused") : t("qa.speed", { speed: clock.speed })}</span>
+                  </div>
                   <div className="flex flex-wrap gap-2">
+                    {SIM_SPEEDS.map((v) => (
+                      <button key={v} className={`px-3 py-1.5 rounded-lg ${clock.speed === v ? "bg-blue-600 text-white" : "bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20"}`} aria-pressed={clock.speed === v} onClick={() => clock.setSpeed(v)}>{t("qa.speed", { speed: v })}</button>
+                    ))}
+                    <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20" onClick={() => clock.setPaused(!clock.paused)}>{t(clock.paused ? "qa.resume" : "qa.pause")}</button>
+                  </div>
+                  {nextStop && (
+                    <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-left" onClick={() => clock.jumpTo(nextStop.at.toMillis())}>
+                      {t("qa.jumpNext")} <strong>{nextStop.label}</strong> <span className="text-xs text-gray-500">({i18n.rel(nextStop.at, now)})</span>
+                    </button>
+                  )}
+                  <label>
+                    <span className="text-xs text-gray-500 block mb-1">{t("qa.jumpTo", { zone: cycle.timezone })}</span>
+                    <input className="px-3 py-2 rounded-lg bg-gray-50 dark:bg-white/5 w-full" type="datetime-local" value={asLocalInputValue(now.setZone(cycle.timezone))} onChange={(e) => {
+                      const dt = fromLocalInputValue(e.target.value, cycle.timezone);
+                      if (dt.isValid) clock.jumpTo(dt.toMillis());
+                    }} />
+                  </label>
+                  <div>
+                    <div className="flex items-center justify-between">
+                      <span className="text-xs font-medium text-gray-500">{t("qa.log")}</span>
+                      {simLog.length > 0 && <button className="text-xs underline" onClick={() => setSimLog([])}>{t("qa.clear")}</button>}
+                    </div>
+                    {simLog.length === 0 ? (
+                      <div className="text-xs text-gray-500">{t("qa.empty")}</div>
+                    ) : (
+                      <ul className="mt-1 max-h-48 overflow-auto space-y-1 text-xs" aria-live="polite">
+                        {simLog.map((e) => (
+                          <li key={e.id} className="rounded-lg px-2 py-1 bg-gray-50 dark:bg-white/5">
+                            <span className="tabular-nums text-gray-500">{i18n.date(DateTime.fromMillis(e.at, { zone: cycle.timezone }), prefs.hourFormat)}</span>{" "}
+                            <span className="font-medium">{t(`qa.events.${e.kind}`)}</span> {e.text}
+                            {e.dueAt !== undefined && e.kind !== "snoozed" && e.at - e.dueAt >= MS_PER_MIN && <span className="text-gray-500"> {t("qa.due", { rel: i18n.rel(DateTime.fromMillis(e.dueAt), DateTime.fromMillis(e.at)) })}</span>}
+                            {e.kind === "snoozed" && <span className="text-gray-500"> {t("qa.until", { at: i18n.date(DateTime.fromMillis(e.dueAt, { zone: cycle.timezone }), prefs.hourFormat) })}</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          </section>
+        </main>
+
+        {/* Footer toasts */}
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 w-[92vw] max-w-sm space-y-2 pointer-events-none">
+          <AnimatePresence>
+            {toasts.map((t) => (
+              <motion.div key={t.id} initial={{ y: 20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 20, opacity: 0 }} className="pointer-events-auto rounded-xl bg-neutral-900 text-white shadow-lg p-3">
+                <div className="flex items-start justify-between gap-3">
+                  <div>
+                    <div className="font-medium text-sm">{t.title}</div>
+                    <div className="text-xs opacity-90">{t.body}</div>
+                  </div>
+                  <button className="text-xs underline" onClick={() => dismissToast(t.id)}>{i18n.t("common.dismiss")}</button>
+                </div>
+                {t.reminderId && (
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {SNOOZE_OPTIONS.map((o) => (
+                      <button key={o.key} className="text-xs px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20" onClick={() => snooze(t.reminderId, o.key)}>{i18n.t(`snooze.${o.key}`)}</button>
+                    ))}
+                  </div>
+                )}
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+
+        {/* Share preview, prompt library / guides + Settings modals */}
+        <AnimatePresence>
+          {shared && <SharePreview key="share" shared={shared} items={subs.items} hourFormat={prefs.hourFormat} onImport={importShared} onClose={closeShared} />}
+          {page === "prompts" && <PromptLibrary key="prompts" prompts={prompts} onChange={setPrompts} onClose={() => setPage(null)} />}
+          {page && page !== "prompts" && <GuidePage key={page} page={page} onClose={() => setPage(null)} />}
+          {settingsOpen && (
+            <motion.div key="settings" className="fixed inset-0 z-50 grid place-items-center p-4" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+              <div className="absolute inset-0 bg-black/50" onClick={() => setSettingsOpen(false)} />
+              <motion.div initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.95, opacity: 0 }} className="relative z-10 w-full max-w-2xl rounded-2xl p-4 md:p-6 bg-white text-gray-900 dark:bg-neutral-900 dark:text-neutral-100 shadow-xl ring-1 ring-black/10 dark:ring-white/10">
+                <div className="flex items-center justify-between">
+                  <div className="text-lg font-semibold">{t("settings.title")}</div>
+                  <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => setSettingsOpen(false)}>{t("common.close")}</button>
+                </div>
+                <div className="mt-4 grid gap-4 md:grid-cols-2">
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.subscription")}</div>
+                    <label className="block text-sm">
+                      <span className="text-xs text-gray-500">{t("settings.planName")}</span>
+                      <input className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" list="plan-presets" value={cycle.plan} onChange={(e) => renamePlan(e.target.value)} />
+                    </label>
+                    <label className="block text-sm mt-2">
+                      <span className="text-xs text-gray-500">{t("settings.billingZone")}</span>
+                      <ZonePicker id="settings-zone" className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" value={cycle.timezone} onChange={updateZone} />
+                    </label>
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.status")}</div>
+                    <LifecycleControls life={life} zone={cycle.timezone} periodEnd={end} onStartTrial={startTrial} onCancel={cancelAtPeriodEnd} onPause={pauseAtPeriodEnd} onResume={resumeSubscription} onReactivate={reactivate} />
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("settings.cycleDates")}</div>
+                    <label className="block text-sm mb-2">
+                      <span className="text-xs text-gray-500">{t("settings.start")}</span>
+                      <input className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" type="datetime-local" defaultValue={asLocalInputValue(start)} id="start-input" />
+                    </label>
+                    <label className="block text-sm mb-2">
+                      <span className="text-xs text-gray-500">{t("settings.end")}</span>
+                      <input className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" type="datetime-local" defaultValue={asLocalInputValue(end)} id="end-input" />
+                    </label>
                     <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={() => {
-                      // Set end = start + 1 calendar month
-                      const s = inZone(cycle.startISO, cycle.timezone);
-                      const e = monthAddCalendar(s, 1);
-                      setCycle((c) => ({ ...c, endISO: e.toISO() || c.endISO }));
-                    }}>Recompute 1-month end</button>
-                    <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={onExportICS}>Export reminders (.ics)</button>
+                      const sEl = document.getElementById("start-input");
+                      const eEl = document.getElementById("end-input");
+                      const s = sEl && sEl.value ? sEl.value : asLocalInputValue(start);
+                      const e = eEl && eEl.value ? eEl.value : asLocalInputValue(end);
+                      onEditDates(s, e);
+                    }}>{t("settings.saveDates")}</button>
+                    <div className="text-xs text-gray-500 mt-2">{t("settings.datesHint")}</div>
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("settings.billingRule")}</div>
+                    <label className="block text-sm mb-2">
+                      <span className="text-xs text-gray-500">{t("settings.interval")}</span>
+                      <select className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" value={billing.interval} onChange={(e) => updateBilling("interval", e.target.value)}>
+                        {Object.keys(BILLING_INTERVALS).map((k) => <option key={k} value={k}>{t(`billing.${k}`)}</option>)}
+                      </select>
+                    </label>
+                    {billing.interval === "days" && (
+                      <label className="block text-sm mb-2">
+                        <span className="text-xs text-gray-500">{t("settings.everyDays")}</span>
+                        <input className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" type="number" min={1} value={billing.everyDays} onChange={(e) => updateBilling("everyDays", clamp(parseInt(e.target.value, 10) || 1, 1, 3660))} />
+                      </label>
+                    )}
+                    {BILLING_INTERVALS[billing.interval]?.months && (
+                      <label className="block text-sm mb-2">
+                        <span className="text-xs text-gray-500">{t("settings.anchorDay")}</span>
+                        <input className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" type="number" min={1} max={31} placeholder={t("settings.anchorPlaceholder", { day: inZone(cycle.startISO, cycle.timezone).day })} value={billing.anchorDay ?? ""} onChange={(e) => updateBilling("anchorDay", e.target.value ? clamp(parseInt(e.target.value, 10) || 1, 1, 31) : null)} />
+                      </label>
+                    )}
+                    <div className="text-xs text-gray-500">{t("settings.anchorHint")}</div>
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("settings.price")}</div>
+                    <PricingEditor pricing={pricing} onChange={updatePricing} />
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("settings.rates")}</div>
+                    <RatesEditor currency={prefs.currency} rates={prefs.rates} onChange={updateRates} />
+                    <div className="text-xs text-gray-500 mt-2">{t("settings.ratesHint")}</div>
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5">
+                    <div className="text-sm font-semibold mb-2">{t("settings.preferences")}</div>
+                    <label className="block text-sm mb-2">
+                      <span className="text-xs text-gray-500">{t("prefs.theme")}</span>
+                      <select className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" value={prefs.theme} onChange={(e) => toggleTheme(e.target.value)}>
+                        <option value="system">{t("prefs.themeSystem")}</option>
+                        <option value="light">{t("prefs.themeLight")}</option>
+                        <option value="dark">{t("prefs.themeDark")}</option>
+                      </select>
+                    </label>
+                    <label className="block text-sm mb-2">
+                      <span className="text-xs text-gray-500">{t("prefs.timeFormat")}</span>
+                      <select className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" value={prefs.hourFormat} onChange={(e) => toggleHourFmt(e.target.value)}>
+                        <option value="12h">{t("prefs.12h")}</option>
+                        <option value="24h">{t("prefs.24h")}</option>
+                      </select>
+                    </label>
+                    <label className="block text-sm mb-2">
+                      <span className="text-xs text-gray-500">{t("prefs.language")}</span>
+                      <select className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" value={i18n.lang} onChange={(e) => setLanguage(e.target.value)}>
+                        {Object.entries(LANGUAGES).map(([k, l]) => <option key={k} value={k} lang={l.locale}>{l.label}</option>)}
+                      </select>
+                    </label>
+                    <label className="block text-sm mb-2">
+                      <span className="text-xs text-gray-500">{t("prefs.calendar")}</span>
+                      <select className="w-full px-3 py-2 rounded-lg bg-white dark:bg-white/10 ring-1 ring-black/5 dark:ring-white/10" value={i18n.calendar} onChange={(e) => setCalendar(e.target.value)}>
+                        {i18n.calendars.map((c) => <option key={c.id} value={c.id}>{c.label}</option>)}
+                      </select>
+                    </label>
+                    <div className="text-xs text-gray-500">{t("prefs.privacy")}</div>
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.milestones")}</div>
+                    <MilestoneEditor milestones={milestonesOf(cycle)} zone={cycle.timezone} onChange={updateMilestones} />
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.limits")}</div>
+                    <LimitsEditor limits={cycle.limits ?? []} zone={cycle.timezone} onChange={updateLimits} />
+                    <div className="text-xs text-gray-500 mt-2">{t("settings.limitsHint")}</div>
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.quiet")}</div>
+                    <QuietHoursEditor quiet={{ ...DEFAULT_CYCLE.quiet, ...cycle.quiet }} billingZone={cycle.timezone} milestones={milestones} hourFormat={prefs.hourFormat} onChange={updateQuiet} />
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.channels")}</div>
+                    <ChannelsEditor
+                      channels={prefs.channels}
+                      relay={prefs.relay}
+                      subscriptions={subs}
+                      milestones={activeMilestones(live, end).map(i18n.milestone)}
+                      notify={cycle.notify}
+                      plan={cycle.plan}
+                      onChannels={updateChannels}
+                      onRelay={updateRelay}
+                      onRoute={updateRoute}
+                    />
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.icsImport")}</div>
+                    <IcsImport items={subs.items} activeId={cycle.id} fallbackZone={cycle.timezone} hourFormat={prefs.hourFormat} onApply={applyImport} />
+                    <div className="text-xs text-gray-500 mt-2">{t("settings.icsHint")}</div>
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.backup")}</div>
+                    <BackupRestore />
+                    <div className="text-xs text-gray-500 mt-2">{t("settings.backupHint", { version: SCHEMA_VERSION })}</div>
+                  </div>
+                  <div className="rounded-xl p-4 bg-gray-50 dark:bg-white/5 md:col-span-2">
+                    <div className="text-sm font-semibold mb-2">{t("settings.utilities")}</div>
+                    <div className="flex flex-wrap gap-2">
+                      <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm disabled:opacity-40" disabled={billing.interval === "fixed"} onClick={() => {
+                        // Set end = start + one billing interval
+                        const s = inZone(cycle.startISO, cycle.timezone);
+                        const e = addBillingInterval(s, billing, 1, anchorDay);
+                        if (e) setCycle((c) => ({ ...c, endISO: e.toISO() || c.endISO }));
+                      }}>{t("settings.recomputeEnd", { billing: i18n.billing(billing, anchorDay) })}</button>
+                      <button className="px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-white/10 hover:bg-gray-200 dark:hover:bg-white/20 text-sm" onClick={onExportICS}>{t("settings.exportIcs")}</button>
+                    </div>
+                    <label className="mt-2 flex items-center gap-2 text-sm">
+                      <input type="checkbox" checked={prefs.icsRecurring} disabled={billing.interval === "fixed"} onChange={(e) => setPrefs((p) => ({ ...p, icsRecurring: e.target.checked }))} />
+                      <span>{t("settings.icsRecurring", { billing: i18n.billing(billing, anchorDay) })}</span>
+                    </label>
                   </div>
                 </div>
-              </div>
+              </motion.div>
             </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
+          )}
+        </AnimatePresence>
 
-      {/* Empty / Renewed state banner */}
-      {renewedState && (
-        <div className="fixed top-14 left-1/2 -translate-x-1/2 px-4 py-2 rounded-full bg-emerald-600 text-white text-sm shadow-lg">
-          Cycle renewed. Showing current window.
-        </div>
-      )}
-    </div>
+        {/* Empty / Renewed state banner */}
+        {renewedState && (
+          <div className="fixed top-14 left-1/2 -translate-x-1/2 px-4 py-2 rounded-full bg-emerald-600 text-white text-sm shadow-lg">
+            {t(!ended ? "banner.renewed" : life.state === "paused" ? "banner.paused" : life.accessEnd ? "banner.expired" : "banner.ended")}
+          </div>
+        )}
+      </div>
+    </I18nContext.Provider>
   );
 }
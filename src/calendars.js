@@ -0,0 +1,166 @@
+import { DateTime } from "luxon";
+
+/**
+ * GPT Deadline – alternative calendar display
+ * Dates are always computed in the Gregorian calendar (Luxon); these
+ * converters only re-label a wall date for display. Add a calendar by
+ * registering an entry in CALENDARS with `fromDate(dt)` → { year, month, day }
+ * (or null when out of range) and month names per language.
+ */
+
+// ----------------------- Bikram Sambat (BS) ----------------------- //
+
+// Days in each BS month (Baisakh … Chaitra). The lunisolar month lengths have
+// no closed form; they follow the published Nepali calendar (Panchang) tables.
+// 2000–2083 BS agree across independent sources; later years are not yet
+// fixed, so dates past the table fall back to Gregorian display.
+const BS_MONTH_DAYS = [
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2000
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2001
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2002
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2003
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2004
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2005
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2006
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2007
+  [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 29, 31], // 2008
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2009
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2010
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2011
+  [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 30, 30], // 2012
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2013
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2014
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2015
+  [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 30, 30], // 2016
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2017
+  [31, 32, 31, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2018
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2019
+  [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30], // 2020
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2021
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30], // 2022
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2023
+  [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30], // 2024
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2025
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2026
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2027
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2028
+  [31, 31, 32, 31, 32, 30, 30, 29, 30, 29, 30, 30], // 2029
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2030
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2031
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2032
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2033
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2034
+  [30, 32, 31, 32, 31, 31, 29, 30, 30, 29, 29, 31], // 2035
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2036
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2037
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2038
+  [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 30, 30], // 2039
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2040
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2041
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2042
+  [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 30, 30], // 2043
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2044
+  [31, 32, 31, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2045
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2046
+  [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30], // 2047
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2048
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30], // 2049
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2050
+  [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30], // 2051
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2052
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30], // 2053
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2054
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2055
+  [31, 31, 32, 31, 32, 30, 30, 29, 30, 29, 30, 30], // 2056
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2057
+  [30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2058
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2059
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2060
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2061
+  [30, 32, 31, 32, 31, 31, 29, 30, 29, 30, 29, 31], // 2062
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2063
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2064
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2065
+  [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 29, 31], // 2066
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2067
+  [31, 31, 32, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2068
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2069
+  [31, 31, 31, 32, 31, 31, 29, 30, 30, 29, 30, 30], // 2070
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2071
+  [31, 32, 31, 32, 31, 30, 30, 29, 30, 29, 30, 30], // 2072
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 31], // 2073
+  [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30], // 2074
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2075
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30], // 2076
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2077
+  [31, 31, 31, 32, 31, 31, 30, 29, 30, 29, 30, 30], // 2078
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2079
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 29, 30, 30], // 2080
+  [31, 32, 31, 32, 31, 30, 30, 30, 29, 30, 29, 31], // 2081
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2082
+  [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30], // 2083
+];
+const BS_FIRST_YEAR = 2000;
+const BS_EPOCH = DateTime.fromObject({ year: 1943, month: 4, day: 14 }, { zone: "utc" }); // 2000-01-01 BS
+
+const BS_MONTHS = {
+  en: ["Baisakh", "Jestha", "Asar", "Shrawan", "Bhadra", "Asoj", "Kartik", "Mangsir", "Poush", "Magh", "Falgun", "Chaitra"],
+  ne: ["बैशाख", "जेठ", "असार", "साउन", "भदौ", "असोज", "कात्तिक", "मंसिर", "पुस", "माघ", "फागुन", "चैत"],
+};
+
+// Wall date of `dt` (in its own zone) → BS { year, month (1–12), day }
+export function toBS(dt) {
+  const date = DateTime.fromObject({ year: dt.year, month: dt.month, day: dt.day }, { zone: "utc" });
+  let days = Math.round(date.diff(BS_EPOCH, "days").days);
+  if (days < 0) return null;
+  for (let i = 0; i < BS_MONTH_DAYS.length; i++) {
+    const months = BS_MONTH_DAYS[i];
+    const yearDays = months.reduce((a, b) => a + b, 0);
+    if (days >= yearDays) { days -= yearDays; continue; }
+    for (let m = 0; m < 12; m++) {
+      if (days < months[m]) return { year: BS_FIRST_YEAR + i, month: m + 1, day: days + 1 };
+      days -= months[m];
+    }
+  }
+  return null;
+}
+
+// BS date → Gregorian DateTime (start of that day in `zone`), or null
+export function fromBS({ year, month, day }, zone) {
+  const i = year - BS_FIRST_YEAR;
+  if (i < 0 || i >= BS_MONTH_DAYS.length || month < 1 || month > 12 || day < 1 || day > BS_MONTH_DAYS[i][month - 1]) return null;
+  let days = day - 1;
+  for (let y = 0; y < i; y++) days += BS_MONTH_DAYS[y].reduce((a, b) => a + b, 0);
+  for (let m = 0; m < month - 1; m++) days += BS_MONTH_DAYS[i][m];
+  const d = BS_EPOCH.plus({ days });
+  return DateTime.fromObject({ year: d.year, month: d.month, day: d.day }, { zone });
+}
+
+// --------------------------- Registry ----------------------------- //
+
+export const CALENDARS = {
+  gregorian: { label: { en: "Gregorian (AD)", ne: "ईस्वी (AD)" } },
+  bs: { label: { en: "Bikram Sambat (BS)", ne: "विक्रम संवत् (बि.सं.)" }, era: { en: "BS", ne: "बि.सं." }, months: BS_MONTHS, fromDate: toBS },
+};
+
+// "3 Kartik 2082 BS" / "२०८२ कात्तिक ३" for `dt`'s wall date; null when the
+// calendar is Gregorian or the date is outside the calendar's data.
+// `digits` renders numbers (e.g. in Devanagari) for the display language.
+export function fmtCalendarDate(dt, calendar, lang, digits = String) {
+  const cal = CALENDARS[calendar];
+  if (!cal || !cal.fromDate) return null;
+  const parts = cal.fromDate(dt);
+  if (!parts) return null;
+  const month = (cal.months[lang] ?? cal.months.en)[parts.month - 1];
+  const era = cal.era[lang] ?? cal.era.en;
+  return lang === "ne"
+    ? `${digits(parts.year)} ${month} ${digits(parts.day)}`
+    : `${digits(parts.day)} ${month} ${digits(parts.year)} ${era}`;
+}
+
+// Day-of-month in `calendar` (falls back to the Gregorian day)
+export function calendarDay(dt, calendar) {
+  const cal = CALENDARS[calendar];
+  const parts = cal && cal.fromDate ? cal.fromDate(dt) : null;
+  return parts ? parts.day : dt.day;
+}
@@ -0,0 +1,166 @@
+/**
+ * GPT Deadline – reminder delivery channels (plain ES module, no dependencies)
+ * Shared by the app (src/App.jsx) and the relay (bin/gpt-deadline-relay.js).
+ *
+ * A channel is { id, kind, name, enabled, ...settings } with `kind` from
+ * CHANNEL_KINDS. Each subscription routes every milestone's reminder to a list
+ * of channel ids (`cycle.notify[milestoneId]`, default: this browser only).
+ *
+ * - channelErrors(channel, at) → problems with its settings, shaped like the
+ *   engine's ({ key, path, ...vars }; CHANNEL_PROBLEM_TEXT has the English for
+ *   the keys only channels use)
+ * - routeOf(cycle, milestoneId) → channel ids for one milestone
+ * - channelRequest(channel, message) → { url, method, headers, body } for HTTP kinds
+ * - sendHttp(channel, message, fetchImpl) → Promise; throws on a non-2xx reply
+ * - emailText(channel, message, date) → RFC 5322 message for the SMTP kind
+ * A message is { title, body, plan, milestoneId, at } (`at`: ISO instant).
+ * SMTP needs raw sockets, so only the relay sends email (bin/smtp.js).
+ */
+
+// On/off settings; the rest are text or numbers
+export const CHANNEL_FLAGS = ["secure", "allowInsecureAuth"];
+
+export const CHANNEL_KINDS = {
+  browser: { label: "Browser notification", fields: [] },
+  webhook: { label: "Webhook (Slack/Discord JSON)", fields: ["url"], http: true },
+  ntfy: { label: "ntfy", fields: ["url", "topic", "token", "priority"], http: true },
+  gotify: { label: "Gotify", fields: ["url", "token", "priority"], http: true },
+  email: { label: "Email (SMTP)", fields: ["host", "port", "secure", "user", "pass", "from", "to", "allowInsecureAuth"] },
+};
+
+// Always present; stands for the Notification API and in-app toasts
+export const BROWSER_CHANNEL = { id: "browser", kind: "browser", name: "This browser", enabled: true };
+
+export const DEFAULT_ROUTE = [BROWSER_CHANNEL.id];
+
+// A blank channel of `kind`, ready for the editor
+export function newChannel(kind, id) {
+  const base = { id, kind, name: CHANNEL_KINDS[kind].label, enabled: true };
+  switch (kind) {
+    case "ntfy": return { ...base, url: "https://ntfy.sh", topic: "", token: "", priority: 3 };
+    case "gotify": return { ...base, url: "", token: "", priority: 5 };
+    case "email": return { ...base, host: "", port: 587, secure: false, user: "", pass: "", from: "", to: "", allowInsecureAuth: false };
+    default: return { ...base, url: "" };
+  }
+}
+
+const isHttpUrl = (v) => {
+  try {
+    return ["http:", "https:"].includes(new URL(v).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export const CHANNEL_PROBLEM_TEXT = {
+  url: "{path} must be an http(s) URL.",
+  topic: "{path} must be 1–64 letters, digits, - or _.",
+  gotifyToken: "{path} (the Gotify app token) is required.",
+  required: "{path} is required.",
+  port: "{path} must be 1–65535.",
+  email: "{path} must be an email address.",
+  recipients: "{path} needs at least one email address.",
+};
+
+// Problems with a channel's settings, located under `at`; empty when usable
+export function channelErrors(channel, at) {
+  const errors = [];
+  const problem = (key, field, vars = {}) => ({ key, path: `${at}.${field}`, ...vars });
+  const kind = CHANNEL_KINDS[channel?.kind];
+  if (!kind) return [problem("unsupported", "kind", { value: String(channel?.kind) })];
+  if (typeof channel.id !== "string" || !channel.id) errors.push(problem("nonEmpty", "id"));
+  if (kind.fields.includes("url") && !isHttpUrl(channel.url)) errors.push(problem("url", "url"));
+  if (channel.kind === "ntfy" && !/^[-\w]{1,64}$/.test(channel.topic ?? "")) errors.push(problem("topic", "topic"));
+  if (channel.kind === "gotify" && !channel.token) errors.push(problem("gotifyToken", "token"));
+  if (channel.kind === "email") {
+    if (!channel.host) errors.push(problem("required", "host"));
+    if (!Number.isInteger(Number(channel.port)) || channel.port < 1 || channel.port > 65535) errors.push(problem("port", "port"));
+    if (!/^[^\s@]+@[^\s@]+$/.test(channel.from ?? "")) errors.push(problem("email", "from"));
+    if (!recipients(channel).length) errors.push(problem("recipients", "to"));
+  }
+  return errors;
+}
+
+export function recipients(channel) {
+  return String(channel.to ?? "").split(/[,;\s]+/).filter((a) => /^[^\s@]+@[^\s@]+$/.test(a));
+}
+
+// Channel ids a milestone's reminder goes to
+export function routeOf(cycle, milestoneId) {
+  return cycle.notify?.[milestoneId] ?? DEFAULT_ROUTE;
+}
+
+// Plain-text rendering shared by every kind
+function messageText(message) {
+  return `${message.body}\n${message.at ? `(${message.at})` : ""}`.trim();
+}
+
+// HTTP request for a webhook, ntfy or Gotify channel
+export function channelRequest(channel, message) {
+  const json = { "Content-Type": "application/json" };
+  const bearer = channel.token ? { Authorization: `Bearer ${channel.token}` } : {};
+  const base = String(channel.url).replace(/\/+$/, "");
+  switch (channel.kind) {
+    case "webhook":
+      // `text` is read by Slack, `content` by Discord; the rest is for custom receivers
+      return {
+        url: channel.url,
+        method: "POST",
+        headers: json,
+        body: JSON.stringify({
+          text: `*${message.title}*\n${messageText(message)}`,
+          content: `**${message.title}**\n${messageText(message)}`,
+          title: message.title,
+          message: message.body,
+          plan: message.plan,
+          milestone: message.milestoneId,
+          at: message.at,
+        }),
+      };
+    case "ntfy":
+      // JSON publishing keeps non-ASCII titles out of HTTP headers
+      return {
+        url: base,
+        method: "POST",
+        headers: { ...json, ...bearer },
+        body: JSON.stringify({ topic: channel.topic, title: message.title, message: messageText(message), priority: Number(channel.priority) || 3, tags: ["alarm_clock"] }),
+      };
+    case "gotify":
+      return {
+        url: `${base}/message`,
+        method: "POST",
+        headers: { ...json, "X-Gotify-Key": channel.token },
+        body: JSON.stringify({ title: message.title, message: messageText(message), priority: Number(channel.priority) || 5 }),
+      };
+    default:
+      throw new Error(`${CHANNEL_KINDS[channel.kind]?.label ?? channel.kind} is not sent over HTTP.`);
+  }
+}
+
+export async function sendHttp(channel, message, fetchImpl = fetch) {
+  const { url, ...init } = channelRequest(channel, message);
+  const res = await fetchImpl(url, init);
+  if (!res.ok) throw new Error(`${url} answered ${res.status} ${res.statusText}`.trim());
+}
+
+const utf8Base64 = (text) => {
+  let bin = "";
+  new TextEncoder().encode(text).forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin);
+};
+
+// RFC 5322 message (UTF-8, base64 body) for the email kind
+export function emailText(channel, message, date = new Date()) {
+  const body = utf8Base64(messageText(message)).replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${channel.from}`,
+    `To: ${recipients(channel).join(", ")}`,
+    `Subject: =?UTF-8?B?${utf8Base64(message.title)}?=`,
+    `Date: ${date.toUTCString().replace("GMT", "+0000")}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
@@ -0,0 +1,1452 @@
+import { DateTime, Duration } from "luxon";
+
+/**
+ * GPT Deadline – headless cycle engine (plain ES module, Luxon only)
+ * Shared by the React app (src/App.jsx) and the CLI (bin/gpt-deadline.js);
+ * no React, DOM or storage access, so it runs in browsers and Node alike.
+ *
+ * A cycle (subscription) is a plain object shaped like DEFAULT_CYCLE:
+ *   { id, plan, timezone, startISO, endISO, billing, pricing, reminders, lifecycle, notify, limits, quiet, milestones? }
+ * Instants are Luxon DateTimes in the cycle's zone; `now` is always passed in.
+ *
+ * Validation (problems are { key, path, ...vars }; problemText(problem) words one in English)
+ * - cycleErrors(cycle, at) → list of problems (bad zone, dates, billing, milestones…)
+ * - milestoneErrors(def, at) → problems with one milestone definition
+ * - archiveEntryErrors(entry, at), journalEntryErrors(entry, at) → problems with one stored record
+ * Windows
+ * - rollCycleToNow(cycle, now) → { start, end, rolled, index, ended }
+ * - cycleProgress(start, end, now) → { totalMs, elapsedMs, remainingMs, progress }
+ * - renewalAt(cycle, k), renewalSchedule(cycle, index, count), pastWindows(cycle, index, from)
+ * - durationBreakdown(ms) → { days, hours, minutes, seconds }; humanRel(dt, base) → "3d 4h from now"
+ *   (relParts(dt, base) has the same units unformatted, for translated output)
+ * Lifecycle
+ * - lifecycleAt(cycle, now) → { state, since, trialEnd, cancelBy, accessEnd, resumeAt }
+ * - restartAt(cycle, at), resumedCycle(cycle, now), chargeAt(cycle, dt)
+ * Milestones
+ * - milestonesOf(cycle), milestoneTimes(start, end, defs, quiet) → [{ ...def, at, remindAt, nominalRemindAt, quietShift }]
+ * - activeMilestones(cycle, end) (adds trial/cancel/pause events), nextMilestone(cycle, now), reminderEnabled(cycle, id)
+ * Quiet hours
+ * - quietOf(cycle) (zone filled in), quietSlot(dt, quiet, mode, latest) → the reminder time quiet hours allow
+ * Usage caps
+ * - limitStatus(limit, uses, now) → { used, remaining, full, windowStart, nextFree, freesAt }; limitErrors(limit, at)
+ * Value journal
+ * - journalSummary(entries, start, end), valueByCycle(cycle, entries, now, count) → wins/hours saved vs price per window
+ * - journalMarkdown(cycle, entries, now, count), journalCSV(entries, zone) → exports
+ * - journalLink(link) → the link if it is an http(s) URL, else ""
+ * Money
+ * - priceAt(cycle, dt), cycleCharges(cycle, now, since), chargesTotal(cycle, now, since), convert(amount, from, to, rates), fmtMoney(amount, currency, locale)
+ * - planChangeQuote(cycle, now, { amount, policy }) → credit, charge due now, new renewal and the changed cycle;
+ *   comparePlanChange(cycle, now, quote, cycles) → staying vs switching over the next N cycles
+ * Calendars
+ * - generateICS(cycle, start, end, { recurring }) → iCalendar text
+ * - icsCandidates(text, fallbackZone) → importable cycles found in .ics text
+ */
+
+// ---------------------- Defaults (from spec) --------------------- //
+
+export const DEFAULT_ZONE = "Asia/Kathmandu"; // Billing zone of the default subscription
+
+// One entry of the subscription list; every subscription carries its own cycle
+export const DEFAULT_CYCLE = {
+  id: "default",
+  plan: "ChatGPT Plus",
+  timezone: DEFAULT_ZONE,
+  startISO: "2025-08-20T07:18:00+05:45",
+  endISO: "2025-09-20T07:18:00+05:45",
+  billing: {
+    interval: "monthly", // see BILLING_INTERVALS
+    everyDays: 30, // "days" interval only
+    anchorDay: null, // day of month renewals stick to; null = start's day
+  },
+  pricing: {
+    currency: "USD",
+    taxPct: 0,
+    // Price history; each entry applies to cycles starting on/after `fromISO` (null = from the beginning)
+    changes: [{ fromISO: null, amount: 20 }],
+  },
+  reminders: {
+    halfway: true,
+    threeDays: true,
+    lastDay: true,
+    renewal: true,
+  },
+  // Stored state is "trial" | "active" | "cancelled" | "paused"; lifecycleAt()
+  // derives the state in effect (a trial converts, a cancellation expires…)
+  lifecycle: {
+    state: "active",
+    trialEndISO: null, // free until here; paid renewals follow the billing rule from it
+    cancelBefore: { amount: 0, unit: "hours" }, // trial must be cancelled this long before it ends
+    accessEndISO: null, // cancelled/paused: end of the paid period; nothing renews after it
+    resumeISO: null, // paused: billing restarts here (null = until resumed by hand)
+    log: [], // state changes, oldest first: { at, state, auto? }
+  },
+  // Milestone id → channel ids its reminder goes to (see ./channels.js); unset = this browser only
+  notify: {},
+  // Per-model message caps on their own reset windows: { id, name, cap, window, reset, anchorISO, remind }
+  limits: [],
+  // Reminders due strictly between `from` and `to` (wall time in `zone`, "" = billing zone)
+  // or on a day outside `days` (1 = Monday) move per `modes[milestoneId]` (see QUIET_MODES)
+  quiet: { enabled: false, from: "22:00", to: "08:00", zone: "", days: [1, 2, 3, 4, 5, 6, 7], modes: {} },
+};
+
+// Built-in milestones; users can edit these and add their own. Kinds:
+// "percent" of the cycle, "beforeEnd"/"afterStart" by `offset`, "absolute" at `atISO`.
+// Reminders fire `remindBefore` ahead of the milestone.
+export const DEFAULT_MILESTONES = [
+  { id: "halfway", builtin: true, kind: "percent", percent: 50, title: "Halfway point", message: "You’re halfway through this cycle. Plan a high-value session.", remindBefore: { amount: 0, unit: "minutes" } },
+  { id: "threeDays", builtin: true, kind: "beforeEnd", offset: { amount: 3, unit: "days" }, title: "3 days left", message: "Three days left—queue the tasks you want done.", remindBefore: { amount: 0, unit: "minutes" } },
+  { id: "lastDay", builtin: true, kind: "beforeEnd", offset: { amount: 24, unit: "hours" }, title: "24 hours left", message: "Last day of this cycle. Ship something today.", remindBefore: { amount: 0, unit: "minutes" } },
+  { id: "renewal", builtin: true, kind: "beforeEnd", offset: { amount: 0, unit: "minutes" }, title: "Renewal", message: "Your plan renews in 5 minutes.", remindBefore: { amount: 5, unit: "minutes" } },
+];
+
+export const MILESTONE_KINDS = {
+  percent: "% of cycle",
+  beforeEnd: "Before end",
+  afterStart: "After start",
+  absolute: "Exact time",
+};
+
+export const OFFSET_UNITS = ["minutes", "hours", "days", "weeks"];
+
+// States a subscription can be in (English labels for the CLI; the app translates)
+export const LIFECYCLE_STATES = {
+  trial: "Free trial",
+  active: "Active",
+  cancelled: "Cancelled",
+  paused: "Paused",
+  expired: "Expired",
+};
+
+// How a mid-cycle plan change is billed. `prorate`: unused time on the old
+// price is credited and the rest of the window charged at the new one;
+// `reset`: a new cycle starts at the change; `periodEnd`: nothing changes
+// until the current window ends.
+export const PRORATION_POLICIES = {
+  immediate: { label: "Prorate now, keep renewal date", prorate: true, reset: false },
+  reset: { label: "Prorate now, new cycle starts today", prorate: true, reset: true },
+  periodEnd: { label: "Switch at period end", prorate: false, reset: false, periodEnd: true },
+  noCredit: { label: "Switch now, no credit", prorate: false, reset: true },
+};
+
+// How a usage cap's window resets. `rolling`: each message counts until
+// `window` after it was sent; `firstMessage`: a window opens with the first
+// message and everything resets when it closes; `fixed`: windows repeat from
+// `anchorISO` (e.g. every Monday 00:00).
+export const LIMIT_RESETS = {
+  rolling: { label: "Rolling (each message ages out)" },
+  firstMessage: { label: "Starts with the first message" },
+  fixed: { label: "Fixed schedule" },
+};
+
+export const BILLING_INTERVALS = {
+  monthly: { label: "Monthly", months: 1 },
+  quarterly: { label: "Quarterly", months: 3 },
+  annual: { label: "Annual", months: 12 },
+  weekly: { label: "Weekly", days: 7 },
+  days: { label: "Every N days" },
+  fixed: { label: "Fixed term (no renewal)" },
+};
+
+// ---------------------------- Utils ------------------------------ //
+
+export const MS_PER_MIN = 60 * 1000;
+export const MS_PER_HOUR = 60 * MS_PER_MIN;
+export const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+export const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+export function inZone(iso, zone) {
+  return DateTime.fromISO(iso, { zone });
+}
+
+// `zone` (optional) converts before formatting, e.g. to the display zone
+export function fmtDate(dt, hourFormat, zone, locale = "en") {
+  const opts = {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: hourFormat === "12h",
+  };
+  return (zone ? dt.setZone(zone) : dt).setLocale(locale).toLocaleString(opts);
+}
+
+export function pct(n) {
+  return `${(n * 100).toFixed(1)}%`;
+}
+
+export function monthAddCalendar(dt, months = 1) {
+  // Calendar add: preserves local time and handles 28–31 day months
+  return dt.plus({ months });
+}
+
+// Month add that keeps returning to `anchorDay`, clamped to short months
+// (Jan 31 → Feb 28 → Mar 31, never drifting to the 28th)
+export function monthAddAnchored(dt, months, anchorDay) {
+  const moved = dt.plus({ months });
+  return moved.set({ day: Math.min(anchorDay, moved.daysInMonth) });
+}
+
+export function billingOf(cycle) {
+  return { ...DEFAULT_CYCLE.billing, ...cycle.billing };
+}
+
+// Advance `dt` by `n` billing intervals; null when the rule never renews
+export function addBillingInterval(dt, billing, n, anchorDay) {
+  const rule = BILLING_INTERVALS[billing.interval] ?? BILLING_INTERVALS.monthly;
+  if (billing.interval === "fixed") return null;
+  if (billing.interval === "days") return dt.plus({ days: n * Math.max(1, billing.everyDays || 1) });
+  if (rule.days) return dt.plus({ days: n * rule.days });
+  return monthAddAnchored(dt, n * rule.months, anchorDay);
+}
+
+// Average length of one interval, for estimating how many renewals fit in a span
+function intervalMs(billing) {
+  const rule = BILLING_INTERVALS[billing.interval] ?? BILLING_INTERVALS.monthly;
+  if (billing.interval === "days") return Math.max(1, billing.everyDays || 1) * MS_PER_DAY;
+  if (rule.days) return rule.days * MS_PER_DAY;
+  return rule.months * 30.436875 * MS_PER_DAY;
+}
+
+export function billingLabel(billing, anchorDay) {
+  if (billing.interval === "days") return `Every ${billing.everyDays} days`;
+  const rule = BILLING_INTERVALS[billing.interval] ?? BILLING_INTERVALS.monthly;
+  return rule.months ? `${rule.label} on day ${anchorDay}` : rule.label;
+}
+
+export function durationBreakdown(ms) {
+  const days = Math.floor(ms / MS_PER_DAY);
+  const rem1 = ms - days * MS_PER_DAY;
+  const hours = Math.floor(rem1 / MS_PER_HOUR);
+  const rem2 = rem1 - hours * MS_PER_HOUR;
+  const minutes = Math.floor(rem2 / MS_PER_MIN);
+  const seconds = Math.floor((rem2 - minutes * MS_PER_MIN) / 1000);
+  return { days, hours, minutes, seconds };
+}
+
+// Distance from `base` to `dt` as at most two units: { parts: [[unit, n]…], future }
+export function relParts(dt, base) {
+  const diff = dt.diff(base, ["days", "hours", "minutes"]).toObject();
+  const parts = [];
+  if ((diff.days ?? 0) !== 0) parts.push(["days", Math.trunc(Math.abs(diff.days ?? 0))]);
+  if ((diff.hours ?? 0) !== 0) parts.push(["hours", Math.trunc(Math.abs(diff.hours ?? 0))]);
+  if (parts.length < 2) parts.push(["minutes", Math.trunc(Math.abs(diff.minutes ?? 0))]);
+  return { parts, future: dt >= base };
+}
+
+export function humanRel(dt, base) {
+  const { parts, future } = relParts(dt, base);
+  return `${parts.map(([unit, n]) => `${n}${unit[0]}`).join(" ")} ${future ? "from now" : "ago"}`;
+}
+
+export function uid() {
+  return Math.random().toString(36).slice(2);
+}
+
+export function isValidZone(zone) {
+  return !!zone && DateTime.now().setZone(zone).isValid;
+}
+
+export function localZone() {
+  return DateTime.local().zoneName;
+}
+
+// Daylight-saving trouble at `dt`: "gap" when the intended wall time
+// (`wantHour`:`wantMinute`) was skipped and Luxon moved it forward, "overlap"
+// when the wall time happens twice in that zone, else null.
+export function dstIssue(dt, wantHour = dt.hour, wantMinute = dt.minute) {
+  if (dt.hour !== wantHour || dt.minute !== wantMinute) return "gap";
+  const zone = dt.zoneName;
+  const before = DateTime.fromMillis(dt.toMillis() - 12 * MS_PER_HOUR, { zone }).offset;
+  const after = DateTime.fromMillis(dt.toMillis() + 12 * MS_PER_HOUR, { zone }).offset;
+  if (before <= after) return null;
+  const shift = (before - after) * MS_PER_MIN;
+  const wall = dt.toFormat("yyyy-LL-dd HH:mm");
+  const twin = [dt.toMillis() - shift, dt.toMillis() + shift].some((ms) => DateTime.fromMillis(ms, { zone }).toFormat("yyyy-LL-dd HH:mm") === wall);
+  return twin ? "overlap" : null;
+}
+
+export const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// --------------------------- Validation -------------------------- //
+// Problems are { key, path, ...vars }, `path` locating the value in the input.
+// The app words them with its `problems.<key>` catalog entries, the CLI and
+// relay with problemText. Import warnings (icsCandidates) have the same shape.
+
+export const PROBLEM_TEXT = {
+  object: "{path} must be an object.",
+  string: "{path} must be a string.",
+  nonEmpty: "{path} must be a non-empty string.",
+  list: "{path} must be a list.",
+  stringList: "{path} must be a list of strings.",
+  routeList: "{path} must be a list of channel ids.",
+  number: "{path} must be a number.",
+  whole: "{path} must be a whole number.",
+  atLeast: "{path} must be a number of at least {min}.",
+  wholeAtLeast: "{path} must be a whole number of at least {min}.",
+  boolean: "{path} must be true or false.",
+  date: "{path} is not a valid ISO date-time.",
+  order: "{path}: endISO must be after startISO.",
+  zone: "{path} \"{value}\" is not a known IANA zone.",
+  unsupported: "{path} \"{value}\" is not supported.",
+  oneOf: "{path} \"{value}\" is not one of {values}.",
+  offset: "{path} must be an object with an amount and a unit.",
+  window: "{path} must be a positive amount of {values}.",
+  hhmm: "{path} must be a time like \"22:00\".",
+  weekdays: "{path} must list weekdays 1 (Monday) to 7 (Sunday).",
+  link: "{path} must be empty or an http(s) URL.",
+  allDay: "All-day date; assumed midnight.",
+  floating: "Floating time; read as {zone}.",
+  unknownTzid: "Unknown TZID \"{value}\"; read as {zone}.",
+  countUntil: "COUNT/UNTIL ignored; renewals continue until edited.",
+  rrule: "Unsupported RRULE \"{value}\"; assumed monthly.",
+  noStart: "Missing or unreadable DTSTART.",
+  noRenewal: "No renewal event; nothing to import.",
+  spanGuess: "Billing interval guessed from the event length.",
+  singleDate: "Single date; assumed it is a monthly renewal.",
+};
+
+// English wording of a problem; `extra` adds templates for another module's keys
+export function problemText(problem, extra = {}) {
+  const text = extra[problem.key] ?? PROBLEM_TEXT[problem.key] ?? problem.key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (problem[name] === undefined ? m : String(problem[name])));
+}
+
+const problem = (key, path, vars = {}) => ({ key, path, ...vars });
+
+// Problems with a cycle record, each located under `at` (its path in the
+// input); empty when usable. Used for backups, share links and CLI configs.
+export function cycleErrors(item, at) {
+  const errors = [];
+  if (typeof item.plan !== "string") errors.push(problem("string", `${at}.plan`));
+  if (!isValidZone(item.timezone)) errors.push(problem("zone", `${at}.timezone`, { value: String(item.timezone) }));
+  const start = DateTime.fromISO(String(item.startISO));
+  const end = DateTime.fromISO(String(item.endISO));
+  if (!start.isValid) errors.push(problem("date", `${at}.startISO`));
+  if (!end.isValid) errors.push(problem("date", `${at}.endISO`));
+  if (start.isValid && end.isValid && end <= start) errors.push(problem("order", at));
+  if (item.billing !== undefined && !BILLING_INTERVALS[item.billing?.interval]) errors.push(problem("unsupported", `${at}.billing.interval`, { value: String(item.billing?.interval) }));
+  if (item.reminders !== undefined && !isPlainObject(item.reminders)) errors.push(problem("object", `${at}.reminders`));
+  if (item.milestones !== undefined) {
+    if (!Array.isArray(item.milestones)) errors.push(problem("list", `${at}.milestones`));
+    else item.milestones.forEach((m, i) => errors.push(...milestoneErrors(m, `${at}.milestones[${i}]`)));
+  }
+  if (item.limits !== undefined) {
+    if (!Array.isArray(item.limits)) errors.push(problem("list", `${at}.limits`));
+    else item.limits.forEach((l, i) => errors.push(...limitErrors(l, `${at}.limits[${i}]`)));
+  }
+  if (item.quiet !== undefined) errors.push(...quietErrors(item.quiet, `${at}.quiet`));
+  if (item.notify !== undefined) {
+    if (!isPlainObject(item.notify)) errors.push(problem("object", `${at}.notify`));
+    else Object.entries(item.notify).forEach(([id, route]) => {
+      if (!Array.isArray(route)) errors.push(problem("routeList", `${at}.notify.${id}`));
+    });
+  }
+  if (item.lifecycle !== undefined) {
+    const life = item.lifecycle;
+    if (!isPlainObject(life)) errors.push(problem("object", `${at}.lifecycle`));
+    else {
+      if (life.state !== undefined && (!LIFECYCLE_STATES[life.state] || life.state === "expired")) errors.push(problem("unsupported", `${at}.lifecycle.state`, { value: String(life.state) }));
+      ["trialEndISO", "accessEndISO", "resumeISO"].forEach((k) => {
+        if (life[k] != null && !DateTime.fromISO(String(life[k])).isValid) errors.push(problem("date", `${at}.lifecycle.${k}`));
+      });
+      if (life.cancelBefore !== undefined) errors.push(...offsetErrors(life.cancelBefore, `${at}.lifecycle.cancelBefore`));
+      if (life.log !== undefined && !Array.isArray(life.log)) errors.push(problem("list", `${at}.lifecycle.log`));
+    }
+  }
+  return errors;
+}
+
+// ------------------------- Cycle windows ------------------------- //
+
+// Renewal #k of a cycle: k = 0 is the stored end, later ones follow the
+// billing rule from there (computed from the first end, not chained).
+// Nothing renews after a cancelled or paused subscription's paid period; a
+// period ending between renewals cuts the last window short.
+export function renewalAt(cycle, k) {
+  const first = inZone(cycle.endISO, cycle.timezone);
+  if (k === 0) return first;
+  const billing = billingOf(cycle);
+  const anchorDay = billing.anchorDay || inZone(cycle.startISO, cycle.timezone).day;
+  const next = addBillingInterval(first, billing, k, anchorDay);
+  const { accessEndISO } = lifecycleOf(cycle);
+  if (next && accessEndISO) {
+    const accessEnd = inZone(accessEndISO, cycle.timezone);
+    if (next > accessEnd) return renewalAt(cycle, k - 1) < accessEnd ? accessEnd : null;
+  }
+  return next;
+}
+
+// Number of the last renewal at or before `dt` (-1 when the stored end is
+// later). Renewals are computed from the first end, so this jumps to the one
+// estimated from the elapsed time and corrects by a step or two either way
+// instead of walking through every renewal in between.
+function lastRenewalBy(cycle, dt) {
+  const first = inZone(cycle.endISO, cycle.timezone);
+  if (dt < first) return -1;
+  const billing = billingOf(cycle);
+  if (billing.interval === "fixed") return 0;
+  const { accessEndISO } = lifecycleOf(cycle);
+  const until = accessEndISO ? DateTime.min(dt, inZone(accessEndISO, cycle.timezone)) : dt;
+  let k = Math.max(0, Math.floor((until.toMillis() - first.toMillis()) / intervalMs(billing)));
+  while (k > 0 && !(renewalAt(cycle, k) <= dt)) k -= 1;
+  for (let next = renewalAt(cycle, k + 1); next && next <= dt; next = renewalAt(cycle, k + 1)) k += 1;
+  return k;
+}
+
+// Roll input cycle to the window that contains `now`.
+// `index` is the renewal number of `end`; `ended` marks a term that won't renew.
+// A paused subscription past its resume date rolls from the resumed window.
+export function rollCycleToNow(cycle, now) {
+  const resumed = resumedCycle(cycle, now);
+  if (resumed) return rollCycleToNow(resumed, now);
+  let start = inZone(cycle.startISO, cycle.timezone);
+  let end = inZone(cycle.endISO, cycle.timezone);
+  let rolled = false;
+  let index = 0;
+
+  if (now < start) {
+    // If user set a start in the future, keep as-is (pre-cycle state)
+    return { start, end, rolled, index, ended: false };
+  }
+
+  // Jump to the last renewal that has passed (this runs every second, and a
+  // daily plan started years ago is thousands of renewals in)
+  if (now >= end) {
+    const k = lastRenewalBy(cycle, now);
+    if (k > 0) {
+      start = renewalAt(cycle, k - 1);
+      end = renewalAt(cycle, k);
+      index = k;
+      rolled = true;
+    }
+  }
+
+  // Then step into the window that contains now, or stop at the last one
+  while (now >= end) {
+    const next = renewalAt(cycle, index + 1);
+    if (!next) return { start, end, rolled, index, ended: true };
+    start = end;
+    end = next;
+    index += 1;
+    rolled = true;
+  }
+  return { start, end, rolled, index, ended: false };
+}
+
+// --------------------------- Lifecycle --------------------------- //
+
+export function lifecycleOf(cycle) {
+  return { ...DEFAULT_CYCLE.lifecycle, ...cycle.lifecycle };
+}
+
+// The cycle restarted at `at`: a fresh first window of one billing interval
+// (a fixed term keeps its length) and an active state; `entry` is logged
+export function restartAt(cycle, at, entry = { at: at.toISO(), state: "active" }) {
+  const billing = billingOf(cycle);
+  const length = inZone(cycle.endISO, cycle.timezone).diff(inZone(cycle.startISO, cycle.timezone));
+  const end = addBillingInterval(at, billing, 1, billing.anchorDay || at.day) ?? at.plus(length);
+  const life = lifecycleOf(cycle);
+  return {
+    ...cycle,
+    startISO: at.toISO(),
+    endISO: end.toISO(),
+    lifecycle: { ...life, state: "active", trialEndISO: null, accessEndISO: null, resumeISO: null, log: [...life.log, entry] },
+  };
+}
+
+// A paused subscription whose resume date has passed, as it runs after
+// resuming; null otherwise
+export function resumedCycle(cycle, now) {
+  const life = lifecycleOf(cycle);
+  if (life.state !== "paused" || !life.resumeISO) return null;
+  const resume = inZone(life.resumeISO, cycle.timezone);
+  if (!resume.isValid || now < resume) return null;
+  return restartAt(cycle, resume, { at: resume.toISO(), state: "active", auto: true });
+}
+
+// State in effect at `now` ("trial" | "active" | "cancelled" | "paused" | "expired")
+// and the instants behind it (null when not set): { state, since, trialEnd,
+// cancelBy, accessEnd, resumeAt }. `since` is when the state began, if known.
+export function lifecycleAt(cycle, now) {
+  const resumed = resumedCycle(cycle, now);
+  if (resumed) return lifecycleAt(resumed, now);
+  const life = lifecycleOf(cycle);
+  const at = (iso) => (iso ? inZone(iso, cycle.timezone) : null);
+  const trialEnd = at(life.trialEndISO);
+  const accessEnd = at(life.accessEndISO);
+  const last = life.log[life.log.length - 1];
+  const info = {
+    state: life.state,
+    since: last && last.state === life.state ? at(last.at) : null,
+    trialEnd,
+    cancelBy: trialEnd && trialEnd.minus({ [life.cancelBefore.unit]: Number(life.cancelBefore.amount) || 0 }),
+    accessEnd,
+    resumeAt: at(life.resumeISO),
+  };
+  if (life.state === "trial" && trialEnd && now >= trialEnd) return { ...info, state: "active", since: trialEnd };
+  if (life.state === "cancelled" && accessEnd && now >= accessEnd) return { ...info, state: "expired", since: accessEnd };
+  if (life.state === "active") {
+    const { end, ended } = rollCycleToNow(cycle, now);
+    if (ended) return { ...info, state: "expired", since: end };
+  }
+  return info;
+}
+
+// Elapsed/remaining split of the [start, end] window at `now` (clamped)
+export function cycleProgress(start, end, now) {
+  const totalMs = end.toMillis() - start.toMillis();
+  const elapsedMs = clamp(now.toMillis() - start.toMillis(), 0, totalMs);
+  const remainingMs = clamp(end.toMillis() - now.toMillis(), 0, totalMs);
+  return { totalMs, elapsedMs, remainingMs, progress: elapsedMs / totalMs };
+}
+
+// First milestone after `now`, looking into the following window when the
+// current one has none left; once nothing renews only lifecycle events remain
+// (a paused plan's resume date), else null
+export function nextMilestone(input, now) {
+  const cycle = resumedCycle(input, now) ?? input;
+  const { start, end, index, ended } = rollCycleToNow(cycle, now);
+  const quiet = quietOf(cycle);
+  if (ended) return milestoneTimes(start, end, lifecycleMilestones(cycle), quiet).find((m) => m.at > now) ?? null;
+  const upcoming = milestoneTimes(start, end, activeMilestones(cycle, end), quiet).find((m) => m.at > now);
+  if (upcoming) return upcoming;
+  const after = renewalAt(cycle, index + 1);
+  return after ? milestoneTimes(end, after, activeMilestones(cycle, after), quiet).find((m) => m.at > now) ?? null : null;
+}
+
+// The next `count` renewal dates, starting with renewal #index
+export function renewalSchedule(cycle, index, count = 6) {
+  const out = [];
+  for (let k = index; out.length < count; k++) {
+    const dt = renewalAt(cycle, k);
+    if (!dt) break;
+    out.push(dt);
+  }
+  return out;
+}
+
+// Completed windows before renewal #index (the current window's end), from
+// the one ending at renewal #from (jumped to, not walked)
+export function pastWindows(cycle, index, from = 0) {
+  const out = [];
+  let start = from > 0 ? renewalAt(cycle, from - 1) : inZone(cycle.startISO, cycle.timezone);
+  for (let k = from; k < index; k++) {
+    const end = renewalAt(cycle, k);
+    out.push({ start, end });
+    start = end;
+  }
+  return out;
+}
+
+// Bring the archive in line with every subscription's completed windows.
+// Entries are keyed by subscription + window start; auto-created ones that no
+// longer match (dates edited since) are dropped, user-edited ones are kept.
+export function syncArchive(list, windows, reminderLog) {
+  let next = list;
+  windows.forEach(({ sub, index }) => {
+    const computed = new Map();
+    pastWindows(sub, index).forEach(({ start, end }) => {
+      const id = `${sub.id}:${start.toMillis()}`;
+      const fired = reminderLog.filter((e) => e.subId === sub.id && e.status === "fired" && e.at >= start.toMillis() && e.at < end.toMillis()).length;
+      computed.set(id, {
+        id,
+        subId: sub.id,
+        plan: sub.plan,
+        timezone: sub.timezone,
+        startISO: start.toISO(),
+        endISO: end.toISO(),
+        price: chargeAt(sub, start),
+        currency: pricingOf(sub).currency,
+        remindersFired: fired,
+        notes: "",
+        auto: true,
+      });
+    });
+    const known = new Set(next.map((e) => e.id));
+    const kept = next.filter((e) => e.subId !== sub.id || !e.auto || computed.has(e.id));
+    const added = [...computed.values()].filter((e) => !known.has(e.id));
+    if (added.length || kept.length !== next.length) next = [...kept, ...added];
+  });
+  return next;
+}
+
+// Problems with one archive entry (as syncArchive makes them), located under `at`
+export function archiveEntryErrors(entry, at) {
+  if (!isPlainObject(entry)) return [problem("object", at)];
+  const errors = [];
+  ["id", "subId"].forEach((k) => { if (typeof entry[k] !== "string" || !entry[k]) errors.push(problem("nonEmpty", `${at}.${k}`)); });
+  ["plan", "currency", "notes"].forEach((k) => { if (typeof entry[k] !== "string") errors.push(problem("string", `${at}.${k}`)); });
+  if (!isValidZone(entry.timezone)) errors.push(problem("zone", `${at}.timezone`, { value: String(entry.timezone) }));
+  const start = DateTime.fromISO(String(entry.startISO));
+  const end = DateTime.fromISO(String(entry.endISO));
+  if (!start.isValid) errors.push(problem("date", `${at}.startISO`));
+  if (!end.isValid) errors.push(problem("date", `${at}.endISO`));
+  if (start.isValid && end.isValid && end <= start) errors.push(problem("order", at));
+  if (typeof entry.price !== "number" || !Number.isFinite(entry.price)) errors.push(problem("number", `${at}.price`));
+  if (!Number.isInteger(entry.remindersFired) || entry.remindersFired < 0) errors.push(problem("whole", `${at}.remindersFired`));
+  return errors;
+}
+
+// ----------------------------- Money ----------------------------- //
+
+export function pricingOf(cycle) {
+  return { ...DEFAULT_CYCLE.pricing, ...cycle.pricing };
+}
+
+// Tax-inclusive price of the cycle that starts at `dt` (latest change in effect)
+export function priceAt(cycle, dt) {
+  const { changes, taxPct } = pricingOf(cycle);
+  let amount = 0;
+  sortedPriceChanges(changes).forEach((c) => {
+    if (!c.fromISO || DateTime.fromISO(c.fromISO, { zone: cycle.timezone }) <= dt) amount = Number(c.amount) || 0;
+  });
+  return amount * (1 + (Number(taxPct) || 0) / 100);
+}
+
+// What the window starting at `dt` costs: nothing during a free trial
+export function chargeAt(cycle, dt) {
+  const { trialEndISO } = lifecycleOf(cycle);
+  return trialEndISO && dt < inZone(trialEndISO, cycle.timezone) ? 0 : priceAt(cycle, dt);
+}
+
+export function sortedPriceChanges(changes) {
+  return [...changes].sort((a, b) => (a.fromISO ?? "").localeCompare(b.fromISO ?? ""));
+}
+
+// Charge #0 is at the start, charge #n + 1 at renewal #n
+function chargeTime(cycle, n) {
+  return n === 0 ? inZone(cycle.startISO, cycle.timezone) : billingOf(cycle).interval === "fixed" ? null : renewalAt(cycle, n - 1);
+}
+
+// Number of the first charge at or after `dt`
+function firstChargeFrom(cycle, dt) {
+  if (dt <= inZone(cycle.startISO, cycle.timezone)) return 0;
+  if (billingOf(cycle).interval === "fixed") return 1;
+  const k = lastRenewalBy(cycle, dt);
+  return k >= 0 && +renewalAt(cycle, k) === +dt ? k + 1 : k + 2;
+}
+
+// Charges before `limit`: up to `now` and before a cancelled or paused
+// subscription's paid period is over
+function chargeLimit(cycle, now) {
+  const { accessEndISO } = lifecycleOf(cycle);
+  const after = now.plus(1);
+  return accessEndISO ? DateTime.min(after, inZone(accessEndISO, cycle.timezone)) : after;
+}
+
+// One charge at the start of every cycle begun by `now` (none once a
+// cancelled or paused subscription's paid period is over); with `since`, only
+// those from then on, jumped to rather than walked
+export function cycleCharges(cycle, now, since = null) {
+  const limit = chargeLimit(cycle, now);
+  const charges = [];
+  let n = since ? firstChargeFrom(cycle, since) : 0;
+  for (let at = chargeTime(cycle, n); at && at < limit; at = chargeTime(cycle, ++n)) {
+    charges.push({ at, amount: chargeAt(cycle, at) });
+  }
+  return charges;
+}
+
+// Sum of cycleCharges(cycle, now, since) without listing them: the amount
+// only changes at the trial end and at price changes, so each run in between
+// is priced once and its charges counted with the renewal jump
+export function chargesTotal(cycle, now, since = null) {
+  const from = since ?? inZone(cycle.startISO, cycle.timezone);
+  const limit = chargeLimit(cycle, now);
+  if (!(from < limit)) return 0;
+  const { trialEndISO } = lifecycleOf(cycle);
+  const cuts = [
+    ...(trialEndISO ? [inZone(trialEndISO, cycle.timezone)] : []),
+    ...pricingOf(cycle).changes.filter((c) => c.fromISO).map((c) => DateTime.fromISO(c.fromISO, { zone: cycle.timezone })),
+  ].filter((dt) => dt.isValid && dt > from && dt < limit).sort((a, b) => a - b);
+  const bounds = [from, ...cuts, limit].map((dt) => firstChargeFrom(cycle, dt));
+  let total = 0;
+  for (let i = 1; i < bounds.length; i++) {
+    if (bounds[i] > bounds[i - 1]) total += chargeAt(cycle, chargeTime(cycle, bounds[i - 1])) * (bounds[i] - bounds[i - 1]);
+  }
+  return total;
+}
+
+// Moving to a plan costing `amount` (before tax) at `now` under `policy`:
+// { policy, remaining, oldPrice, newPrice, credit, charge, dueNow, effective,
+// renewal, cycle }. `remaining` is the unused share of the current window,
+// `dueNow` is negative when the credit exceeds the charge, and `cycle` is the
+// record with the change applied (new price from `effective`; a reset also
+// moves the dates).
+export function planChangeQuote(cycle, now, { amount, policy = "immediate" }) {
+  const rule = PRORATION_POLICIES[policy] ?? PRORATION_POLICIES.immediate;
+  const { start, end, ended } = rollCycleToNow(cycle, now);
+  const { remainingMs, totalMs } = cycleProgress(start, end, now);
+  const remaining = ended ? 0 : remainingMs / totalMs;
+  const oldPrice = chargeAt(cycle, start);
+  const newPrice = (Number(amount) || 0) * (1 + (Number(pricingOf(cycle).taxPct) || 0) / 100);
+  const credit = rule.prorate ? oldPrice * remaining : 0;
+  const charge = rule.periodEnd ? 0 : rule.reset ? newPrice : newPrice * remaining;
+  const effective = rule.periodEnd ? end : now.setZone(cycle.timezone).startOf("minute");
+
+  const pricing = pricingOf(cycle);
+  let next = { ...cycle, pricing: { ...pricing, changes: [...pricing.changes, { fromISO: effective.toISO(), amount: Number(amount) || 0 }] } };
+  let renewal = ended ? null : end;
+  if (rule.reset) {
+    // The new cycle is anchored to the day of the change
+    const billing = { ...billingOf(cycle), anchorDay: null };
+    renewal = addBillingInterval(effective, billing, 1, effective.day) ?? effective.plus(end.diff(start));
+    next = { ...next, billing, startISO: effective.toISO(), endISO: renewal.toISO() };
+  }
+  return { policy, remaining, oldPrice, newPrice, credit, charge, dueNow: charge - credit, effective, renewal, cycle: next };
+}
+
+// Spend from `now` until the end of the `cycles` windows after the current
+// one: staying on the plan vs taking `quote` (its charge due now plus the
+// changed plan's renewals). A changed window still running at the horizon
+// only counts for the part before it. `difference` > 0 means switching costs more.
+export function comparePlanChange(cycle, now, quote, cycles) {
+  const { index, end } = rollCycleToNow(cycle, now);
+  const until = renewalAt(cycle, index + Math.max(1, cycles)) ?? end;
+  const between = (c) => cycleCharges(c, until, now).filter((x) => x.at > now && x.at < until).reduce((acc, x) => acc + x.amount, 0);
+  const stay = between(cycle);
+  const last = rollCycleToNow(quote.cycle, until);
+  const carryover = !last.ended && last.start < until && last.start >= now
+    ? chargeAt(quote.cycle, last.start) * (last.end.toMillis() - until.toMillis()) / (last.end.toMillis() - last.start.toMillis())
+    : 0;
+  const change = quote.dueNow + between(quote.cycle) - carryover;
+  return { until, stay, switch: change, difference: change - stay };
+}
+
+// `rates` are units per 1 USD; unknown currencies convert 1:1
+export function convert(amount, from, to, rates) {
+  if (from === to) return amount;
+  return (amount / (rates[from] || 1)) * (rates[to] || 1);
+}
+
+export function fmtMoney(amount, currency, locale = "en") {
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+export function milestonesOf(cycle) {
+  return cycle.milestones ?? DEFAULT_MILESTONES;
+}
+
+// Milestones the lifecycle adds (fixed wording, translated by the app); they
+// sit at absolute instants and remind a day ahead
+export const LIFECYCLE_MILESTONES = {
+  trialConverts: { title: "Trial converts to paid", message: "Your free trial converts to a paid plan in 24 hours." },
+  cancelBy: { title: "Last chance to cancel the trial", message: "Cancel within 24 hours to avoid being charged." },
+  accessEnds: { title: "Access ends", message: "Your cancelled plan's access ends in 24 hours. It won't renew." },
+  resumes: { title: "Subscription resumes", message: "Your paused plan resumes in 24 hours and billing restarts." },
+};
+
+export function lifecycleMilestones(cycle) {
+  const life = lifecycleOf(cycle);
+  const def = (id, atISO) => ({ id, lifecycle: true, kind: "absolute", atISO, ...LIFECYCLE_MILESTONES[id], remindBefore: { amount: 24, unit: "hours" } });
+  const out = [];
+  if (life.state === "trial" && life.trialEndISO) {
+    const trialEnd = inZone(life.trialEndISO, cycle.timezone);
+    const cancelBy = trialEnd.minus({ [life.cancelBefore.unit]: Number(life.cancelBefore.amount) || 0 });
+    out.push(def("trialConverts", life.trialEndISO));
+    if (cancelBy < trialEnd) out.push(def("cancelBy", cancelBy.toISO()));
+  }
+  if (life.state === "cancelled" && life.accessEndISO) out.push(def("accessEnds", life.accessEndISO));
+  if (life.state === "paused" && life.resumeISO) out.push(def("resumes", life.resumeISO));
+  return out;
+}
+
+// Milestones in effect for the window ending at `end`: the user's list plus
+// lifecycle events; the renewal milestone is left out when `end` won't renew
+// (end of a trial, of a cancelled or paused paid period)
+export function activeMilestones(cycle, end) {
+  const life = lifecycleOf(cycle);
+  const at = (iso) => (iso ? inZone(iso, cycle.timezone).toMillis() : null);
+  const ms = end.toMillis();
+  const renews = !(life.state === "trial" && at(life.trialEndISO) === ms) && !(at(life.accessEndISO) !== null && ms >= at(life.accessEndISO));
+  return [...milestonesOf(cycle).filter((m) => m.id !== "renewal" || renews), ...lifecycleMilestones(cycle)];
+}
+
+// Reminder toggle for a milestone; milestones added later default to on
+export function reminderEnabled(cycle, id) {
+  return cycle.reminders[id] ?? true;
+}
+
+// An { amount, unit } offset: a finite amount and a unit from OFFSET_UNITS
+function offsetErrors(offset, at) {
+  if (!isPlainObject(offset)) return [problem("offset", at)];
+  const errors = [];
+  if (typeof offset.amount !== "number" || !Number.isFinite(offset.amount)) errors.push(problem("number", `${at}.amount`));
+  if (!OFFSET_UNITS.includes(offset.unit)) errors.push(problem("oneOf", `${at}.unit`, { value: String(offset.unit), values: OFFSET_UNITS.join("/") }));
+  return errors;
+}
+
+// Problems with one milestone definition, located under `at`
+export function milestoneErrors(def, at) {
+  if (!isPlainObject(def)) return [problem("object", at)];
+  const errors = [];
+  if (typeof def.id !== "string" || !def.id) errors.push(problem("nonEmpty", `${at}.id`));
+  if (!MILESTONE_KINDS[def.kind]) errors.push(problem("unsupported", `${at}.kind`, { value: String(def.kind) }));
+  if (typeof def.title !== "string") errors.push(problem("string", `${at}.title`));
+  if (def.message !== undefined && typeof def.message !== "string") errors.push(problem("string", `${at}.message`));
+  if (def.kind === "percent" && !(typeof def.percent === "number" && Number.isFinite(def.percent))) errors.push(problem("number", `${at}.percent`));
+  if (def.kind === "absolute" && !DateTime.fromISO(String(def.atISO)).isValid) errors.push(problem("date", `${at}.atISO`));
+  if (def.kind === "beforeEnd" || def.kind === "afterStart" || def.offset !== undefined) errors.push(...offsetErrors(def.offset, `${at}.offset`));
+  if (def.remindBefore !== undefined) errors.push(...offsetErrors(def.remindBefore, `${at}.remindBefore`));
+  return errors;
+}
+
+// Instant of one milestone definition inside the [start, end] window
+export function milestoneAt(def, start, end) {
+  const offset = def.offset ? { [def.offset.unit]: Number(def.offset.amount) || 0 } : {};
+  switch (def.kind) {
+    case "percent": {
+      const totalMs = end.toMillis() - start.toMillis();
+      return start.plus({ milliseconds: (totalMs * clamp(Number(def.percent) || 0, 0, 100)) / 100 });
+    }
+    case "afterStart": return start.plus(offset);
+    case "absolute": return DateTime.fromISO(def.atISO, { zone: start.zone });
+    default: return end.minus(offset);
+  }
+}
+
+// Compute milestones: each definition plus `at` and the reminder time `remindAt`.
+// With `quiet` (see quietOf), `remindAt` is moved out of quiet time; the
+// unmoved time is `nominalRemindAt` and `quietShift` says which way it went.
+// A deferred reminder that was due ahead of its milestone stays ahead of it;
+// one due at the milestone may move past it, but not past the cycle's end.
+export function milestoneTimes(start, end, defs = DEFAULT_MILESTONES, quiet = null) {
+  return defs
+    .map((def) => {
+      const at = milestoneAt(def, start, end);
+      const before = def.remindBefore ? { [def.remindBefore.unit]: Number(def.remindBefore.amount) || 0 } : {};
+      const nominal = at.minus(before);
+      const mode = quiet?.enabled ? quiet.modes[def.id] ?? "defer" : "off";
+      const remindAt = nominal.isValid && mode !== "off" ? quietSlot(nominal, quiet, mode, nominal < at ? at : DateTime.max(at, end)) : nominal;
+      const quietShift = remindAt.toMillis() === nominal.toMillis() ? null : remindAt < nominal ? "pulled" : "deferred";
+      return { ...def, at, remindAt, nominalRemindAt: nominal, quietShift };
+    })
+    .filter((m) => m.at.isValid)
+    .sort((a, b) => a.at.toMillis() - b.at.toMillis());
+}
+
+// --------------------------- Quiet hours ------------------------- //
+
+// How a reminder in quiet time moves (see milestoneTimes for how far "defer" may go)
+export const QUIET_MODES = {
+  defer: "Defer to the next allowed time",
+  pull: "Pull earlier",
+  off: "Ignore quiet hours",
+};
+
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export function quietErrors(quiet, at) {
+  if (!isPlainObject(quiet)) return [problem("object", at)];
+  const errors = [];
+  if (quiet.enabled !== undefined && typeof quiet.enabled !== "boolean") errors.push(problem("boolean", `${at}.enabled`));
+  ["from", "to"].forEach((k) => { if (quiet[k] !== undefined && !HHMM.test(quiet[k])) errors.push(problem("hhmm", `${at}.${k}`)); });
+  if (quiet.zone && !isValidZone(quiet.zone)) errors.push(problem("zone", `${at}.zone`, { value: String(quiet.zone) }));
+  if (quiet.days !== undefined && !(Array.isArray(quiet.days) && quiet.days.every((d) => Number.isInteger(d) && d >= 1 && d <= 7))) errors.push(problem("weekdays", `${at}.days`));
+  if (quiet.modes !== undefined) {
+    if (!isPlainObject(quiet.modes)) errors.push(problem("object", `${at}.modes`));
+    else Object.entries(quiet.modes).forEach(([id, mode]) => { if (!QUIET_MODES[mode]) errors.push(problem("oneOf", `${at}.modes.${id}`, { value: String(mode), values: Object.keys(QUIET_MODES).join(", ") })); });
+  }
+  return errors;
+}
+
+// The cycle's quiet-hours settings with defaults and the zone resolved
+export function quietOf(cycle) {
+  const quiet = { ...DEFAULT_CYCLE.quiet, ...cycle.quiet };
+  return { ...quiet, zone: quiet.zone || cycle.timezone };
+}
+
+function minuteOfDay(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// Quiet = a day outside `days`, or strictly inside from–to (which may wrap midnight).
+// Both edges are allowed, so 22:00–08:00 lets reminders fire at 22:00 and 08:00.
+export function isQuiet(dt, quiet) {
+  const local = dt.setZone(quiet.zone);
+  if (!quiet.days.includes(local.weekday)) return true;
+  const t = local.hour * 60 + local.minute + local.second / 60;
+  const from = minuteOfDay(quiet.from);
+  const to = minuteOfDay(quiet.to);
+  if (from === to) return false;
+  return from < to ? t > from && t < to : t > from || t < to;
+}
+
+// Nearest allowed instant to `dt`: the next one ("defer") or the previous one
+// ("pull"). A deferral that would land after `latest` is pulled instead. Candidates are day edges and quiet edges over the surrounding week;
+// `dt` is returned unchanged when there is no allowed time at all.
+export function quietSlot(dt, quiet, mode, latest = null) {
+  if (!isQuiet(dt, quiet)) return dt;
+  const local = dt.setZone(quiet.zone);
+  const candidates = [];
+  for (let d = -8; d <= 8; d++) {
+    const day = local.plus({ days: d }).startOf("day");
+    candidates.push(day, day.endOf("day").startOf("minute"));
+    [quiet.from, quiet.to].forEach((hhmm) => {
+      const m = minuteOfDay(hhmm);
+      candidates.push(day.set({ hour: Math.floor(m / 60), minute: m % 60 }));
+    });
+  }
+  const allowed = candidates.filter((c) => c.isValid && !isQuiet(c, quiet)).sort((a, b) => a.toMillis() - b.toMillis());
+  const later = allowed.find((c) => c > dt);
+  const earlier = [...allowed].reverse().find((c) => c < dt);
+  const pick = mode === "pull" || (latest && later && later > latest) ? earlier : later ?? earlier;
+  return pick ? pick.setZone(dt.zone) : dt;
+}
+
+// --------------------------- Usage caps -------------------------- //
+
+export function limitErrors(limit, at) {
+  if (!isPlainObject(limit)) return [problem("object", at)];
+  const errors = [];
+  if (typeof limit.id !== "string" || !limit.id) errors.push(problem("nonEmpty", `${at}.id`));
+  if (!Number.isInteger(limit.cap) || limit.cap < 1) errors.push(problem("wholeAtLeast", `${at}.cap`, { min: 1 }));
+  if (!(Number(limit.window?.amount) > 0) || !OFFSET_UNITS.includes(limit.window?.unit)) errors.push(problem("window", `${at}.window`, { values: OFFSET_UNITS.join("/") }));
+  if (!LIMIT_RESETS[limit.reset]) errors.push(problem("unsupported", `${at}.reset`, { value: String(limit.reset) }));
+  if (limit.reset === "fixed" && !DateTime.fromISO(String(limit.anchorISO)).isValid) errors.push(problem("date", `${at}.anchorISO`));
+  return errors;
+}
+
+// State of one cap at `now` from its usage timestamps (ms, any order):
+// { used, remaining, full, windowStart, nextFree, freesAt }
+// - nextFree: when the oldest counted message stops counting (rolling) or the
+//   window resets; null when nothing is counted and no schedule applies
+// - freesAt: when a full cap next allows a message; null while not full
+export function limitStatus(limit, uses, now) {
+  const window = { [limit.window.unit]: Number(limit.window.amount) };
+  const sorted = [...uses].filter((ms) => ms <= now.toMillis()).sort((a, b) => a - b);
+  const at = (ms) => DateTime.fromMillis(ms, { zone: now.zone });
+  let windowStart = null;
+  let counted = [];
+  let nextFree = null;
+
+  if (limit.reset === "rolling") {
+    counted = sorted.filter((ms) => at(ms).plus(window) > now);
+    if (counted.length) nextFree = at(counted[0]).plus(window);
+    windowStart = now.minus(window);
+  } else if (limit.reset === "firstMessage") {
+    // Windows chain: the first message after one closes opens the next
+    sorted.forEach((ms) => {
+      if (!windowStart || at(ms) >= windowStart.plus(window)) {
+        windowStart = at(ms);
+        counted = [];
+      }
+      counted.push(ms);
+    });
+    if (windowStart && windowStart.plus(window) > now) nextFree = windowStart.plus(window);
+    else {
+      windowStart = null;
+      counted = [];
+    }
+  } else {
+    const anchor = DateTime.fromISO(limit.anchorISO, { setZone: true });
+    const approx = Duration.fromObject(window).toMillis();
+    let k = Math.floor((now.toMillis() - anchor.toMillis()) / approx);
+    const boundary = (n) => anchor.plus(Duration.fromObject(window).mapUnits((x) => x * n));
+    while (boundary(k) > now) k--;
+    while (boundary(k + 1) <= now) k++;
+    windowStart = boundary(k).setZone(now.zone);
+    nextFree = boundary(k + 1).setZone(now.zone);
+    counted = sorted.filter((ms) => ms >= windowStart.toMillis());
+  }
+
+  const used = counted.length;
+  const full = used >= limit.cap;
+  let freesAt = null;
+  if (full) freesAt = limit.reset === "rolling" ? at(counted[used - limit.cap]).plus(window) : nextFree;
+  return { used, remaining: Math.max(0, limit.cap - used), full, windowStart, nextFree, freesAt };
+}
+
+// -------------------------- Value journal ------------------------ //
+// Entries: { id, subId, atISO, kind, title, tags: [], minutesSaved, link, notes };
+// an entry belongs to the cycle window its `atISO` falls in.
+
+export const JOURNAL_KINDS = {
+  win: "Win", // something shipped thanks to the subscription
+  session: "Session", // time spent using it
+};
+
+// Only http(s) links are kept, so a "javascript:" one never becomes clickable
+export function journalLink(link) {
+  try {
+    const url = new URL(String(link ?? "").trim());
+    return ["http:", "https:"].includes(url.protocol) ? url.href : "";
+  } catch {
+    return "";
+  }
+}
+
+// Problems with one entry's content (not its id or subscription), located under `at`
+export function journalEntryErrors(entry, at) {
+  if (!isPlainObject(entry)) return [problem("object", at)];
+  const errors = [];
+  if (!JOURNAL_KINDS[entry.kind]) errors.push(problem("unsupported", `${at}.kind`, { value: String(entry.kind) }));
+  if (typeof entry.title !== "string" || !entry.title.trim()) errors.push(problem("nonEmpty", `${at}.title`));
+  if (!DateTime.fromISO(String(entry.atISO)).isValid) errors.push(problem("date", `${at}.atISO`));
+  if (!Array.isArray(entry.tags) || entry.tags.some((tag) => typeof tag !== "string")) errors.push(problem("stringList", `${at}.tags`));
+  if (typeof entry.minutesSaved !== "number" || !(entry.minutesSaved >= 0)) errors.push(problem("atLeast", `${at}.minutesSaved`, { min: 0 }));
+  if (typeof entry.link !== "string" || (entry.link && !journalLink(entry.link))) errors.push(problem("link", `${at}.link`));
+  if (typeof entry.notes !== "string") errors.push(problem("string", `${at}.notes`));
+  return errors;
+}
+
+export function journalInWindow(entries, start, end) {
+  return entries
+    .filter((e) => {
+      const ms = DateTime.fromISO(e.atISO).toMillis();
+      return ms >= start.toMillis() && ms < end.toMillis();
+    })
+    .sort((a, b) => a.atISO.localeCompare(b.atISO));
+}
+
+// { entries, wins, sessions, minutesSaved, tags: [[tag, count]] (most used first) }
+export function journalSummary(entries, start, end) {
+  const inWindow = journalInWindow(entries, start, end);
+  const tags = {};
+  inWindow.forEach((e) => (e.tags ?? []).forEach((tag) => { tags[tag] = (tags[tag] ?? 0) + 1; }));
+  return {
+    entries: inWindow,
+    wins: inWindow.filter((e) => e.kind === "win").length,
+    sessions: inWindow.filter((e) => e.kind === "session").length,
+    minutesSaved: inWindow.reduce((sum, e) => sum + (Number(e.minutesSaved) || 0), 0),
+    tags: Object.entries(tags).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+  };
+}
+
+// The current window and up to `count - 1` before it, newest first, each with
+// its journal summary, price and cost per hour saved (null when nothing saved)
+export function valueByCycle(cycle, entries, now, count = 6) {
+  const { start, end, index } = rollCycleToNow(cycle, now);
+  const windows = [...pastWindows(cycle, index, Math.max(0, index - count + 1)), { start, end, current: true }].slice(-count).reverse();
+  return windows.map((w) => {
+    const summary = journalSummary(entries, w.start, w.end);
+    const price = chargeAt(cycle, w.start);
+    const hoursSaved = summary.minutesSaved / 60;
+    return { ...summary, start: w.start, end: w.end, current: !!w.current, price, hoursSaved, costPerHour: hoursSaved > 0 ? price / hoursSaved : null };
+  });
+}
+
+// Markdown for a retro: one section per cycle window (newest first)
+export function journalMarkdown(cycle, entries, now, count = 6) {
+  const { currency } = pricingOf(cycle);
+  const day = (dt) => dt.toFormat("yyyy-LL-dd");
+  const lines = [`# ${cycle.plan} – value journal`, ""];
+  valueByCycle(cycle, entries, now, count).forEach((w) => {
+    lines.push(`## ${day(w.start)} – ${day(w.end)}${w.current ? " (current)" : ""}`, "");
+    const perHour = w.costPerHour === null ? "" : `, ${fmtMoney(w.costPerHour, currency)} per hour saved`;
+    lines.push(`${w.wins} win${w.wins === 1 ? "" : "s"}, ${w.sessions} session${w.sessions === 1 ? "" : "s"}, ${w.hoursSaved.toFixed(1)} h saved · price ${fmtMoney(w.price, currency)}${perHour}`, "");
+    w.entries.forEach((e) => {
+      const at = DateTime.fromISO(e.atISO, { zone: cycle.timezone }).toFormat("yyyy-LL-dd HH:mm");
+      const saved = Number(e.minutesSaved) > 0 ? ` (${e.minutesSaved} min saved)` : "";
+      const tags = e.tags?.length ? ` ${e.tags.map((tag) => `#${tag}`).join(" ")}` : "";
+      const link = journalLink(e.link);
+      const title = link ? `[${e.title}](${link})` : e.title;
+      lines.push(`- **${JOURNAL_KINDS[e.kind] ?? e.kind}** ${at} — ${title}${saved}${tags}`);
+      if (e.notes) lines.push(...e.notes.split("\n").map((l) => `  ${l}`));
+    });
+    if (w.entries.length) lines.push("");
+  });
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+// RFC 4180 CSV, one row per entry, times in `zone`
+export function journalCSV(entries, zone) {
+  const cell = (v) => {
+    const text = String(v ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = [["date", "kind", "title", "tags", "minutes_saved", "link", "notes"]];
+  [...entries].sort((a, b) => a.atISO.localeCompare(b.atISO)).forEach((e) => {
+    rows.push([DateTime.fromISO(e.atISO, { zone }).toFormat("yyyy-LL-dd HH:mm"), e.kind, e.title, (e.tags ?? []).join(" "), Number(e.minutesSaved) || 0, e.link, e.notes]);
+  });
+  return `${rows.map((r) => r.map(cell).join(",")).join("\r\n")}\r\n`;
+}
+
+// -------------------------- iCalendar ---------------------------- //
+// RFC 5545 output: CRLF line endings, 75-octet folding, escaped TEXT values,
+// a generated VTIMEZONE per zone and stable UIDs so re-imports update in place.
+
+const ICS_PRODID = "-//GPTDeadline//GPT deadline//EN";
+
+function icsText(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Fold at 75 octets without splitting a UTF-8 sequence; continuations start with a space
+function foldLine(line) {
+  const enc = new TextEncoder();
+  if (enc.encode(line).length <= 75) return line;
+  const parts = [];
+  let cur = "";
+  let bytes = 0;
+  let limit = 75;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (bytes + n > limit) {
+      parts.push(cur);
+      cur = "";
+      bytes = 0;
+      limit = 74;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  parts.push(cur);
+  return parts.join("\r\n ");
+}
+
+function icsLocal(dt) {
+  return dt.toFormat("yyyyLLdd'T'HHmmss");
+}
+
+function icsOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`;
+}
+
+// UTC offset changes of `zone` between two instants, to the minute
+function zoneTransitions(zone, from, to) {
+  const offsetAt = (ms) => DateTime.fromMillis(ms, { zone }).offset;
+  const out = [];
+  let prevMs = from.toUTC().startOf("day").toMillis();
+  let prevOffset = offsetAt(prevMs);
+  for (let ms = prevMs + MS_PER_DAY; ms <= to.toMillis(); ms += MS_PER_DAY) {
+    const offset = offsetAt(ms);
+    if (offset !== prevOffset) {
+      let lo = prevMs / MS_PER_MIN;
+      let hi = ms / MS_PER_MIN;
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (offsetAt(mid * MS_PER_MIN) === prevOffset) lo = mid; else hi = mid;
+      }
+      out.push({ ms: hi * MS_PER_MIN, from: prevOffset, to: offset });
+      prevOffset = offset;
+    }
+    prevMs = ms;
+  }
+  return out;
+}
+
+// VTIMEZONE with one observance per transition in [from, to] (no RRULEs to get wrong)
+function vtimezone(zone, from, to) {
+  const observance = (ms, offsetFrom, offsetTo) => {
+    const at = DateTime.fromMillis(ms, { zone });
+    const kind = at.isInDST ? "DAYLIGHT" : "STANDARD";
+    // Onset is written as local wall time in the offset being left
+    const onset = DateTime.fromMillis(ms + offsetFrom * MS_PER_MIN, { zone: "utc" });
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${icsLocal(onset)}`,
+      `TZOFFSETFROM:${icsOffset(offsetFrom)}`,
+      `TZOFFSETTO:${icsOffset(offsetTo)}`,
+      `TZNAME:${icsText(at.offsetNameShort || icsOffset(offsetTo))}`,
+      `END:${kind}`,
+    ];
+  };
+  const first = from.setZone(zone).startOf("day");
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${zone}`];
+  lines.push(...observance(first.toMillis(), first.offset, first.offset));
+  zoneTransitions(zone, first, to).forEach((t) => lines.push(...observance(t.ms, t.from, t.to)));
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+// BYMONTHDAY that clamps like monthAddAnchored: the anchor day, or the month's last day if shorter
+function byMonthDay(anchorDay) {
+  if (anchorDay <= 28) return `BYMONTHDAY=${anchorDay}`;
+  const days = [];
+  for (let d = 28; d <= anchorDay; d++) days.push(d);
+  return `BYMONTHDAY=${days.join(",")};BYSETPOS=-1`;
+}
+
+// RRULE matching the cycle's billing rule, or null for a fixed term
+function renewalRRule(cycle, renewal) {
+  const billing = billingOf(cycle);
+  const anchorDay = billing.anchorDay || inZone(cycle.startISO, cycle.timezone).day;
+  switch (billing.interval) {
+    case "fixed": return null;
+    case "weekly": return "FREQ=WEEKLY";
+    case "days": return `FREQ=DAILY;INTERVAL=${Math.max(1, billing.everyDays || 1)}`;
+    case "annual": return `FREQ=YEARLY;BYMONTH=${renewal.month};${byMonthDay(anchorDay)}`;
+    case "quarterly": return `FREQ=MONTHLY;INTERVAL=3;${byMonthDay(anchorDay)}`;
+    default: return `FREQ=MONTHLY;${byMonthDay(anchorDay)}`;
+  }
+}
+
+// VALARM TRIGGER for a reminder at `remindAt`, relative to the event at `at`
+function icsTrigger(at, remindAt) {
+  const minutes = Math.round(at.diff(remindAt, "minutes").minutes);
+  return minutes > 0 ? `-PT${minutes}M` : minutes < 0 ? `PT${-minutes}M` : "PT0S";
+}
+
+// "Reminder moved for quiet hours: …" for a milestone whose reminder quiet hours shifted
+function icsQuietNote(m, zone) {
+  const fmt = (dt) => dt.setZone(zone).toFormat("ccc d LLL HH:mm");
+  return `Reminder moved for quiet hours: ${fmt(m.remindAt)} (${m.quietShift} from ${fmt(m.nominalRemindAt)}).`;
+}
+
+// .ics export for one window of a subscription. Alarms follow the reminder
+// toggles and quiet hours (the nominal time is noted in the description); with
+// `recurring` the renewal event repeats per the billing rule (until the paid
+// period of a cancelled or paused subscription ends), and its alarm keeps this
+// window's offset.
+export function generateICS(cycle, start, end, { recurring = false } = {}) {
+  const zone = cycle.timezone;
+  const dtstamp = DateTime.now().toUTC().toFormat("yyyyLLdd'T'HHmmss'Z'");
+  const windowKey = start.toUTC().toFormat("yyyyLLdd'T'HHmm");
+  const { accessEndISO } = lifecycleOf(cycle);
+  const until = accessEndISO ? `;UNTIL=${inZone(accessEndISO, zone).toUTC().toFormat("yyyyLLdd'T'HHmmss'Z'")}` : "";
+  const rrule = recurring && renewalRRule(cycle, end) ? renewalRRule(cycle, end) + until : null;
+  const events = milestoneTimes(start, end, activeMilestones(cycle, end), quietOf(cycle)).map((m) => ({
+    key: m.id,
+    sum: m.title,
+    desc: m.quietShift ? `${m.message}\n${icsQuietNote(m, zone)}` : m.message,
+    alarm: m.quietShift ? `${cycle.plan}: ${m.title}\n${icsQuietNote(m, zone)}` : `${cycle.plan}: ${m.title}`,
+    dt: m.at.setZone(zone),
+    trigger: icsTrigger(m.at, m.remindAt),
+    // Only the renewal itself repeats; absolute milestones are one-offs already
+    rrule: m.id === "renewal" ? rrule : null,
+    once: m.kind === "absolute",
+  }));
+  const vevents = events.flatMap((e) => [
+    "BEGIN:VEVENT",
+    // Same cycle + milestone → same UID; a repeating renewal is one series per subscription
+    `UID:${cycle.id}-${e.key}${e.rrule || e.once ? "" : `-${windowKey}`}@gptdeadline`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;TZID=${zone}:${icsLocal(e.dt)}`,
+    `DTEND;TZID=${zone}:${icsLocal(e.dt.plus({ minutes: 15 }))}`,
+    ...(e.rrule ? [`RRULE:${e.rrule}`] : []),
+    `SUMMARY:${icsText(`${cycle.plan}: ${e.sum}`)}`,
+    `DESCRIPTION:${icsText(e.desc)}`,
+    "TRANSP:TRANSPARENT",
+    ...(reminderEnabled(cycle, e.key) ? [
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `TRIGGER:${e.trigger}`,
+      `DESCRIPTION:${icsText(e.alarm)}`,
+      "END:VALARM",
+    ] : []),
+    "END:VEVENT",
+  ]);
+
+  const tzFrom = start.minus({ years: 1 }).startOf("year");
+  const tzTo = end.plus({ years: rrule ? 10 : 1 }).endOf("year");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `PRODID:${ICS_PRODID}`,
+    ...vtimezone(zone, tzFrom, tzTo),
+    ...vevents,
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// --------------------------- .ics import ------------------------- //
+// Our own exports round-trip exactly (UIDs carry subscription id, milestone
+// and window); foreign events are mapped best-effort and flagged for review.
+
+const OWN_UID = /^(.+?)-([A-Za-z0-9]+)(?:-(\d{8}T\d{4}))?@gptdeadline$/;
+
+function icsUnescape(v) {
+  return v.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// "NAME;P=1;Q="a:b":value" → { name, params, value }
+function icsProperty(line) {
+  let quoted = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) { split = i; break; }
+  }
+  if (split < 0) return null;
+  const [name, ...rawParams] = line.slice(0, split).split(";");
+  const params = {};
+  rawParams.forEach((p) => {
+    const [k, ...v] = p.split("=");
+    params[k.toUpperCase()] = v.join("=").replace(/^"|"$/g, "");
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+// VEVENTs of a calendar (or of bare pasted VEVENT text)
+function parseICS(text) {
+  const lines = text.replace(/\r\n|\r/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const events = [];
+  let cur = null;
+  let inAlarm = false;
+  lines.forEach((line) => {
+    const prop = icsProperty(line.trim());
+    if (!prop) return;
+    if (prop.name === "BEGIN" && prop.value === "VEVENT") { cur = { props: {}, alarms: 0 }; return; }
+    if (!cur) return;
+    if (prop.name === "BEGIN" && prop.value === "VALARM") { inAlarm = true; return; }
+    if (prop.name === "END" && prop.value === "VALARM") { inAlarm = false; cur.alarms += 1; return; }
+    if (prop.name === "END" && prop.value === "VEVENT") { events.push(cur); cur = null; return; }
+    if (!inAlarm && !(prop.name in cur.props)) cur.props[prop.name] = prop;
+  });
+  return events;
+}
+
+// DTSTART/DTEND → DateTime; UTC, floating and all-day values land in `fallbackZone`
+function icsDateTime(prop, fallbackZone, warnings) {
+  if (!prop) return null;
+  const v = prop.value.trim();
+  const tzid = prop.params.TZID;
+  if (prop.params.VALUE === "DATE" || /^\d{8}$/.test(v)) {
+    warnings.push({ key: "allDay" });
+    return { dt: DateTime.fromFormat(v, "yyyyLLdd", { zone: fallbackZone }), zone: fallbackZone };
+  }
+  const fmt = v.length === 13 ? "yyyyLLdd'T'HHmm" : "yyyyLLdd'T'HHmmss";
+  if (v.endsWith("Z")) {
+    return { dt: DateTime.fromFormat(v.slice(0, -1), fmt, { zone: "utc" }).setZone(fallbackZone), zone: fallbackZone };
+  }
+  if (tzid && isValidZone(tzid)) return { dt: DateTime.fromFormat(v, fmt, { zone: tzid }), zone: tzid };
+  warnings.push(tzid ? { key: "unknownTzid", value: tzid, zone: fallbackZone } : { key: "floating", zone: fallbackZone });
+  return { dt: DateTime.fromFormat(v, fmt, { zone: fallbackZone }), zone: fallbackZone };
+}
+
+// RRULE → billing rule; null when it can't be represented. A BYMONTHDAY
+// counted from the month's end (-1 = last day) anchors to the end of month.
+function billingFromRRule(rrule, warnings) {
+  const parts = Object.fromEntries(rrule.split(";").map((p) => p.split("=")));
+  const n = Number(parts.INTERVAL || "1");
+  const days = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(",").map(Number) : [];
+  if (!Number.isInteger(n) || n < 1) return null;
+  if (days.some((d) => !Number.isInteger(d) || d === 0 || Math.abs(d) > 31)) return null;
+  const anchorDay = days.length ? Math.max(...days.map((d) => (d < 0 ? 31 : d))) : null;
+  if (parts.COUNT || parts.UNTIL) warnings.push({ key: "countUntil" });
+  switch (parts.FREQ) {
+    case "YEARLY": return n === 1 ? { interval: "annual", anchorDay } : null;
+    case "MONTHLY": return n === 1 ? { interval: "monthly", anchorDay } : n === 3 ? { interval: "quarterly", anchorDay } : null;
+    case "WEEKLY": return n === 1 ? { interval: "weekly" } : { interval: "days", everyDays: 7 * n };
+    case "DAILY": return { interval: "days", everyDays: n };
+    default: return null;
+  }
+}
+
+// Closest billing rule for a start → end span
+function inferBilling(start, end) {
+  const near = (months) => Math.abs(monthAddAnchored(start, months, start.day).toMillis() - end.toMillis()) <= MS_PER_DAY;
+  if (near(12)) return { interval: "annual" };
+  if (near(3)) return { interval: "quarterly" };
+  if (near(1)) return { interval: "monthly" };
+  const days = Math.max(1, Math.round(end.diff(start, "days").days));
+  return days === 7 ? { interval: "weekly" } : { interval: "days", everyDays: days };
+}
+
+// Import candidates: { key, summary, cycle (partial), warnings, ambiguous };
+// warnings are problems (see PROBLEM_TEXT)
+export function icsCandidates(text, fallbackZone) {
+  const own = new Map();
+  const out = [];
+  parseICS(text).forEach((ev, i) => {
+    const summary = ev.props.SUMMARY ? icsUnescape(ev.props.SUMMARY.value) : "(untitled)";
+    const m = ev.props.UID && ev.props.UID.value.match(OWN_UID);
+    if (m) {
+      const group = own.get(m[1]) ?? { reminders: {} };
+      group.reminders[m[2]] = ev.alarms > 0;
+      if (m[2] === "renewal") Object.assign(group, { ev, summary, windowKey: m[3] });
+      if (m[3]) group.windowKey = m[3];
+      own.set(m[1], group);
+      return;
+    }
+    out.push(foreignCandidate(ev, summary, fallbackZone, `ev-${i}`));
+  });
+  own.forEach((g, id) => {
+    const warnings = [];
+    if (!g.ev) {
+      out.push({ key: `own-${id}`, summary: `Milestones of ${id}`, cycle: null, warnings: [{ key: "noRenewal" }], ambiguous: true });
+      return;
+    }
+    const parsed = icsDateTime(g.ev.props.DTSTART, fallbackZone, warnings);
+    if (!parsed || !parsed.dt.isValid) {
+      out.push({ key: `own-${id}`, summary: g.summary, cycle: null, warnings: [{ key: "noStart" }], ambiguous: true });
+      return;
+    }
+    const billing = { ...DEFAULT_CYCLE.billing, ...(g.ev.props.RRULE ? rruleBilling(g.ev.props.RRULE.value, warnings) : {}) };
+    const end = parsed.dt;
+    const start = g.windowKey
+      ? DateTime.fromFormat(g.windowKey, "yyyyLLdd'T'HHmm", { zone: "utc" }).setZone(parsed.zone)
+      : addBillingInterval(end, billing, -1, billing.anchorDay || end.day);
+    out.push(usableCandidate({
+      key: `own-${id}`,
+      summary: g.summary,
+      cycle: {
+        plan: g.summary.replace(/: Renewal$/, ""),
+        timezone: parsed.zone,
+        startISO: start.toISO(),
+        endISO: end.toISO(),
+        billing,
+        reminders: { ...DEFAULT_CYCLE.reminders, ...g.reminders },
+      },
+      warnings,
+      ambiguous: warnings.length > 0,
+    }));
+  });
+  return out;
+}
+
+// Billing of a recurring event; monthly when the RRULE can't be represented
+function rruleBilling(rrule, warnings) {
+  const billing = billingFromRRule(rrule, warnings);
+  if (billing) return billing;
+  warnings.push({ key: "rrule", value: rrule });
+  return { interval: "monthly" };
+}
+
+// A candidate whose cycle still fails validation is shown but can't be applied
+function usableCandidate(candidate) {
+  const errors = cycleErrors({ ...DEFAULT_CYCLE, ...candidate.cycle }, "event");
+  if (!errors.length) return candidate;
+  return { ...candidate, cycle: null, warnings: [...candidate.warnings, ...errors], ambiguous: true };
+}
+
+function foreignCandidate(ev, summary, fallbackZone, key) {
+  const warnings = [];
+  const startParsed = icsDateTime(ev.props.DTSTART, fallbackZone, warnings);
+  if (!startParsed || !startParsed.dt.isValid) {
+    return { key, summary, cycle: null, warnings: [{ key: "noStart" }], ambiguous: true };
+  }
+  const { dt, zone } = startParsed;
+  const endParsed = icsDateTime(ev.props.DTEND, zone, warnings);
+  let billing;
+  let start;
+  let end;
+  if (ev.props.RRULE) {
+    // Recurring event: each occurrence is a renewal
+    billing = { ...DEFAULT_CYCLE.billing, ...rruleBilling(ev.props.RRULE.value, warnings) };
+    end = dt;
+    start = addBillingInterval(dt, billing, -1, billing.anchorDay || dt.day);
+  } else if (endParsed && endParsed.dt.isValid && endParsed.dt.diff(dt, "days").days >= 2) {
+    // Event spanning the cycle
+    billing = { ...DEFAULT_CYCLE.billing, ...inferBilling(dt, endParsed.dt) };
+    start = dt;
+    end = endParsed.dt;
+    warnings.push({ key: "spanGuess" });
+  } else {
+    // Single moment: treat it as the renewal date of a monthly plan
+    billing = { ...DEFAULT_CYCLE.billing };
+    end = dt;
+    start = monthAddAnchored(dt, -1, dt.day);
+    warnings.push({ key: "singleDate" });
+  }
+  const reminders = ev.alarms > 0 ? { renewal: true } : {};
+  return usableCandidate({
+    key,
+    summary,
+    cycle: { plan: summary, timezone: zone, startISO: start.toISO(), endISO: end.toISO(), billing, reminders },
+    warnings,
+    ambiguous: warnings.length > 0,
+  });
+}
@@ -0,0 +1,102 @@
+import { BILLING_INTERVALS, DEFAULT_MILESTONES, fmtDate, fmtMoney, relParts } from "./engine.js";
+import { CALENDARS, calendarDay, fmtCalendarDate } from "./calendars.js";
+import en from "./locales/en.json";
+import ne from "./locales/ne.json";
+
+/**
+ * GPT Deadline – translations and locale-aware formatting
+ * Catalogs live in ./locales/<lang>.json, grouped by screen area. Values are
+ * strings with `{name}` placeholders, lists (tips), or plural forms keyed by
+ * Intl.PluralRules category ({ one, other, … }, chosen by `count`).
+ * Missing keys fall back to English, then to the key itself.
+ *
+ * createI18n(lang, calendar) → { t, list, num, pct, money, date, day, rel,
+ * duration, billing, milestone, dst, calDate, calDay, … } for one language and
+ * alternative calendar (see ./calendars.js).
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+// `locale` drives Intl/Luxon formatting (digits, month names, currency)
+export const LANGUAGES = {
+  en: { label: "English", locale: "en", catalog: en },
+  ne: { label: "नेपाली", locale: "ne-NP", catalog: ne },
+};
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, k) => (node == null ? undefined : node[k]), catalog);
+}
+
+export function createI18n(lang, calendar = "gregorian") {
+  const language = LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE;
+  const { locale, catalog } = LANGUAGES[language];
+  const cal = CALENDARS[calendar] ? calendar : "gregorian";
+  const numbers = new Intl.NumberFormat(locale);
+  const digits = new Intl.NumberFormat(locale, { useGrouping: false });
+  const percent = new Intl.NumberFormat(locale, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const plurals = new Intl.PluralRules(locale);
+
+  const num = (n) => numbers.format(n);
+  const find = (key) => lookup(catalog, key) ?? lookup(en, key);
+
+  // Numbers in `vars` are formatted for the locale (Devanagari digits in Nepali)
+  const t = (key, vars = {}) => {
+    let text = find(key);
+    if (text && typeof text === "object" && !Array.isArray(text)) text = text[plurals.select(vars.count ?? 0)] ?? text.other;
+    if (typeof text !== "string") return key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => {
+      const v = vars[name];
+      if (v === undefined) return m;
+      return typeof v === "number" ? num(v) : v;
+    });
+  };
+
+  const rel = (dt, base) => {
+    const { parts, future } = relParts(dt, base);
+    return t(future ? "rel.future" : "rel.past", { parts: parts.map(([unit, n]) => t(`unit.${unit}`, { n })).join(" ") });
+  };
+
+  return {
+    lang: language,
+    locale,
+    calendar: cal,
+    t,
+    list: (key) => {
+      const items = find(key);
+      return Array.isArray(items) ? items : [];
+    },
+    num,
+    pct: (n) => percent.format(n),
+    money: (amount, currency) => fmtMoney(amount, currency, locale),
+    date: (dt, hourFormat, zone) => fmtDate(dt, hourFormat, zone, locale),
+    // "Oct 21" – day only, for compact lists and the month calendar
+    day: (dt) => dt.setLocale(locale).toLocaleString({ month: "short", day: "numeric" }),
+    rel,
+    // Luxon Duration → "3 days, 4 hrs" in the language
+    duration: (dur, opts = { unitDisplay: "short" }) => dur.reconfigure({ locale }).toHuman(opts),
+    billing: (billing, anchorDay) => {
+      if (billing.interval === "days") return t("billing.everyDays", { count: billing.everyDays });
+      const interval = BILLING_INTERVALS[billing.interval] ? billing.interval : "monthly";
+      const label = t(`billing.${interval}`);
+      return BILLING_INTERVALS[interval].months ? t("billing.onDay", { label, day: anchorDay }) : label;
+    },
+    // Note for a dstIssue() ("gap" | "overlap") at `dt`; null when there is none
+    dst: (issue, dt) => (issue ? t(`dst.${issue}`, { time: dt.setLocale(locale).toFormat("HH:mm"), offset: dt.offsetNameShort }) : null),
+    // Built-in milestones are translated until the user renames or rewords them;
+    // lifecycle events always are
+    milestone: (m) => {
+      if (m.lifecycle) return { ...m, title: t(`milestone.${m.id}.title`), message: t(`milestone.${m.id}.message`) };
+      const def = m.builtin && DEFAULT_MILESTONES.find((d) => d.id === m.id);
+      if (!def) return m;
+      return {
+        ...m,
+        ...(m.title === def.title && { title: t(`milestone.${m.id}.title`) }),
+        ...(m.message === def.message && { message: t(`milestone.${m.id}.message`) }),
+      };
+    },
+    calendars: Object.entries(CALENDARS).map(([id, c]) => ({ id, label: c.label[language] ?? c.label.en })),
+    // `dt`'s wall date in the alternative calendar; null when none is chosen
+    calDate: (dt) => fmtCalendarDate(dt, cal, language, (n) => digits.format(n)),
+    calDay: (dt) => digits.format(calendarDay(dt, cal)),
+  };
+}
@@ -2,9 +2,17 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import { mountEmbed } from "./widget.js";
+import "./index.css";
 
-createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// ?embed=1 shows only the countdown (configured by the query string, no storage)
+const params = new URLSearchParams(window.location.search);
+if (params.get("embed") === "1") {
+  mountEmbed(document.getElementById("root"), params);
+} else {
+  createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+}
@@ -0,0 +1,141 @@
+/**
+ * GPT Deadline – prompt library (plain ES module, no dependencies)
+ *
+ * A prompt is { id, title, body, tags: [..], notes, uses, lastUsedISO }.
+ * `body` is a template: `{{name}}` marks a variable to fill in before copying.
+ *
+ * - promptVariables(body) → variable names in order of first use
+ * - fillPrompt(body, values) → text; unfilled variables stay as `{{name}}`
+ * - promptErrors(prompt) → problems with one prompt
+ * - searchPrompts(prompts, { query, tag }) → matches, most used first
+ * - promptTags(prompts) → [[tag, count]], most used first
+ * - libraryExport(prompts, at) / libraryErrors(data) / mergeLibrary(current, incoming, makeId)
+ *   share a curated library as JSON (usage counts stay local)
+ *
+ * Problems are { key, ...vars } for the app to word (`prompts.errors.<key>` in
+ * the locale catalogs); in a file, `at` is the prompt's 1-based position.
+ */
+
+export const LIBRARY_FORMAT = "gpt-deadline-prompts";
+export const LIBRARY_VERSION = 1;
+
+const VARIABLE = /\{\{\s*([\p{L}\p{N}_.-]+)\s*\}\}/gu;
+
+export function promptVariables(body) {
+  return [...new Set([...String(body ?? "").matchAll(VARIABLE)].map((m) => m[1]))];
+}
+
+export function fillPrompt(body, values) {
+  return String(body ?? "").replace(VARIABLE, (m, name) => (values[name] ? values[name] : m));
+}
+
+// Lower-case, no leading "#", no spaces
+export function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#+/, "").toLowerCase().replace(/\s+/g, "-");
+}
+
+export function promptErrors(prompt) {
+  const errors = [];
+  if (prompt.id !== undefined && (typeof prompt.id !== "string" || !prompt.id)) errors.push({ key: "id" });
+  if (typeof prompt.title !== "string" || !prompt.title.trim()) errors.push({ key: "title" });
+  if (typeof prompt.body !== "string" || !prompt.body.trim()) errors.push({ key: "body" });
+  if (!Array.isArray(prompt.tags) || prompt.tags.some((tag) => typeof tag !== "string")) errors.push({ key: "tags" });
+  if (prompt.notes != null && typeof prompt.notes !== "string") errors.push({ key: "notes" });
+  return errors;
+}
+
+// Every word of `query` must appear in the title, text, tags or notes
+export function searchPrompts(prompts, { query = "", tag = null } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return prompts
+    .filter((p) => !tag || p.tags.includes(tag))
+    .filter((p) => {
+      const haystack = [p.title, p.body, p.notes, ...p.tags].join("\n").toLowerCase();
+      return words.every((w) => haystack.includes(w));
+    })
+    .sort((a, b) => (b.uses ?? 0) - (a.uses ?? 0) || a.title.localeCompare(b.title));
+}
+
+export function promptTags(prompts) {
+  const counts = {};
+  prompts.forEach((p) => p.tags.forEach((tag) => { counts[tag] = (counts[tag] ?? 0) + 1; }));
+  return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+export function libraryExport(prompts, at) {
+  return {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: at,
+    prompts: prompts.map(({ id, title, body, tags, notes }) => ({ id, title, body, tags, notes })),
+  };
+}
+
+// Problems with an imported file; a bare list of prompts is accepted too
+export function libraryErrors(data) {
+  const list = Array.isArray(data) ? data : data?.prompts;
+  if (!Array.isArray(list)) return [{ key: "notLibrary" }];
+  if (!Array.isArray(data) && data.format !== undefined && data.format !== LIBRARY_FORMAT) return [{ key: "format", format: String(data.format) }];
+  if (Number(data.version) > LIBRARY_VERSION) return [{ key: "newer", version: String(data.version), max: LIBRARY_VERSION }];
+  return list.flatMap((p, i) => (p && typeof p === "object" && !Array.isArray(p)
+    ? promptErrors({ tags: [], ...p }).map((e) => ({ ...e, at: i + 1, title: typeof p.title === "string" ? p.title : "" }))
+    : [{ key: "notObject", at: i + 1, title: "" }]));
+}
+
+// Incoming prompts replace ones with the same id (or title), keeping their
+// usage counts; the rest are added. → { items, added, updated }
+export function mergeLibrary(current, incoming, makeId) {
+  const list = Array.isArray(incoming) ? incoming : incoming.prompts;
+  const items = [...current];
+  let added = 0;
+  let updated = 0;
+  list.forEach((p) => {
+    const clean = {
+      title: p.title.trim(),
+      body: p.body,
+      tags: [...new Set((p.tags ?? []).map(normalizeTag).filter(Boolean))],
+      notes: p.notes ?? "",
+    };
+    const at = items.findIndex((q) => (p.id && q.id === p.id) || q.title.toLowerCase() === clean.title.toLowerCase());
+    if (at === -1) {
+      items.push({ id: p.id && !items.some((q) => q.id === p.id) ? p.id : makeId(), ...clean, uses: 0, lastUsedISO: null });
+      added += 1;
+    } else {
+      items[at] = { ...items[at], ...clean };
+      updated += 1;
+    }
+  });
+  return { items, added, updated };
+}
+
+// What a new install starts with
+export const STARTER_PROMPTS = [
+  {
+    id: "starter-summarize",
+    title: "Summarize for a busy reader",
+    body: "Summarize the text below for {{audience}} in at most {{length}} bullet points. Lead with the decision or action it asks for, then the key facts. Flag anything that is unclear.\n\n---\n{{text}}",
+    tags: ["writing", "summary"],
+    notes: "Paste long emails, threads or docs into “text”.",
+  },
+  {
+    id: "starter-review-code",
+    title: "Code review",
+    body: "Review this {{language}} code as a senior engineer. List bugs first, then risky edge cases, then readability. For each point give the line and a concrete fix. Don't rewrite the whole thing.\n\n```{{language}}\n{{code}}\n```",
+    tags: ["code", "review"],
+    notes: "",
+  },
+  {
+    id: "starter-research-brief",
+    title: "Deep Research brief",
+    body: "Research question: {{question}}\n\nContext: {{context}}\nScope: {{scope}}\nPrefer sources from {{sources}}. Cite every claim with a link, say when sources disagree, and end with a short list of open questions.",
+    tags: ["research"],
+    notes: "Fill every field — a narrow scope gets a better report.",
+  },
+  {
+    id: "starter-email-reply",
+    title: "Reply to an email",
+    body: "Draft a reply to the email below. Tone: {{tone}}. The reply should {{goal}}. Keep it under 120 words and end with one clear next step.\n\n---\n{{email}}",
+    tags: ["writing", "email"],
+    notes: "",
+  },
+].map((p) => ({ ...p, uses: 0, lastUsedISO: null }));
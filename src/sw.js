@@ -0,0 +1,85 @@
+/* GPT deadline – service worker
+ * Not part of the app bundle: vite.config.js (serviceWorker plugin) emits it as
+ * /sw.js at build time, replacing the two placeholders below with the hashed
+ * asset list and a version derived from it.
+ * - install: precache every build asset (the app then runs fully offline)
+ * - activate: delete caches from older builds
+ * - fetch: precached/cached first; navigations get this build's shell (the network
+ *   only when it is missing), so a reload keeps the running version
+ * - a new build waits until the page accepts the update prompt ("skip-waiting")
+ */
+
+const PRECACHE = self.__PRECACHE_MANIFEST; // ["index.html", "assets/index-abc123.js", …]
+const CACHE_PREFIX = "gpt-deadline-";
+const CACHE = `${CACHE_PREFIX}__CACHE_VERSION__`;
+const SHELL = new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (e) => {
+  e.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(PRECACHE.map((path) => new URL(path, self.registration.scope).href));
+  })());
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (e) => {
+  if (e.data && e.data.type === "skip-waiting") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  if (req.mode === "navigate") {
+    // This build's shell, not whatever the server has now: a waiting worker's
+    // cache already holds the next index.html, which only takes over once the
+    // page accepts the update. Query/hash (share links, reminder actions) are
+    // handled by the page.
+    e.respondWith((async () => {
+      const shell = await (await caches.open(CACHE)).match(SHELL);
+      if (shell) return shell;
+      try {
+        return await fetch(req);
+      } catch {
+        return Response.error();
+      }
+    })());
+    return;
+  }
+
+  e.respondWith((async () => {
+    const cached = await caches.match(req, { ignoreSearch: true });
+    if (cached) return cached;
+    const res = await fetch(req);
+    // Same-origin files not in the build list (e.g. added to public/ later);
+    // waitUntil keeps the worker alive until the copy is stored
+    if (res.ok) {
+      const copy = res.clone();
+      e.waitUntil(caches.open(CACHE).then((cache) => cache.put(req, copy)));
+    }
+    return res;
+  })());
+});
+
+// Snooze buttons on reminder notifications: hand the action to an open tab,
+// or open one with the action in the query string
+self.addEventListener("notificationclick", (e) => {
+  e.notification.close();
+  const reminderId = e.notification.data && e.notification.data.reminderId;
+  if (!reminderId || !e.action) return;
+  e.waitUntil((async () => {
+    const all = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (all.length) {
+      all[0].postMessage({ type: "reminder-action", reminderId, action: e.action });
+      return all[0].focus();
+    }
+    return self.clients.openWindow(`${self.registration.scope}?reminder-action=${encodeURIComponent(`${e.action}|${reminderId}`)}`);
+  })());
+});
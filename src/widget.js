@@ -0,0 +1,150 @@
+import { DateTime } from "luxon";
+import { DEFAULT_CYCLE, BILLING_INTERVALS, clamp, cycleProgress, durationBreakdown, isValidZone, rollCycleToNow } from "./engine.js";
+import { createI18n } from "./i18n.js";
+
+/**
+ * GPT Deadline – embeddable countdown, <gpt-deadline-countdown>
+ * A framework-free custom element over ./engine.js. It renders into its own
+ * shadow root and never touches storage, so any page can host it:
+ *
+ *   <script type="module" src="/gpt-deadline-countdown.js"></script>
+ *   <gpt-deadline-countdown start="2025-08-20T07:18+05:45" end="2025-09-20T07:18+05:45"
+ *     zone="Asia/Kathmandu" variant="bar"></gpt-deadline-countdown>
+ *
+ * Attributes (all optional):
+ * - start, end: ISO date-times of one cycle (default: the app's default cycle)
+ * - zone: IANA billing zone; billing: renewal rule once `end` has passed (monthly)
+ * - plan: label shown above the countdown
+ * - variant: ring | bar | compact; size: ring diameter in px (220)
+ * - theme: light | dark | system; lang: en | ne
+ * The ?embed=1 view (mountEmbed, used by ./main.jsx) reads the same names
+ * from the query string.
+ */
+
+export const WIDGET_TAG = "gpt-deadline-countdown";
+export const WIDGET_ATTRIBUTES = ["start", "end", "zone", "billing", "plan", "variant", "size", "theme", "lang"];
+const VARIANTS = ["ring", "bar", "compact"];
+const THEMES = ["light", "dark", "system"];
+
+// Widget settings from an attribute/parameter getter; unknown values fall back to defaults
+export function widgetConfig(get) {
+  const zone = isValidZone(get("zone")) ? get("zone") : DEFAULT_CYCLE.timezone;
+  const interval = BILLING_INTERVALS[get("billing")] ? get("billing") : DEFAULT_CYCLE.billing.interval;
+  return {
+    cycle: {
+      ...DEFAULT_CYCLE,
+      plan: get("plan") ?? "",
+      timezone: zone,
+      startISO: get("start") ?? DEFAULT_CYCLE.startISO,
+      endISO: get("end") ?? DEFAULT_CYCLE.endISO,
+      billing: { ...DEFAULT_CYCLE.billing, interval },
+    },
+    variant: VARIANTS.includes(get("variant")) ? get("variant") : "ring",
+    size: clamp(parseInt(get("size"), 10) || 220, 80, 600),
+    theme: THEMES.includes(get("theme")) ? get("theme") : "system",
+    lang: get("lang") ?? "en",
+  };
+}
+
+const STYLES = `
+  :host { display: inline-block; }
+  .w { --fg: #111827; --muted: #6b7280; --track: #e5e7eb; --accent: #3b82f6; --bg: #ffffff;
+    font-family: ui-sans-serif, system-ui, sans-serif; color: var(--fg); background: var(--bg);
+    border-radius: 16px; padding: 12px 16px; box-sizing: border-box; text-align: center; }
+  .w.dark { --fg: #f5f5f5; --muted: #a3a3a3; --track: #262626; --bg: #0a0a0a; }
+  @media (prefers-color-scheme: dark) {
+    .w.system { --fg: #f5f5f5; --muted: #a3a3a3; --track: #262626; --bg: #0a0a0a; }
+  }
+  .plan { font-weight: 600; margin-bottom: 4px; }
+  .muted { color: var(--muted); font-size: 0.875rem; }
+  .ring { position: relative; display: inline-block; }
+  .ring svg { display: block; }
+  .center { position: absolute; inset: 0; display: flex; flex-direction: column; align-items: center; justify-content: center; }
+  .big { font-weight: 600; }
+  .count { font-variant-numeric: tabular-nums; margin-top: 6px; }
+  .bar { height: 8px; border-radius: 9999px; background: var(--track); overflow: hidden; margin: 8px 0 4px; min-width: 200px; }
+  .bar > div { height: 100%; background: var(--accent); }
+  .compact { padding: 4px 10px; text-align: left; white-space: nowrap; }
+`;
+
+const escape = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// Markup for one moment of the countdown
+function widgetMarkup({ cycle, variant, size, theme, lang }, now) {
+  const i18n = createI18n(lang);
+  const { t } = i18n;
+  const from = DateTime.fromISO(cycle.startISO);
+  const to = DateTime.fromISO(cycle.endISO);
+  if (!from.isValid || !to.isValid || to <= from) {
+    return `<div class="w ${theme}" role="alert">${escape(t("dates.invalid"))}</div>`;
+  }
+  const { start, end, ended } = rollCycleToNow(cycle, now.setZone(cycle.timezone));
+  const { remainingMs, progress } = cycleProgress(start, end, now);
+  const { days, hours, minutes, seconds } = durationBreakdown(remainingMs);
+  const left = t("common.left", { pct: i18n.pct(1 - progress) });
+  const count = [t("unit.days", { n: days }), t("unit.hours", { n: hours }), t("unit.minutes", { n: minutes }), t("unit.seconds", { n: seconds })].join(" • ");
+  const when = `${escape(t(ended ? "keyDates.ended" : "keyDates.renews"))} ${escape(i18n.date(end, "24h"))}`;
+  const plan = cycle.plan ? `<div class="plan">${escape(cycle.plan)}</div>` : "";
+  const label = `role="timer" aria-label="${escape(t("countdown.aria"))}"`;
+
+  if (variant === "compact") {
+    return `<div class="w compact ${theme}" ${label}>${cycle.plan ? `<strong>${escape(cycle.plan)}</strong> · ` : ""}${escape(count)} <span class="muted">(${escape(left)})</span></div>`;
+  }
+  if (variant === "bar") {
+    return `<div class="w ${theme}" ${label}>${plan}<div class="count">${escape(count)}</div>`
+      + `<div class="bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(progress * 100)}"><div style="width:${progress * 100}%"></div></div>`
+      + `<div class="muted">${escape(left)} · ${when}</div></div>`;
+  }
+  const stroke = 14;
+  const r = (size - stroke) / 2;
+  const c = 2 * Math.PI * r;
+  const dash = c * clamp(progress, 0, 1);
+  return `<div class="w ${theme}" ${label}>${plan}<div class="ring" role="img" aria-label="${escape(t("countdown.ringAria"))}">`
+    + `<svg width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${r}" stroke-width="${stroke}" stroke="var(--track)" fill="none"/>`
+    + `<circle cx="${size / 2}" cy="${size / 2}" r="${r}" stroke-width="${stroke}" stroke-linecap="round" stroke="var(--accent)" fill="none" stroke-dasharray="${dash} ${c}" transform="rotate(-90 ${size / 2} ${size / 2})"/></svg>`
+    + `<div class="center"><div class="big" style="font-size:${Math.round(size / 6)}px">${escape(t("unit.days", { n: days }))}</div><div class="muted">${escape(left)}</div></div></div>`
+    + `<div class="count">${escape(count)}</div><div class="muted">${when}</div></div>`;
+}
+
+class CountdownElement extends HTMLElement {
+  static get observedAttributes() {
+    return WIDGET_ATTRIBUTES;
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+  }
+
+  connectedCallback() {
+    this.render();
+    this.timer = setInterval(() => this.render(), 1000);
+  }
+
+  disconnectedCallback() {
+    clearInterval(this.timer);
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.render();
+  }
+
+  render() {
+    const config = widgetConfig((name) => this.getAttribute(name));
+    this.shadowRoot.innerHTML = `<style>${STYLES}</style>${widgetMarkup(config, DateTime.now())}`;
+  }
+}
+
+if (typeof customElements !== "undefined" && !customElements.get(WIDGET_TAG)) customElements.define(WIDGET_TAG, CountdownElement);
+
+// The ?embed=1 page: one countdown configured by the query string, for iframes
+export function mountEmbed(container, params) {
+  const el = document.createElement(WIDGET_TAG);
+  WIDGET_ATTRIBUTES.forEach((name) => {
+    if (params.has(name)) el.setAttribute(name, params.get(name));
+  });
+  // The app's page background would show around the widget
+  document.body.className = "";
+  document.body.style.margin = "0";
+  container.replaceChildren(el);
+}
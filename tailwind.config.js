@@ -0,0 +1,11 @@
+// https://tailwindcss.com/docs/configuration
+/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', './src/**/*.{js,jsx}'],
+  // useTheme() toggles the `dark` class on <html> (system / light / dark)
+  darkMode: 'class',
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+}
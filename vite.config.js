@@ -1,7 +1,54 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { existsSync, readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
+
+// Emits dist/sw.js from src/sw.js with the list of every emitted file (hashed
+// assets, index.html, public/ icons and manifest) and a cache version derived
+// from their contents, so each build gets its own cache and old ones are dropped.
+function serviceWorker() {
+  let publicDir
+  const walk = (dir) => readdirSync(dir, { withFileTypes: true })
+    .flatMap((d) => (d.isDirectory() ? walk(join(dir, d.name)) : [join(dir, d.name)]))
+  return {
+    name: 'gpt-deadline-sw',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      // public/ is copied as-is and never appears in `bundle`
+      const copied = publicDir && existsSync(publicDir)
+        ? walk(publicDir).map((path) => ({ fileName: relative(publicDir, path).split('\\').join('/'), source: readFileSync(path) }))
+        : []
+      const built = Object.values(bundle)
+        .filter((f) => !f.fileName.endsWith('.map'))
+        .map((f) => ({ fileName: f.fileName, source: f.type === 'chunk' ? f.code : f.source }))
+      const files = [...built, ...copied].sort((a, b) => a.fileName.localeCompare(b.fileName))
+      const hash = createHash('sha256')
+      files.forEach((f) => hash.update(f.fileName).update(f.source))
+      const precache = files.map((f) => f.fileName)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(precache))
+        .replace('__CACHE_VERSION__', hash.digest('hex').slice(0, 12))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  build: {
+    rollupOptions: {
+      // src/widget.js is also published on its own, at a stable URL, for
+      // <script type="module" src="/gpt-deadline-countdown.js"> on other pages
+      input: { main: 'index.html', widget: 'src/widget.js' },
+      output: {
+        entryFileNames: (chunk) => (chunk.name === 'widget' ? 'gpt-deadline-countdown.js' : 'assets/[name]-[hash].js'),
+      },
+    },
+  },
 })